@@ -1,183 +1,827 @@
-import Anthropic from '@anthropic-ai/sdk';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { createProvider } from './providers/index.js';
+import { ToolRegistry } from './ToolRegistry.js';
+import { emptyUsage, addResponseUsage, mergeUsage, formatUsage } from './usage.js';
+import { buildSchemaInstructions, parseStructuredOutput, compileSchema, compileRequestSchema } from './StructuredOutput.js';
+import { getPromptLibrary, promptRef } from './PromptLibrary.js';
+import { KnowledgeIndex } from './KnowledgeIndex.js';
+import { getKnowledgeBase } from './KnowledgeBase.js';
+import { ConversationMemory } from './ConversationMemory.js';
+import { ContextSerializer } from './ContextSerializer.js';
+import { getReportRepository } from './ReportRepository.js';
+import { getEventBus } from './AgentEvents.js';
+import { emitTextChunks } from './providers/LLMProvider.js';
+
+const DEFAULT_MODEL = 'claude-3-5-sonnet-20241022';
+const DEFAULT_MAX_TOKENS = 2000;
+// Rejected requests (400) and bad credentials (401) fail the same way on every model, so they skip the fallbacks
+const NO_FALLBACK_STATUS = new Set([400, 401]);
+const DEFAULT_CALL_TIMEOUT_MS = 120000;
+const DEFAULT_MAX_CONCURRENT_TASKS = 2;
+
+// Task id and task options of the capability call in progress (see Agent.runCapability)
+const capabilityScope = new AsyncLocalStorage();
+
+// Reusable findings distilled from a well-rated result
+const lessonSchema = {
+  type: 'object',
+  required: ['lessons'],
+  properties: {
+    lessons: {
+      type: 'array',
+      maxItems: 3,
+      items: {
+        type: 'object',
+        required: ['title', 'lesson'],
+        properties: {
+          title: { type: 'string', minLength: 3, maxLength: 100 },
+          lesson: { type: 'string', minLength: 10 },
+          tags: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+/**
+ * Parameter names of a method with a simple parameter list (defaults without commas or parentheses)
+ */
+function parameterNames(method) {
+  const match = method.toString().match(/^[^(]*\(([^)]*)\)/);
+  if (!match) return [];
+  return match[1].split(',').map(parameter => parameter.split('=')[0].trim()).filter(Boolean);
+}
+
+/**
+ * Public methods a subclass adds to Agent: [{ name, parameters }]
+ * Methods starting with an underscore, getters and the base class's own methods are left out
+ */
+export function listCapabilities(AgentClass) {
+  const capabilities = [];
+  const seen = new Set();
+  for (let prototype = AgentClass.prototype; prototype && prototype !== Agent.prototype; prototype = Object.getPrototypeOf(prototype)) {
+    for (const [name, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(prototype))) {
+      if (name === 'constructor' || name.startsWith('_') || seen.has(name) || typeof descriptor.value !== 'function') continue;
+      seen.add(name);
+      capabilities.push({ name, parameters: parameterNames(descriptor.value) });
+    }
+  }
+  return capabilities;
+}
 
 /**
  * Base Agent class that all specialized agents inherit from
  * Provides core functionality for AI-powered task processing and collaboration
  */
 export class Agent {
-  constructor(name, role, specialKnowledge = []) {
+  constructor(name, role, specialKnowledge = [], options = {}) {
     this.name = name;
     this.role = role;
     this.specialKnowledge = specialKnowledge;
-    this.claude = new Anthropic({
-      apiKey: process.env.CLAUDE_API_KEY,
-    });
-    this.sharedKnowledge = null;
+    // Task model settings (model, max_tokens, temperature, fallback_models); priorities.<priority> overrides them
+    const { priorities = {}, ...modelSettings } = options.modelProfile || {};
+    this.modelProfile = {
+      model: DEFAULT_MODEL,
+      max_tokens: DEFAULT_MAX_TOKENS,
+      fallback_models: [],
+      ...modelSettings,
+      ...(options.model && { model: options.model }),
+      priorities
+    };
+    this.model = this.modelProfile.model;
+    // Lowercase words in a task description that route it to this agent (see CEOAgent.calculateRoleScore)
+    this.routingKeywords = options.routingKeywords || [];
+    // Knowledge base path prefixes this agent retrieves from; defaults to shared plus its role's specialized folder
+    this.knowledgePaths = options.knowledgePaths || null;
+    this.provider = options.provider || createProvider();
+    this.prompts = options.prompts || getPromptLibrary();
+    this.tools = new ToolRegistry();
+    this.maxToolIterations = options.maxToolIterations || 8;
+    this.maxValidationRetries = options.maxValidationRetries ?? 2;
+    // A model call that hangs longer than this fails instead of keeping the agent busy
+    this.callTimeoutMs = options.callTimeoutMs || Number(process.env.LLM_CALL_TIMEOUT_MS) || DEFAULT_CALL_TIMEOUT_MS;
+    this.knowledgeBase = options.knowledgeBase || getKnowledgeBase();
+    this.knowledgeIndex = new KnowledgeIndex();
+    this.knowledgeIndexVersion = null;
+    this.knowledgeChunkLimit = options.knowledgeChunkLimit ?? 4;
     this.currentTasks = new Map();
+    this.taskControllers = new Map(); // taskId -> AbortController while the task runs
+    // Tasks beyond maxConcurrentTasks wait for a slot in arrival order
+    this.maxConcurrentTasks = options.maxConcurrentTasks || Number(process.env.AGENT_MAX_CONCURRENT_TASKS) || DEFAULT_MAX_CONCURRENT_TASKS;
+    this.runningTasks = new Set();
+    this.waitingTasks = [];
+    this.memory = options.memory || new ConversationMemory({ maxTokens: options.memoryTokenBudget });
+    this.contextSerializer = options.contextSerializer || new ContextSerializer({ budgets: options.contextTokenBudgets });
+    this.reportRepository = options.reportRepository || getReportRepository();
+    this.events = options.eventBus || getEventBus();
+    // Optional ResponseCache; identical task requests are answered from it instead of the model
+    this.responseCache = options.responseCache || null;
+    this.usageTotals = emptyUsage();
     this.collaborators = new Map();
-    this.status = 'idle'; // idle, busy, offline
+    this.offline = false; // offline agents are not routed new work
+  }
+
+  /**
+   * Status derived from load: idle, partially_loaded, saturated (every slot in use) or offline
+   */
+  get status() {
+    if (this.offline) return 'offline';
+    if (this.runningTasks.size === 0) return 'idle';
+    return this.runningTasks.size < this.maxConcurrentTasks ? 'partially_loaded' : 'saturated';
+  }
+
+  /**
+   * Whether a new task would start right away instead of waiting for a slot
+   */
+  hasCapacity() {
+    return !this.offline && this.runningTasks.size < this.maxConcurrentTasks;
+  }
+
+  /**
+   * Running plus waiting tasks per slot; above 1 means tasks are waiting
+   */
+  getLoad() {
+    return (this.runningTasks.size + this.waitingTasks.length) / this.maxConcurrentTasks;
+  }
+
+  /**
+   * Shared knowledge from the common knowledge base (null until it is loaded)
+   */
+  get sharedKnowledge() {
+    return this.knowledgeBase.loaded ? this.knowledgeBase.getShared() : null;
+  }
+
+  /**
+   * Knowledge for this agent's role from the common knowledge base (null until it is loaded)
+   */
+  get specializedKnowledge() {
+    return this.knowledgeBase.loaded ? this.knowledgeBase.getSpecialized(this.role) : null;
   }
 
   /**
    * Load shared knowledge base that all agents can access
+   * The files are parsed once per knowledge base, not once per agent
    */
   async loadSharedKnowledge() {
-    try {
-      const knowledgeBasePath = path.join(__dirname, '../../knowledge_base/shared');
-      const files = await fs.readdir(knowledgeBasePath);
-      
-      this.sharedKnowledge = {};
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const filePath = path.join(knowledgeBasePath, file);
-          const content = await fs.readFile(filePath, 'utf-8');
-          const key = file.replace('.json', '');
-          this.sharedKnowledge[key] = JSON.parse(content);
-        }
-      }
-      
-      console.log(`${this.name}: Loaded shared knowledge base`);
-    } catch (error) {
-      console.warn(`${this.name}: Could not load shared knowledge base:`, error.message);
-      this.sharedKnowledge = {};
-    }
+    await this.knowledgeBase.ensureLoaded();
+    console.log(`${this.name}: Loaded shared knowledge base`);
   }
 
   /**
    * Load specialized knowledge for this agent's role
    */
   async loadSpecializedKnowledge() {
-    try {
-      const specializedPath = path.join(__dirname, '../../knowledge_base/specialized', this.role);
-      const files = await fs.readdir(specializedPath);
-      
-      this.specializedKnowledge = {};
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const filePath = path.join(specializedPath, file);
-          const content = await fs.readFile(filePath, 'utf-8');
-          const key = file.replace('.json', '');
-          this.specializedKnowledge[key] = JSON.parse(content);
-        }
+    await this.knowledgeBase.ensureLoaded();
+    console.log(`${this.name}: Loaded specialized knowledge for ${this.role}`);
+  }
+
+  /**
+   * Rebuild the retrieval index from the knowledge documents this agent can see
+   */
+  buildKnowledgeIndex() {
+    this.knowledgeIndex.clear();
+    if (this.knowledgeBase.loaded) {
+      for (const document of this.knowledgeBase.getDocuments(this.role, this.knowledgePaths)) {
+        this.knowledgeIndex.addSections(document.id, document.sections, document.metadata);
       }
-      
-      console.log(`${this.name}: Loaded specialized knowledge for ${this.role}`);
-    } catch (error) {
-      console.warn(`${this.name}: Could not load specialized knowledge:`, error.message);
-      this.specializedKnowledge = {};
     }
+    this.knowledgeIndexVersion = this.knowledgeBase.version;
+  }
+
+  /**
+   * Knowledge base chunks most relevant to a query, with citations
+   */
+  retrieveKnowledge(query) {
+    // Pick up knowledge files reloaded since the index was built
+    if (this.knowledgeIndexVersion !== this.knowledgeBase.version) {
+      this.buildKnowledgeIndex();
+    }
+    return this.knowledgeIndex.search(query, { limit: this.knowledgeChunkLimit });
   }
 
   /**
-   * Process a task using Claude API with agent's specialized knowledge
+   * Process a task using the agent's LLM provider and specialized knowledge
+   * Pass options.onDelta to receive the answer text as it is generated
+   * Pass options.schema (JSON Schema) to get a validated object back instead of text
+   * Pass options.prompt (a renderPrompt result) to record the template the description came from
+   * Pass options.signal (AbortSignal) to cancel the task from outside; cancelTask(taskId) does the same.
+   * A signal aborted with a TimeoutError (e.g. AbortSignal.timeout) settles the task as timed_out
+   * Pass options.noCache to skip the response cache lookup; the fresh result still replaces the cached one
    */
-  async processTask(taskId, taskDescription, context = {}) {
-    this.status = 'busy';
+  async processTask(taskId, taskDescription, context = {}, options = {}) {
+    const scope = capabilityScope.getStore();
+    if (scope?.taskId === taskId) {
+      options = { ...scope.options, ...options };
+    }
+    const signal = this.startTaskSignal(taskId, options.signal);
+    const priority = options.priority ?? context.priority;
+    const settings = this.getModelSettings(priority);
+    const model = settings.model;
     this.currentTasks.set(taskId, {
       description: taskDescription,
       startTime: new Date(),
-      status: 'processing',
-      context
+      status: 'queued',
+      context,
+      priority,
+      model,
+      requestedModel: model,
+      usage: emptyUsage()
     });
 
     try {
-      // Prepare context for Claude
-      const systemPrompt = this.buildSystemPrompt();
-      const userPrompt = this.buildUserPrompt(taskDescription, context);
-
-      const response = await this.claude.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 2000,
-        system: systemPrompt,
+      // Prepare context for the model
+      const knowledge = this.retrieveKnowledge(taskDescription);
+      const systemPrompt = this.buildSystemPrompt(knowledge);
+      const userPrompt = this.buildUserPrompt(taskDescription, context, { model });
+      if (userPrompt.contextCuts.length > 0) {
+        this.currentTasks.get(taskId).contextCuts = userPrompt.contextCuts;
+        console.warn(`${this.name}: Context for task ${taskId} cut to fit the prompt budget: ${this.contextSerializer.describeCuts(userPrompt.contextCuts)}`);
+      }
+
+      this.currentTasks.get(taskId).prompts = {
+        ...(options.prompt && { task: promptRef(options.prompt) }),
+        system: promptRef(systemPrompt),
+        user: promptRef(userPrompt)
+      };
+      this.currentTasks.get(taskId).knowledge = knowledge.map(({ citation, score }) => ({ citation, score }));
+
+      const request = this.buildModelRequest(settings, {
+        system: systemPrompt.text,
         messages: [
           {
             role: 'user',
-            content: userPrompt
+            content: userPrompt.text
           }
         ]
       });
 
-      const result = response.content[0].text;
-      
-      // Update task status
-      const task = this.currentTasks.get(taskId);
-      task.status = 'completed';
-      task.result = result;
-      task.completionTime = new Date();
+      const cacheKey = this.responseCache?.getKey({
+        agent: this.name,
+        model,
+        max_tokens: request.max_tokens,
+        temperature: request.temperature,
+        tools: this.tools.getDefinitions(),
+        prompts: this.currentTasks.get(taskId).prompts,
+        system: systemPrompt.text,
+        user: userPrompt.text,
+        schema: options.schema
+      });
+      // A cached answer needs no slot, so it is not queued behind a saturated agent
+      const started = { description: taskDescription, model, follow_up: false };
+      const cached = cacheKey ? await this.lookupCachedResult(taskId, cacheKey, options, started) : null;
+      if (cached) {
+        signal.throwIfAborted();
+      } else {
+        await this.acquireSlot(taskId, signal);
+        this.markStarted(taskId, started);
+      }
+      const result = cached
+        ? cached.result
+        : await this.runTaskConversation(taskId, request, { ...options, signal, fallbackModels: settings.fallback_models });
+      if (cacheKey && !cached) {
+        await this.responseCache.set(cacheKey, { agent: this.name, model: this.currentTasks.get(taskId).model, result });
+      }
+
+      // Start the conversation thread follow-up turns build on
+      this.memory.create(taskId, { description: taskDescription, context });
+      this.memory.appendExchange(taskId, userPrompt.text, this.serializeResult(result));
 
-      this.status = 'idle';
-      
       console.log(`${this.name}: Completed task ${taskId}`);
-      return {
-        success: true,
-        result,
-        agent: this.name,
-        taskId
-      };
+      return this.settleTask(taskId, { result });
 
     } catch (error) {
-      console.error(`${this.name}: Error processing task ${taskId}:`, error);
-      
-      const task = this.currentTasks.get(taskId);
-      if (task) {
-        task.status = 'failed';
+      if (signal.aborted) {
+        console.log(`🛑 ${this.name}: Task ${taskId} stopped: ${signal.reason?.message || 'cancelled'}`);
+      } else {
+        console.error(`${this.name}: Error processing task ${taskId}:`, error);
+      }
+      return this.settleTask(taskId, { error, signal });
+    }
+  }
+
+  /**
+   * Add a follow-up turn to a task's conversation thread ("make it shorter", "now for Germany")
+   * Earlier turns are replayed within the memory token budget; the oldest are summarized once it is exceeded
+   * Accepts the same options as processTask (onDelta, schema, signal)
+   */
+  async continueTask(taskId, message, options = {}) {
+    const task = this.currentTasks.get(taskId);
+    if (!task || !this.memory.has(taskId)) {
+      return { success: false, error: `No conversation thread for task ${taskId}`, agent: this.name, taskId };
+    }
+    if (task.status === 'processing' || task.status === 'queued') {
+      return { success: false, error: `Task ${taskId} is still processing`, agent: this.name, taskId };
+    }
+
+    task.status = 'queued';
+    delete task.cached; // follow-ups depend on the thread and always go to the model
+    const thread = this.memory.get(taskId);
+    const signal = this.startTaskSignal(taskId, options.signal);
+
+    try {
+      await this.acquireSlot(taskId, signal);
+      const settings = this.getModelSettings(task.priority);
+      task.requestedModel = settings.model;
+      this.markStarted(taskId, { description: message, model: settings.model, follow_up: true });
+      await this.compactThread(taskId, message, task.usage, signal);
+
+      const knowledge = this.retrieveKnowledge(`${thread.description}\n${message}`);
+      const systemPrompt = this.buildSystemPrompt(knowledge);
+      task.knowledge = knowledge.map(({ citation, score }) => ({ citation, score }));
+
+      const result = await this.runTaskConversation(taskId, this.buildModelRequest(settings, {
+        system: systemPrompt.text,
+        messages: this.memory.buildMessages(taskId, message)
+      }), { ...options, signal, fallbackModels: settings.fallback_models });
+
+      this.memory.appendExchange(taskId, message, this.serializeResult(result));
+
+      console.log(`${this.name}: Completed follow-up on task ${taskId}`);
+      return this.settleTask(taskId, { result });
+
+    } catch (error) {
+      if (signal.aborted) {
+        console.log(`🛑 ${this.name}: Follow-up on task ${taskId} stopped: ${signal.reason?.message || 'cancelled'}`);
+      } else {
+        console.error(`${this.name}: Error continuing task ${taskId}:`, error);
+      }
+      return this.settleTask(taskId, { error, signal });
+    }
+  }
+
+  /**
+   * Cached result for a task request, or null on a miss or with noCache
+   * A hit marks the task started without taking a slot, is recorded on the task and streamed to
+   * options.onDelta like a model answer
+   */
+  async lookupCachedResult(taskId, cacheKey, options, started) {
+    if (options.noCache) {
+      this.responseCache.bypass(this.name);
+      return null;
+    }
+
+    const cached = await this.responseCache.get(cacheKey, this.name);
+    if (!cached) return null;
+
+    const task = this.currentTasks.get(taskId);
+    task.model = cached.model;
+    task.cached = { key: cacheKey, created_at: cached.created_at };
+    console.log(`${this.name}: Answered task ${taskId} from the response cache`);
+    this.markStarted(taskId, started);
+    this.emitEvent('task.progress', { task_id: taskId, step: 'cache_hit', model: cached.model, cached_at: cached.created_at });
+    if (options.onDelta) {
+      emitTextChunks({ content: [{ type: 'text', text: this.serializeResult(cached.result) }] }, options.onDelta);
+    }
+    return cached;
+  }
+
+  /**
+   * Model settings for a task priority: the agent's profile with the priority's overrides applied
+   * Returns { model, max_tokens, temperature, fallback_models }
+   */
+  getModelSettings(priority) {
+    const { priorities, ...settings } = this.modelProfile;
+    return { ...settings, ...(priority && priorities[priority]) };
+  }
+
+  /**
+   * Request for the model settings; temperature is only sent when configured
+   */
+  buildModelRequest(settings, fields) {
+    return {
+      model: settings.model,
+      max_tokens: settings.max_tokens,
+      ...(settings.temperature !== undefined && { temperature: settings.temperature }),
+      ...fields
+    };
+  }
+
+  /**
+   * Publish a lifecycle event (see AGENT_EVENT_TYPES) on the agent's event bus
+   */
+  emitEvent(type, data = {}) {
+    return this.events.publish(type, this, data);
+  }
+
+  /**
+   * Mark a task run as processing once it has a slot
+   */
+  markStarted(taskId, { description, model, follow_up }) {
+    const task = this.currentTasks.get(taskId);
+    task.status = 'processing';
+    task.startedAt = new Date();
+    this.emitEvent('task.started', { task_id: taskId, description, model, follow_up });
+  }
+
+  /**
+   * Register an abort controller for a task run; the returned signal also follows the caller's signal
+   */
+  startTaskSignal(taskId, callerSignal) {
+    const controller = new AbortController();
+    this.taskControllers.set(taskId, controller);
+    return callerSignal ? AbortSignal.any([controller.signal, callerSignal]) : controller.signal;
+  }
+
+  /**
+   * Wait until the task may run; resolves at once while a slot is free
+   * Rejects with the signal's reason if the task is cancelled while waiting
+   */
+  async acquireSlot(taskId, signal) {
+    signal.throwIfAborted();
+    if (this.runningTasks.size < this.maxConcurrentTasks && this.waitingTasks.length === 0) {
+      this.runningTasks.add(taskId);
+      return;
+    }
+
+    console.log(`⏳ ${this.name}: Task ${taskId} waiting for a free slot (${this.runningTasks.size}/${this.maxConcurrentTasks} running)`);
+    this.emitEvent('task.queued', { task_id: taskId, position: this.waitingTasks.length + 1 });
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.waitingTasks = this.waitingTasks.filter(waiting => waiting.taskId !== taskId);
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      this.waitingTasks.push({
+        taskId,
+        start: () => {
+          signal.removeEventListener('abort', onAbort);
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Free a finished task's slot, handing it straight to the longest waiting task
+   */
+  releaseSlot(taskId) {
+    if (!this.runningTasks.delete(taskId)) {
+      return;
+    }
+
+    const next = this.waitingTasks.shift();
+    if (next) {
+      this.runningTasks.add(next.taskId);
+      next.start();
+    }
+  }
+
+  /**
+   * Cancel a running task: its model and tool calls are aborted and it settles as cancelled
+   * Returns false if the task is not running on this agent
+   */
+  cancelTask(taskId) {
+    const controller = this.taskControllers.get(taskId);
+    if (!controller) {
+      return false;
+    }
+
+    controller.abort();
+    return true;
+  }
+
+  /**
+   * Distill reusable lessons ({ title, lesson, tags }) from a task result that was rated well
+   */
+  async distillLessons({ description, result, priority }) {
+    const prompt = this.renderPrompt('lesson_distillation', {
+      role: this.role,
+      task: description,
+      result: this.serializeResult(result)
+    });
+
+    const settings = this.getModelSettings(priority);
+    const { lessons } = await this.runStructuredConversation(this.buildModelRequest(settings, {
+      system: buildSchemaInstructions(lessonSchema),
+      messages: [{ role: 'user', content: prompt.text }]
+    }), lessonSchema, { fallbackModels: settings.fallback_models });
+
+    return lessons.map(({ title, lesson, tags = [] }) => ({ title, lesson, tags }));
+  }
+
+  /**
+   * Run a prepared task request, as plain text or validated against options.schema
+   */
+  async runTaskConversation(taskId, request, options = {}) {
+    const conversationOptions = {
+      onText: options.onDelta,
+      toolContext: { taskId },
+      usage: this.currentTasks.get(taskId).usage,
+      signal: options.signal,
+      fallbackModels: options.fallbackModels
+    };
+
+    if (options.schema) {
+      return await this.runStructuredConversation({
+        ...request,
+        system: `${request.system}\n\n${buildSchemaInstructions(options.schema)}`
+      }, options.schema, { ...conversationOptions, validate: compileRequestSchema(options.schema) });
+    }
+
+    return (await this.runConversation(request, conversationOptions)).text;
+  }
+
+  /**
+   * Summarize the oldest turns of a thread when the next message would exceed the memory budget
+   */
+  async compactThread(taskId, nextMessage, taskUsage, signal) {
+    const olderTurns = this.memory.getTurnsToCompact(taskId, nextMessage);
+    if (olderTurns.length === 0) {
+      return;
+    }
+
+    const thread = this.memory.get(taskId);
+    const prompt = this.renderPrompt('conversation_summary', {
+      task: thread.description,
+      previous_summary: thread.summary,
+      turns: olderTurns
+    });
+    const response = await this.callModelWithSettings(this.currentTasks.get(taskId).priority, {
+      messages: [{ role: 'user', content: prompt.text }]
+    }, { signal, usage: taskUsage });
+
+    const summary = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    this.memory.compact(taskId, summary, olderTurns.length);
+    console.log(`${this.name}: Summarized ${olderTurns.length / 2} earlier turns of task ${taskId}`);
+  }
+
+  /**
+   * Mark a task completed (with its result), failed (with the error), cancelled or timed out, and build the response
+   * A task that failed because its signal aborted was cancelled, or timed out if the reason is a TimeoutError
+   */
+  settleTask(taskId, { result, error, signal }) {
+    this.taskControllers.delete(taskId);
+    this.releaseSlot(taskId);
+    let status = error ? 'failed' : 'completed';
+    if (error && signal?.aborted) {
+      status = signal.reason?.name === 'TimeoutError' ? 'timed_out' : 'cancelled';
+      error = new Error(status === 'timed_out' ? signal.reason.message || 'Task timed out' : 'Task cancelled');
+    }
+
+    const task = this.currentTasks.get(taskId);
+    if (task) {
+      task.status = status;
+      if (error) {
         task.error = error.message;
-        task.completionTime = new Date();
+      } else {
+        task.result = result;
+        delete task.error;
       }
+      task.completionTime = new Date();
+    }
 
-      this.status = 'idle';
-      
-      return {
-        success: false,
-        error: error.message,
-        agent: this.name,
-        taskId
+    this.emitEvent(`task.${status}`, {
+      task_id: taskId,
+      ...(error && { error: error.message }),
+      duration_ms: task?.startedAt ? task.completionTime - task.startedAt : null,
+      usage: task ? formatUsage(task.usage) : undefined
+    });
+
+    return {
+      success: !error,
+      ...(error ? { error: error.message } : { result }),
+      ...(status === 'cancelled' && { cancelled: true }),
+      ...(status === 'timed_out' && { timed_out: true }),
+      agent: this.name,
+      taskId,
+      model: task?.model,
+      ...(task && task.requestedModel !== task.model && { requested_model: task.requestedModel }),
+      prompts: task?.prompts,
+      ...(task?.contextCuts && { context_cuts: task.contextCuts }),
+      ...(task?.cached && { cached: task.cached }),
+      conversation: this.memory.describe(taskId),
+      usage: task ? formatUsage(task.usage) : undefined
+    };
+  }
+
+  /**
+   * Text form of a result for the conversation thread
+   */
+  serializeResult(result) {
+    return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+  }
+
+  /**
+   * Streaming variant of processTask: onDelta(text) is called for every text delta
+   * Resolves with the same result object as processTask once the answer is complete
+   */
+  async processTaskStream(taskId, taskDescription, context = {}, onDelta) {
+    return await this.processTask(taskId, taskDescription, context, { onDelta });
+  }
+
+  /**
+   * Register a tool the model can call while processing tasks
+   */
+  registerTool(tool) {
+    this.tools.register(tool);
+    console.log(`${this.name}: Registered tool ${tool.name}`);
+    return this;
+  }
+
+  /**
+   * Send a request to the model and run the tool_use loop:
+   * execute requested tools, feed their results back, and repeat
+   * until the model gives a final answer or the iteration limit is hit
+   * An aborted signal stops the loop; the signal is passed to the provider and, as context.signal, to tools
+   */
+  async runConversation(request, { onText, toolContext = {}, usage, signal, fallbackModels = [] } = {}) {
+    const messages = [...request.messages];
+    const tools = this.tools.getDefinitions();
+    let model = request.model;
+
+    for (let iteration = 0; iteration <= this.maxToolIterations; iteration++) {
+      signal?.throwIfAborted();
+      const modelRequest = {
+        ...request,
+        model,
+        ...(tools.length > 0 && { tools }),
+        messages: [...messages]
       };
+      const response = await this.callModel(modelRequest, { onText, signal, fallbackModels });
+      // Later iterations stay on the model that answered instead of retrying a failed primary
+      model = response.model || model;
+      this.recordUsage(response, model, usage);
+      if (toolContext.taskId) {
+        this.recordTaskResponse(toolContext.taskId, response, model, iteration);
+      }
+
+      if (response.stop_reason !== 'tool_use') {
+        const text = response.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join('');
+        return { text, response, messages };
+      }
+
+      if (iteration === this.maxToolIterations) {
+        break;
+      }
+
+      messages.push({ role: 'assistant', content: response.content });
+
+      const toolResults = [];
+      for (const block of response.content.filter(block => block.type === 'tool_use')) {
+        signal?.throwIfAborted();
+        console.log(`${this.name}: Calling tool ${block.name}`);
+        if (toolContext.taskId) {
+          this.emitEvent('task.progress', { task_id: toolContext.taskId, step: 'tool_call', iteration, tool: block.name });
+        }
+        toolResults.push(await this.tools.execute(block, { agent: this, signal, ...toolContext }));
+      }
+      messages.push({ role: 'user', content: toolResults });
     }
+
+    throw new Error(`Tool loop did not finish within ${this.maxToolIterations} iterations`);
   }
 
   /**
-   * Build system prompt based on agent's role and knowledge
+   * Note the model that answered on the task and publish the progress
    */
-  buildSystemPrompt() {
-    return `You are ${this.name}, a ${this.role} in an AI agents team management system.
+  recordTaskResponse(taskId, response, model, iteration) {
+    const task = this.currentTasks.get(taskId);
+    if (task) {
+      task.model = model;
+    }
+    this.emitEvent('task.progress', { task_id: taskId, step: 'model_response', iteration, model, stop_reason: response.stop_reason });
+  }
 
-Your specialized knowledge includes: ${this.specialKnowledge.join(', ')}
+  /**
+   * One model call outside a task conversation (thread summaries, reports) with a priority's model settings
+   * Usage is recorded under the model that answered, which may be a fallback
+   */
+  async callModelWithSettings(priority, fields, { signal, usage } = {}) {
+    const settings = this.getModelSettings(priority);
+    const response = await this.callModel(this.buildModelRequest(settings, fields), { signal, fallbackModels: settings.fallback_models });
+    this.recordUsage(response, response.model || settings.model, usage);
+    return response;
+  }
 
-Your role responsibilities:
-- Provide expert analysis and recommendations in your domain
-- Collaborate effectively with other team agents
-- Generate actionable insights and detailed reports
-- Maintain professional communication standards
+  /**
+   * Provider call for request.model, then each of fallbackModels in order while the call fails
+   * No fallback once the signal aborted, once streamed text was delivered, or for errors every model would repeat
+   */
+  async callModel(request, { onText, signal, fallbackModels = [] } = {}) {
+    const models = [request.model, ...fallbackModels.filter(model => model !== request.model)];
+    let textDelivered = false;
+    const trackedOnText = onText && ((text) => {
+      textDelivered = true;
+      onText(text);
+    });
 
-Available shared knowledge: ${this.sharedKnowledge ? Object.keys(this.sharedKnowledge).join(', ') : 'None loaded'}
+    for (let index = 0; ; index++) {
+      try {
+        return await this.callModelOnce({ ...request, model: models[index] }, { onText: trackedOnText, signal });
+      } catch (error) {
+        const next = models[index + 1];
+        if (!next || signal?.aborted || textDelivered || NO_FALLBACK_STATUS.has(error.status)) {
+          throw error;
+        }
+        console.warn(`⚠️ ${this.name}: ${models[index]} failed (${error.status || error.message}), falling back to ${next}`);
+      }
+    }
+  }
+
+  /**
+   * One provider call (streamed if onText is given), failed after callTimeoutMs
+   */
+  async callModelOnce(request, { onText, signal } = {}) {
+    const timeout = new AbortController();
+    const timer = setTimeout(() => timeout.abort(), this.callTimeoutMs);
+    const callSignal = signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal;
 
-Always provide specific, actionable recommendations and cite relevant data or analysis where applicable.`;
+    try {
+      return onText
+        ? await this.provider.streamMessage(request, { onText, signal: callSignal })
+        : await this.provider.createMessage(request, { signal: callSignal });
+    } catch (error) {
+      if (timeout.signal.aborted && !signal?.aborted) {
+        throw new Error(`Model call timed out after ${this.callTimeoutMs / 1000}s`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
-   * Build user prompt with task description and context
+   * Run a conversation whose answer must be JSON matching a schema
+   * Invalid answers are sent back with the validation errors, up to maxValidationRetries times
+   * Pass conversationOptions.validate for a schema compiled with compileRequestSchema
    */
-  buildUserPrompt(taskDescription, context) {
-    let prompt = `Task: ${taskDescription}\n\n`;
-    
-    if (Object.keys(context).length > 0) {
-      prompt += `Additional Context:\n`;
-      for (const [key, value] of Object.entries(context)) {
-        prompt += `- ${key}: ${value}\n`;
+  async runStructuredConversation(request, schema, { validate = compileSchema(schema), ...conversationOptions } = {}) {
+    let messages = request.messages;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= this.maxValidationRetries; attempt++) {
+      const conversation = await this.runConversation({ ...request, messages }, conversationOptions);
+      const parsed = parseStructuredOutput(schema, conversation.text, validate);
+      if (!parsed.errors) {
+        return parsed.value;
       }
-      prompt += '\n';
+
+      errors = parsed.errors;
+      console.warn(`${this.name}: Structured output failed validation (attempt ${attempt + 1}): ${errors.join('; ')}`);
+      messages = [
+        ...conversation.messages,
+        { role: 'assistant', content: conversation.text || '(empty response)' },
+        {
+          role: 'user',
+          content: `Your previous response did not match the required JSON schema:\n- ${errors.join('\n- ')}\n\nRespond again with only the corrected JSON.`
+        }
+      ];
     }
 
-    prompt += `Please provide a detailed analysis and recommendations based on your expertise as a ${this.role}.`;
-    
-    return prompt;
+    throw new Error(`Structured output did not match the schema after ${this.maxValidationRetries + 1} attempts: ${errors.join('; ')}`);
+  }
+
+  /**
+   * Add a response's token usage and cost to the agent totals and, if given, a task's usage
+   */
+  recordUsage(response, model, taskUsage) {
+    addResponseUsage(this.usageTotals, response, model);
+    if (taskUsage) {
+      addResponseUsage(taskUsage, response, model);
+    }
+  }
+
+  /**
+   * Render one of this agent's prompt templates (role-specific, else the default)
+   * Returns { id, version, text }
+   */
+  renderPrompt(name, variables = {}) {
+    return this.prompts.render(this.role, name, variables);
+  }
+
+  /**
+   * Build system prompt based on agent's role and the knowledge chunks retrieved for the task
+   */
+  buildSystemPrompt(knowledge = []) {
+    return this.renderPrompt('system', {
+      name: this.name,
+      role: this.role,
+      special_knowledge: this.specialKnowledge,
+      knowledge,
+      has_tools: this.tools.size > 0
+    });
+  }
+
+  /**
+   * Build user prompt with task description and context
+   * The context is serialized within the model's context budget; contextCuts lists what did not fit
+   */
+  buildUserPrompt(taskDescription, context, { model = this.model } = {}) {
+    const serialized = this.contextSerializer.serialize(context, { model });
+    const prompt = this.renderPrompt('user', {
+      task: taskDescription,
+      context: serialized.text,
+      context_note: serialized.note,
+      role: this.role
+    });
+    return { ...prompt, contextCuts: serialized.cuts };
   }
 
   /**
@@ -218,9 +862,9 @@ Always provide specific, actionable recommendations and cite relevant data or an
    * Generate a comprehensive report based on completed tasks
    */
   async generateReport(taskIds = [], reportType = 'summary') {
-    const tasks = taskIds.length > 0 
-      ? taskIds.map(id => this.currentTasks.get(id)).filter(Boolean)
-      : Array.from(this.currentTasks.values());
+    const tasks = (taskIds.length > 0 ? taskIds : Array.from(this.currentTasks.keys()))
+      .filter(id => this.currentTasks.has(id))
+      .map(id => ({ id, ...this.currentTasks.get(id) }));
 
     if (tasks.length === 0) {
       return {
@@ -236,42 +880,52 @@ Always provide specific, actionable recommendations and cite relevant data or an
       tasks_analyzed: tasks.length,
       successful_tasks: tasks.filter(t => t.status === 'completed').length,
       failed_tasks: tasks.filter(t => t.status === 'failed').length,
+      usage: formatUsage(tasks.reduce((total, task) => mergeUsage(total, task.usage), emptyUsage())),
       tasks: tasks.map(task => ({
+        task_id: task.id,
         description: task.description,
         status: task.status,
         duration: task.completionTime 
           ? Math.round((task.completionTime - task.startTime) / 1000)
           : null,
-        result_summary: task.result ? task.result.substring(0, 200) + '...' : null
+        result_summary: task.result ? this.summarizeResult(task.result) : null,
+        usage: task.usage ? formatUsage(task.usage) : null
       }))
     };
 
-    // Generate insights using Claude
+    // Generate insights using the LLM provider
     try {
-      const response = await this.claude.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 1500,
-        system: `You are ${this.name}, generating a ${reportType} report as a ${this.role}.`,
+      const systemPrompt = this.renderPrompt('report_system', {
+        name: this.name,
+        role: this.role,
+        report_type: reportType
+      });
+      const userPrompt = this.renderPrompt('report_user', {
+        report_type: reportType,
+        report_data: reportData
+      });
+      const response = await this.callModelWithSettings(undefined, {
+        system: systemPrompt.text,
         messages: [
           {
             role: 'user',
-            content: `Generate a comprehensive ${reportType} report based on this data:\n\n${JSON.stringify(reportData, null, 2)}\n\nProvide key insights, patterns, and recommendations.`
+            content: userPrompt.text
           }
         ]
       });
 
+      reportData.prompts = {
+        system: promptRef(systemPrompt),
+        user: promptRef(userPrompt)
+      };
       reportData.insights = response.content[0].text;
       
-      // Save report to file
-      const reportsDir = path.join(__dirname, '../../reports');
-      await fs.mkdir(reportsDir, { recursive: true });
+      // Save report to the archive
+      const entry = await this.reportRepository.save(reportData, { agent: this.name, type: reportType });
       
-      const filename = `${this.name}_${reportType}_${Date.now()}.json`;
-      const reportPath = path.join(reportsDir, filename);
-      await fs.writeFile(reportPath, JSON.stringify(reportData, null, 2));
-      
-      console.log(`${this.name}: Generated report saved to ${filename}`);
-      return reportData;
+      console.log(`${this.name}: Generated report saved to ${entry.file}`);
+      this.emitEvent('report.generated', { report_id: entry.id, report_type: reportType });
+      return { report_id: entry.id, ...reportData };
 
     } catch (error) {
       console.error(`${this.name}: Error generating report:`, error);
@@ -283,6 +937,14 @@ Always provide specific, actionable recommendations and cite relevant data or an
     }
   }
 
+  /**
+   * Short preview of a task result (text or structured)
+   */
+  summarizeResult(result, length = 200) {
+    const text = typeof result === 'string' ? result : JSON.stringify(result);
+    return text.length > length ? text.substring(0, length) + '...' : text;
+  }
+
   /**
    * Get agent status and current workload
    */
@@ -291,13 +953,47 @@ Always provide specific, actionable recommendations and cite relevant data or an
       name: this.name,
       role: this.role,
       status: this.status,
+      model: this.model,
+      fallback_models: this.modelProfile.fallback_models,
+      routing_keywords: this.routingKeywords,
+      capabilities: this.getCapabilities().map(capability => capability.name),
+      running_tasks: this.runningTasks.size,
+      waiting_tasks: this.waitingTasks.length,
+      max_concurrent_tasks: this.maxConcurrentTasks,
       current_tasks: this.currentTasks.size,
       completed_tasks: Array.from(this.currentTasks.values())
         .filter(task => task.status === 'completed').length,
-      specialization: this.specialKnowledge
+      specialization: this.specialKnowledge,
+      usage: formatUsage(this.usageTotals)
     };
   }
 
+  /**
+   * Id for a task the agent starts itself (e.g. in a capability): the caller's task id inside runCapability,
+   * otherwise <prefix>-<uuid>
+   */
+  createTaskId(prefix) {
+    return capabilityScope.getStore()?.taskId || `${prefix}-${randomUUID()}`;
+  }
+
+  /**
+   * Call a capability as the task taskId; the task it processes gets the other options (signal, priority, noCache)
+   */
+  async runCapability(capability, args = [], { taskId, ...options } = {}) {
+    return await capabilityScope.run({ taskId, options }, () => this[capability](...args));
+  }
+
+  /**
+   * Methods callers can invoke directly on agents of this class (see listCapabilities)
+   */
+  static getCapabilities() {
+    return listCapabilities(this);
+  }
+
+  getCapabilities() {
+    return this.constructor.getCapabilities();
+  }
+
   /**
    * Register another agent for potential collaboration
    */
@@ -311,7 +1007,7 @@ Always provide specific, actionable recommendations and cite relevant data or an
    */
   clearCompletedTasks() {
     const completedTasks = Array.from(this.currentTasks.entries())
-      .filter(([_, task]) => task.status === 'completed' || task.status === 'failed');
+      .filter(([_, task]) => ['completed', 'failed', 'cancelled', 'timed_out'].includes(task.status));
     
     completedTasks.forEach(([taskId, _]) => {
       this.currentTasks.delete(taskId);
@@ -0,0 +1,98 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Lifecycle events published by agents
+ * Every event carries { id, type, timestamp, agent, role } (agent and role of the publisher);
+ * task events add task_id, collaboration events the collaboration's task_id.
+ */
+export const AGENT_EVENT_TYPES = [
+  'task.assigned', // CEO picked an agent: assigned_agent, priority, description, deadline
+  'task.queued', // waiting for a free slot: position
+  'task.started', // description, model, follow_up
+  'task.progress', // step (model_response, tool_call or cache_hit), iteration, model, stop_reason or tool
+  'task.completed', // duration_ms, usage
+  'task.failed', // error, duration_ms, usage
+  'task.cancelled', // error, duration_ms, usage
+  'task.timed_out', // error, duration_ms, usage
+  'task.escalated', // priority, reason, deliveries
+  'collaboration.started', // protocol, participants
+  'collaboration.round', // protocol, round, turns ([{ agent, step }])
+  'collaboration.completed', // status, stop_reason, rounds, converged
+  'report.generated' // report_id, report_type
+];
+
+/**
+ * Event bus agents publish their lifecycle events on
+ * Listeners get the event under its type and under 'event' (every type).
+ * A failing listener, whether added with on() or subscribe(), is logged instead of breaking the agent that published.
+ */
+export class AgentEventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // every open /events stream is a listener
+    this.sequence = 0;
+  }
+
+  /**
+   * Publish an event from an agent; returns the event
+   */
+  publish(type, source, data = {}) {
+    if (!AGENT_EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown agent event type: ${type}`);
+    }
+
+    const event = {
+      id: ++this.sequence,
+      type,
+      timestamp: new Date().toISOString(),
+      agent: source.name,
+      role: source.role,
+      ...data
+    };
+    this.deliver(type, event);
+    this.deliver('event', event);
+    return event;
+  }
+
+  /**
+   * Call each listener of name with the event, logging the ones that throw
+   */
+  deliver(name, event) {
+    for (const listener of this.rawListeners(name)) {
+      try {
+        listener.call(this, event);
+      } catch (error) {
+        console.error(`❌ Agent event listener failed on ${event.type}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Call listener(event) for the given types (all when types is empty); returns an unsubscribe function
+   */
+  subscribe(types, listener) {
+    const unknown = types.filter(type => !AGENT_EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown agent event type: ${unknown.join(', ')}`);
+    }
+
+    const handler = event => {
+      if (types.length > 0 && !types.includes(event.type)) return;
+      listener(event);
+    };
+    this.on('event', handler);
+    return () => this.off('event', handler);
+  }
+}
+
+let defaultEventBus = null;
+
+/**
+ * Event bus shared by all agents that are not given their own
+ */
+export function getEventBus() {
+  if (!defaultEventBus) {
+    defaultEventBus = new AgentEventBus();
+  }
+  return defaultEventBus;
+}
@@ -0,0 +1,60 @@
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Agent } from './Agent.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_AGENTS_DIR = path.join(__dirname, '..');
+
+export class AgentPluginError extends Error {
+  constructor(file, message) {
+    super(`Agent plugin ${file}: ${message}`);
+    this.name = 'AgentPluginError';
+    this.file = file;
+  }
+}
+
+function isAgentSubclass(value) {
+  return typeof value === 'function' && value.prototype instanceof Agent;
+}
+
+/**
+ * Find Agent subclasses exported by agents/<name>/index.js
+ * Returns a Map of folder name (the roster name the plugin serves) -> { name, file, AgentClass, capabilities }.
+ * A module that fails to load or exports more than one subclass is an error; one without a subclass is skipped.
+ */
+export async function discoverAgentPlugins(dir = DEFAULT_AGENTS_DIR) {
+  const plugins = new Map();
+  const folders = (await fsp.readdir(dir, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory() && entry.name !== 'base')
+    .map(entry => entry.name)
+    .sort();
+
+  for (const folder of folders) {
+    const file = path.join(dir, folder, 'index.js');
+    try {
+      await fsp.access(file);
+    } catch {
+      continue;
+    }
+
+    let exports;
+    try {
+      exports = await import(pathToFileURL(file).href);
+    } catch (error) {
+      throw new AgentPluginError(file, `could not be loaded: ${error.message}`);
+    }
+
+    const classes = [...new Set(Object.values(exports).filter(isAgentSubclass))];
+    if (classes.length > 1) {
+      throw new AgentPluginError(file, `exports ${classes.length} Agent subclasses (${classes.map(AgentClass => AgentClass.name).join(', ')}), expected one`);
+    }
+    if (classes.length === 1) {
+      plugins.set(folder, { name: folder, file, AgentClass: classes[0], capabilities: classes[0].getCapabilities() });
+    }
+  }
+
+  return plugins;
+}
@@ -0,0 +1,63 @@
+import fsp from 'fs/promises';
+import path from 'path';
+import { getEventBus } from './AgentEvents.js';
+
+/**
+ * Appends agent lifecycle events to a JSON Lines file (AUDIT_LOG_FILE), one event per line
+ * Only the given event types are written, all of them by default.
+ */
+export class AuditLog {
+  constructor(options = {}) {
+    this.file = options.file || process.env.AUDIT_LOG_FILE;
+    this.eventBus = options.eventBus || getEventBus();
+    this.types = options.types || [];
+    this.unsubscribe = null;
+    this.writes = Promise.resolve(); // lines are appended in event order
+    this.failures = 0;
+  }
+
+  start() {
+    if (!this.file) {
+      throw new Error('AuditLog needs a file (AUDIT_LOG_FILE)');
+    }
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.eventBus.subscribe(this.types, event => this.append(event));
+    }
+    return this;
+  }
+
+  stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    return this.flush();
+  }
+
+  append(event) {
+    const line = `${JSON.stringify(event)}\n`;
+    this.writes = this.writes.then(async () => {
+      try {
+        await fsp.mkdir(path.dirname(this.file), { recursive: true });
+        await fsp.appendFile(this.file, line);
+      } catch (error) {
+        this.failures++;
+        console.error(`❌ Could not write event ${event.id} to the audit log:`, error.message);
+      }
+    });
+  }
+
+  /**
+   * Resolves once every event received so far is written
+   */
+  flush() {
+    return this.writes;
+  }
+
+  getStatus() {
+    return {
+      file: this.file || null,
+      active: Boolean(this.unsubscribe),
+      types: this.types.length > 0 ? this.types : 'all',
+      failed_writes: this.failures
+    };
+  }
+}
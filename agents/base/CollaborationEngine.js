@@ -0,0 +1,300 @@
+import { emptyUsage, mergeUsage, formatUsage } from './usage.js';
+import { textSimilarity } from './LessonStore.js';
+
+/**
+ * How participants work together:
+ * - round_robin: the first agent drafts, then every agent in turn critiques and revises the shared answer
+ * - proposer_reviewer: the first agent proposes, the others review, the proposer revises
+ * - debate: every agent states a position and updates it after seeing the others; a judge merges them
+ */
+export const COLLABORATION_PROTOCOLS = ['round_robin', 'proposer_reviewer', 'debate'];
+
+const answerSchema = {
+  type: 'object',
+  required: ['answer'],
+  properties: {
+    answer: { type: 'string', minLength: 1 }
+  }
+};
+
+const reviewSchema = {
+  type: 'object',
+  required: ['verdict', 'critique'],
+  properties: {
+    verdict: { type: 'string', enum: ['approve', 'revise'] },
+    critique: { type: 'string' },
+    answer: { type: 'string', description: 'Revised answer (round_robin only)' }
+  }
+};
+
+const judgmentSchema = {
+  type: 'object',
+  required: ['answer', 'rationale'],
+  properties: {
+    answer: { type: 'string', minLength: 1 },
+    rationale: { type: 'string' }
+  }
+};
+
+/**
+ * Runs multi-round collaborations between agents
+ *
+ * Every turn is a regular processTask call on the participant, so turns show up in the
+ * agent's tasks, usage and prompt versions. The discussion so far is passed as task context
+ * and therefore stays within the participant's context budget.
+ * A collaboration stops after maxRounds or once it converges: all reviewers approve, or
+ * answers change less than convergenceThreshold (token similarity) from one round to the next.
+ */
+export class CollaborationEngine {
+  constructor(options = {}) {
+    this.maxRounds = options.maxRounds || 3;
+    this.convergenceThreshold = options.convergenceThreshold ?? 0.85;
+  }
+
+  /**
+   * Run a collaboration on a task
+   * Options: agents (2 or more), protocol, judge (agent, required for debate), maxRounds, context,
+   * signal (AbortSignal) to cancel the collaboration, including the turn in progress
+   * (a TimeoutError reason marks it timed_out instead of cancelled),
+   * onRound({ round, turns }) called as each round is finished
+   * Returns { success, protocol, participants, judge, rounds, converged, stop_reason, transcript, final_answer, usage }
+   */
+  async run(task, { agents = [], protocol = 'round_robin', judge = null, maxRounds = this.maxRounds, context = {}, signal = null, onRound = null } = {}) {
+    if (!COLLABORATION_PROTOCOLS.includes(protocol)) {
+      throw new Error(`Unknown collaboration protocol: ${protocol} (expected one of ${COLLABORATION_PROTOCOLS.join(', ')})`);
+    }
+    if (agents.length < 2) {
+      throw new Error('A collaboration needs at least two agents');
+    }
+    if (protocol === 'debate' && !judge) {
+      throw new Error('A debate needs a judge');
+    }
+
+    const session = {
+      id: `collab-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      task,
+      protocol,
+      agents,
+      context,
+      signal,
+      onRound,
+      transcript: [],
+      usage: emptyUsage()
+    };
+
+    console.log(`🤝 Collaboration ${session.id}: ${protocol} between ${agents.map(agent => agent.name).join(', ')}`);
+
+    let outcome;
+    try {
+      const run = {
+        round_robin: () => this.runRoundRobin(session, maxRounds),
+        proposer_reviewer: () => this.runProposerReviewer(session, maxRounds),
+        debate: () => this.runDebate(session, maxRounds, judge)
+      }[protocol];
+      outcome = { success: true, ...await run() };
+      this.finishRound(session, session.transcript.at(-1)?.round);
+    } catch (error) {
+      const rounds = session.transcript.at(-1)?.round || 0;
+      if (signal?.aborted && signal.reason?.name === 'TimeoutError') {
+        console.log(`⏰ Collaboration ${session.id} timed out: ${signal.reason.message}`);
+        outcome = { success: false, timed_out: true, error: signal.reason.message || 'Collaboration timed out', rounds, converged: false, stop_reason: 'timed_out' };
+      } else if (signal?.aborted) {
+        console.log(`🛑 Collaboration ${session.id} cancelled`);
+        outcome = { success: false, cancelled: true, error: 'Collaboration cancelled', rounds, converged: false, stop_reason: 'cancelled' };
+      } else {
+        console.error(`❌ Collaboration ${session.id} failed:`, error.message);
+        outcome = { success: false, error: error.message, rounds, converged: false };
+      }
+    }
+
+    return {
+      id: session.id,
+      task,
+      protocol,
+      participants: agents.map(agent => agent.name),
+      judge: judge?.name || null,
+      ...outcome,
+      transcript: session.transcript,
+      usage: formatUsage(session.usage)
+    };
+  }
+
+  /**
+   * Shared answer passed around the agents; each turn critiques and revises it
+   */
+  async runRoundRobin(session, maxRounds) {
+    const [first] = session.agents;
+    let answer = (await this.takeTurn(session, first, 'collaboration_draft', { round: 1, step: 'draft' }, answerSchema)).answer;
+
+    for (let round = 1; round <= maxRounds; round++) {
+      const roundStart = answer;
+      const verdicts = [];
+      // The drafter starts reviewing from the second round on
+      for (const agent of round === 1 ? session.agents.slice(1) : session.agents) {
+        const review = await this.takeTurn(session, agent, 'collaboration_review', {
+          round,
+          step: 'critique',
+          current_answer: answer,
+          revise: true
+        }, reviewSchema);
+        verdicts.push(review.verdict);
+        if (review.verdict === 'revise' && review.answer) {
+          answer = review.answer;
+        }
+      }
+
+      if (this.hasConverged(verdicts, [[roundStart, answer]])) {
+        return this.finish(round, true, answer);
+      }
+    }
+    return this.finish(maxRounds, false, answer);
+  }
+
+  /**
+   * First agent proposes and revises; the others only review
+   */
+  async runProposerReviewer(session, maxRounds) {
+    const [proposer, ...reviewers] = session.agents;
+    let proposal = (await this.takeTurn(session, proposer, 'collaboration_draft', { round: 1, step: 'proposal' }, answerSchema)).answer;
+
+    for (let round = 1; round <= maxRounds; round++) {
+      const reviews = [];
+      for (const reviewer of reviewers) {
+        const review = await this.takeTurn(session, reviewer, 'collaboration_review', {
+          round,
+          step: 'review',
+          current_answer: proposal,
+          revise: false
+        }, reviewSchema);
+        reviews.push({ reviewer: reviewer.name, ...review });
+      }
+
+      if (reviews.every(review => review.verdict === 'approve')) {
+        return this.finish(round, true, proposal);
+      }
+      if (round === maxRounds) break;
+
+      const previous = proposal;
+      proposal = (await this.takeTurn(session, proposer, 'collaboration_revise', {
+        round: round + 1,
+        step: 'revision',
+        current_answer: proposal,
+        critiques: reviews
+          .filter(review => review.verdict === 'revise')
+          .map(({ reviewer, critique }) => ({ reviewer, critique }))
+      }, answerSchema)).answer;
+
+      if (this.hasConverged([], [[previous, proposal]])) {
+        return this.finish(round + 1, true, proposal);
+      }
+    }
+    return this.finish(maxRounds, false, proposal);
+  }
+
+  /**
+   * Every agent argues a position and may update it each round; the judge merges the final positions
+   */
+  async runDebate(session, maxRounds, judge) {
+    let positions = new Map();
+    let rounds = 0;
+    let converged = false;
+
+    while (rounds < maxRounds && !converged) {
+      rounds++;
+      const next = new Map();
+      for (const agent of session.agents) {
+        const others = session.agents
+          .filter(other => other !== agent && positions.has(other.name))
+          .map(other => ({ agent: other.name, role: other.role, position: positions.get(other.name) }));
+        const turn = await this.takeTurn(session, agent, 'collaboration_position', {
+          round: rounds,
+          step: 'position',
+          ...(positions.has(agent.name) && { your_position: positions.get(agent.name) }),
+          ...(others.length > 0 && { other_positions: others })
+        }, answerSchema);
+        next.set(agent.name, turn.answer);
+      }
+
+      // Positions that no longer move mean the debate has settled
+      converged = rounds > 1 && this.hasConverged([], session.agents.map(agent => [positions.get(agent.name), next.get(agent.name)]));
+      positions = next;
+    }
+
+    const judgment = await this.takeTurn(session, judge, 'collaboration_judge', {
+      round: rounds,
+      step: 'judgment',
+      positions: session.agents.map(agent => ({ agent: agent.name, role: agent.role, position: positions.get(agent.name) }))
+    }, judgmentSchema);
+
+    return { ...this.finish(rounds, converged, judgment.answer), rationale: judgment.rationale };
+  }
+
+  /**
+   * One participant turn: render the step's prompt for the agent and run it as a task
+   */
+  async takeTurn(session, agent, promptName, { round, step, revise, ...discussion }, schema) {
+    session.signal?.throwIfAborted();
+    const prompt = agent.renderPrompt(promptName, {
+      task: session.task,
+      role: agent.role,
+      participants: session.agents.map(participant => `${participant.name} (${participant.role})`),
+      round,
+      revise
+    });
+    const taskId = `${session.id}-r${round}-${step}-${agent.name}`;
+    const result = await agent.processTask(taskId, prompt.text, {
+      ...session.context,
+      collaboration: session.protocol,
+      round,
+      ...discussion
+    }, { schema, prompt, signal: session.signal });
+
+    mergeUsage(session.usage, result.usage);
+    if (!result.success) {
+      throw new Error(`${agent.name} failed during ${step} in round ${round}: ${result.error}`);
+    }
+
+    const previous = session.transcript.at(-1);
+    if (previous && previous.round !== round) {
+      this.finishRound(session, previous.round);
+    }
+    session.transcript.push({
+      round,
+      step,
+      agent: agent.name,
+      role: agent.role,
+      taskId,
+      ...result.result
+    });
+    return result.result;
+  }
+
+  /**
+   * Report a finished round with its turns to the session's onRound callback
+   */
+  finishRound(session, round) {
+    if (session.onRound && round !== undefined) {
+      session.onRound({ round, turns: session.transcript.filter(turn => turn.round === round) });
+    }
+  }
+
+  /**
+   * Converged when every verdict approves, or every answer pair [before, after] barely changed
+   */
+  hasConverged(verdicts, changes) {
+    if (verdicts.length > 0 && verdicts.every(verdict => verdict === 'approve')) {
+      return true;
+    }
+    return changes.length > 0 &&
+      changes.every(([before, after]) => textSimilarity(before, after) >= this.convergenceThreshold);
+  }
+
+  finish(rounds, converged, finalAnswer) {
+    return {
+      rounds,
+      converged,
+      stop_reason: converged ? 'converged' : 'max_rounds',
+      final_answer: finalAnswer
+    };
+  }
+}
@@ -0,0 +1,181 @@
+import { estimateTokens } from './tokens.js';
+
+/**
+ * Tokens of task context allowed in a user prompt, per model
+ * The default applies to unlisted models and can be changed with CONTEXT_TOKEN_BUDGET
+ */
+export const CONTEXT_TOKEN_BUDGETS = {
+  'claude-3-5-sonnet-20241022': 8000,
+  'claude-3-5-sonnet-20240620': 8000,
+  'claude-3-5-haiku-20241022': 4000,
+  'claude-3-opus-20240229': 8000,
+  default: 4000
+};
+
+// A field that would be cut below this is left out instead
+const MIN_FIELD_TOKENS = 16;
+
+function isScalar(value) {
+  return value === null || value === undefined || typeof value !== 'object' || value instanceof Date;
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return 'none';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+function isPlainList(value) {
+  return Array.isArray(value) && value.every(item => isScalar(item) && !formatScalar(item).includes('\n'));
+}
+
+/**
+ * Whether a value renders on the same line as its key
+ */
+function isInline(value) {
+  if (isScalar(value)) return !formatScalar(value).includes('\n');
+  return isPlainList(value) || Object.keys(value).length === 0;
+}
+
+function indentLines(lines, prefix) {
+  return lines.map(line => `${prefix}${line}`);
+}
+
+/**
+ * Readable lines for a value: nested objects as indented "key: value" lines,
+ * arrays of objects as "- " items, arrays of plain values joined with ", "
+ */
+export function serializeValue(value) {
+  if (isScalar(value)) {
+    return formatScalar(value).split('\n');
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return ['none'];
+    if (isPlainList(value)) {
+      return [value.map(formatScalar).join(', ')];
+    }
+    return value.flatMap(item => {
+      const [first, ...rest] = serializeValue(item);
+      return [`- ${first}`, ...indentLines(rest, '  ')];
+    });
+  }
+
+  const entries = Object.entries(value);
+  if (entries.length === 0) return ['none'];
+  return entries.flatMap(([key, item]) => {
+    const lines = serializeValue(item);
+    return isInline(item) ? [`${key}: ${lines[0]}`] : [`${key}:`, ...indentLines(lines, '  ')];
+  });
+}
+
+/**
+ * One context entry as prompt text: "- key: value", or "- key:" followed by an indented block
+ */
+function serializeField(key, lines, inline) {
+  return inline
+    ? `- ${key}: ${lines[0]}`
+    : [`- ${key}:`, ...indentLines(lines, '    ')].join('\n');
+}
+
+const TRUNCATION_MARKER = ' … [truncated]';
+
+/**
+ * A field cut to fit maxTokens: whole lines are kept while they fit; a first line that does not fit is cut mid-line
+ * Returns null if not even a short part of the value fits
+ */
+function truncateField(key, lines, inline, maxTokens) {
+  const indent = inline ? 0 : 4;
+  let available = maxTokens * 4 - `- ${key}: `.length - TRUNCATION_MARKER.length;
+  if (available < MIN_FIELD_TOKENS * 4) return null;
+
+  const kept = [];
+  for (const line of lines) {
+    if (indent + line.length + 1 > available) break;
+    kept.push(line);
+    available -= indent + line.length + 1;
+  }
+  if (kept.length === 0) {
+    kept.push(lines[0].slice(0, available - indent - 1));
+  }
+  kept[kept.length - 1] += TRUNCATION_MARKER;
+  return serializeField(key, kept, inline);
+}
+
+/**
+ * Renders task context for prompts within a per-model token budget
+ *
+ * When the context does not fit, the largest fields are cut first: every field
+ * gets an equal share of what is left after the fields that fit, the larger
+ * ones are truncated to that share and fields whose share would be tiny are left out.
+ * What was cut is returned as cuts and as a note for the prompt.
+ */
+export class ContextSerializer {
+  constructor(options = {}) {
+    this.budgets = { ...CONTEXT_TOKEN_BUDGETS, ...options.budgets };
+    if (!options.budgets?.default && process.env.CONTEXT_TOKEN_BUDGET) {
+      this.budgets.default = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10);
+    }
+  }
+
+  getBudget(model) {
+    return this.budgets[model] ?? this.budgets.default;
+  }
+
+  /**
+   * Serialize a context object
+   * Returns { text, tokens, budget, cuts: [{ key, action: 'truncated' | 'omitted', tokens, kept_tokens }], note }
+   */
+  serialize(context = {}, { model, maxTokens = this.getBudget(model) } = {}) {
+    const fields = Object.entries(context || {}).map(([key, value]) => {
+      const lines = serializeValue(value);
+      const text = serializeField(key, lines, isInline(value));
+      return { key, lines, inline: isInline(value), text, tokens: estimateTokens(text) };
+    });
+
+    const cuts = new Map();
+    const total = fields.reduce((sum, field) => sum + field.tokens, 0);
+    if (total > maxTokens) {
+      let remaining = maxTokens;
+      const bySize = [...fields].sort((a, b) => a.tokens - b.tokens);
+      bySize.forEach((field, index) => {
+        const share = Math.floor(remaining / (bySize.length - index));
+        if (field.tokens <= share) {
+          remaining -= field.tokens;
+          return;
+        }
+
+        field.text = truncateField(field.key, field.lines, field.inline, share);
+        if (field.text === null) {
+          cuts.set(field.key, { key: field.key, action: 'omitted', tokens: field.tokens, kept_tokens: 0 });
+          return;
+        }
+
+        const keptTokens = estimateTokens(field.text);
+        cuts.set(field.key, { key: field.key, action: 'truncated', tokens: field.tokens, kept_tokens: keptTokens });
+        remaining -= keptTokens;
+      });
+    }
+
+    // Report cuts in context order
+    const orderedCuts = fields.filter(field => cuts.has(field.key)).map(field => cuts.get(field.key));
+    const text = fields.filter(field => field.text !== null).map(field => field.text).join('\n');
+    return {
+      text,
+      tokens: estimateTokens(text),
+      budget: maxTokens,
+      cuts: orderedCuts,
+      note: this.describeCuts(orderedCuts)
+    };
+  }
+
+  /**
+   * Prompt note listing what was cut, e.g. "business_info truncated (1200 → 300 tokens); history omitted (900 tokens)"
+   */
+  describeCuts(cuts) {
+    return cuts.map(cut => (cut.action === 'omitted'
+      ? `${cut.key} omitted (${cut.tokens} tokens)`
+      : `${cut.key} truncated (${cut.tokens} → ${cut.kept_tokens} tokens)`
+    )).join('; ');
+  }
+}
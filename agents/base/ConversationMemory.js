@@ -0,0 +1,126 @@
+import { estimateTokens, estimateMessageTokens } from './tokens.js';
+
+/**
+ * Conversation threads keyed by task id
+ * A thread holds the turns of a task (alternating user/assistant messages) and,
+ * once the token budget was exceeded, a summary of the turns that were compacted away
+ */
+export class ConversationMemory {
+  constructor(options = {}) {
+    this.maxTokens = options.maxTokens || 6000;
+    this.keepRecentTurns = options.keepRecentTurns ?? 2;
+    this.maxThreads = options.maxThreads || 200;
+    this.threads = new Map();
+  }
+
+  has(taskId) {
+    return this.threads.has(taskId);
+  }
+
+  get(taskId) {
+    return this.threads.get(taskId);
+  }
+
+  /**
+   * Start a thread for a task; the oldest thread is dropped once maxThreads is reached
+   */
+  create(taskId, { description, context = {} }) {
+    if (!this.threads.has(taskId) && this.threads.size >= this.maxThreads) {
+      this.threads.delete(this.threads.keys().next().value);
+    }
+
+    const thread = {
+      taskId,
+      description,
+      context,
+      turns: [],
+      summary: null,
+      summarizedTurns: 0,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    this.threads.set(taskId, thread);
+    return thread;
+  }
+
+  /**
+   * Record one user/assistant exchange
+   */
+  appendExchange(taskId, userContent, assistantContent) {
+    const thread = this.threads.get(taskId);
+    thread.turns.push(
+      { role: 'user', content: userContent },
+      { role: 'assistant', content: assistantContent }
+    );
+    thread.updatedAt = new Date();
+    return thread;
+  }
+
+  /**
+   * Estimated tokens a follow-up would send: summary, stored turns and the new message
+   */
+  estimateThreadTokens(taskId, nextMessage = '') {
+    const thread = this.threads.get(taskId);
+    return estimateTokens(thread.summary) + estimateMessageTokens(thread.turns) + estimateTokens(nextMessage);
+  }
+
+  /**
+   * Turns that should be summarized before the next message, or [] if the thread fits the budget
+   * The most recent keepRecentTurns exchanges are always kept verbatim
+   */
+  getTurnsToCompact(taskId, nextMessage = '') {
+    const thread = this.threads.get(taskId);
+    if (this.estimateThreadTokens(taskId, nextMessage) <= this.maxTokens) {
+      return [];
+    }
+    return thread.turns.slice(0, Math.max(0, thread.turns.length - this.keepRecentTurns * 2));
+  }
+
+  /**
+   * Replace the oldest turns with a summary (which already covers any earlier summary)
+   */
+  compact(taskId, summary, turnCount) {
+    const thread = this.threads.get(taskId);
+    thread.turns = thread.turns.slice(turnCount);
+    thread.summary = summary;
+    thread.summarizedTurns += turnCount;
+    return thread;
+  }
+
+  /**
+   * Messages for the next model call: summary and stored turns, then the new user message
+   */
+  buildMessages(taskId, nextMessage) {
+    const thread = this.threads.get(taskId);
+    const messages = thread.turns.map(turn => ({ ...turn }));
+    messages.push({ role: 'user', content: nextMessage });
+
+    if (thread.summary) {
+      messages[0] = {
+        role: 'user',
+        content: `Summary of the earlier conversation:\n${thread.summary}\n\n${messages[0].content}`
+      };
+    }
+    return messages;
+  }
+
+  /**
+   * Thread overview for status responses
+   */
+  describe(taskId) {
+    const thread = this.threads.get(taskId);
+    if (!thread) return null;
+
+    return {
+      turns: (thread.summarizedTurns + thread.turns.length) / 2,
+      summarized_turns: thread.summarizedTurns / 2,
+      has_summary: Boolean(thread.summary),
+      estimated_tokens: this.estimateThreadTokens(taskId),
+      updated_at: thread.updatedAt
+    };
+  }
+
+  delete(taskId) {
+    return this.threads.delete(taskId);
+  }
+}
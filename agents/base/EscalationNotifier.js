@@ -0,0 +1,102 @@
+const DELIVERY_TIMEOUT_MS = 10000;
+
+/**
+ * Plain-text escalation message, used for Telegram and as the webhook's text field
+ */
+function formatEscalation(escalation) {
+  return [
+    `🚨 ${escalation.priority.toUpperCase()} priority task missed its deadline`,
+    `Task: ${escalation.task_id}`,
+    `Description: ${escalation.description}`,
+    `Agent: ${escalation.assigned_agent || 'not assigned'}`,
+    `Deadline: ${escalation.deadline || 'none'}`,
+    `Reason: ${escalation.reason}`
+  ].join('\n');
+}
+
+/**
+ * Escalates tasks that missed their deadline or timed out
+ *
+ * Channels: the log always; a webhook (JSON POST) when ESCALATION_WEBHOOK_URL is set;
+ * a Telegram message when TELEGRAM_BOT_TOKEN and ESCALATION_TELEGRAM_CHAT_ID are set.
+ * Only tasks with one of the escalation priorities (ESCALATION_PRIORITIES, default high) are escalated.
+ */
+export class EscalationNotifier {
+  constructor(options = {}) {
+    this.priorities = options.priorities ||
+      (process.env.ESCALATION_PRIORITIES || 'high').split(',').map(priority => priority.trim()).filter(Boolean);
+    this.webhookUrl = options.webhookUrl ?? process.env.ESCALATION_WEBHOOK_URL ?? null;
+    this.telegramToken = options.telegramToken ?? process.env.TELEGRAM_BOT_TOKEN ?? null;
+    this.telegramChatId = options.telegramChatId ?? process.env.ESCALATION_TELEGRAM_CHAT_ID ?? null;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  shouldEscalate(task) {
+    return this.priorities.includes(task.priority);
+  }
+
+  getChannels() {
+    return [
+      'log',
+      ...(this.webhookUrl ? ['webhook'] : []),
+      ...(this.telegramToken && this.telegramChatId ? ['telegram'] : [])
+    ];
+  }
+
+  /**
+   * Send an escalation for a task to every configured channel
+   * A failed delivery is reported in the result, never thrown
+   * Returns { task_id, priority, reason, escalated_at, deliveries: [{ channel, delivered, error }] }
+   */
+  async escalate(task, reason) {
+    const escalation = {
+      task_id: task.id,
+      description: task.description,
+      priority: task.priority,
+      assigned_agent: task.assignedAgent || null,
+      deadline: task.deadline ? new Date(task.deadline).toISOString() : null,
+      reason,
+      escalated_at: new Date().toISOString()
+    };
+
+    const deliveries = await Promise.all(this.getChannels().map(async channel => {
+      try {
+        await this.deliver(channel, escalation);
+        return { channel, delivered: true };
+      } catch (error) {
+        console.error(`❌ Escalation of task ${task.id} via ${channel} failed:`, error.message);
+        return { channel, delivered: false, error: error.message };
+      }
+    }));
+
+    return { ...escalation, deliveries };
+  }
+
+  async deliver(channel, escalation) {
+    if (channel === 'log') {
+      console.warn(formatEscalation(escalation));
+      return;
+    }
+
+    const [url, body] = channel === 'webhook'
+      ? [this.webhookUrl, { event: 'task_deadline_missed', text: formatEscalation(escalation), ...escalation }]
+      : [`https://api.telegram.org/bot${this.telegramToken}/sendMessage`, { chat_id: this.telegramChatId, text: formatEscalation(escalation) }];
+
+    const response = await this.fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      priorities: this.priorities,
+      channels: this.getChannels()
+    };
+  }
+}
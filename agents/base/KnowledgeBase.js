@@ -0,0 +1,302 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { parseKnowledgeFile, isKnowledgeFile, isExpired } from './KnowledgeDocuments.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_KNOWLEDGE_DIR = path.join(__dirname, '../../knowledge_base');
+
+// shared/<file> and specialized/<role>/<file>, relative to the knowledge base directory
+const KNOWLEDGE_PATH_PATTERN = /^(shared\/[^/]+|specialized\/[^/]+\/[^/]+)$/;
+
+// Folders that hold knowledge files or role folders: the root (''), shared, specialized and specialized/<role>
+const KNOWLEDGE_FOLDER_PATTERN = /^(|shared|specialized|specialized\/[^/]+)$/;
+
+function isKnowledgePath(relative) {
+  return KNOWLEDGE_PATH_PATTERN.test(relative) && isKnowledgeFile(relative);
+}
+
+/**
+ * In-memory knowledge base shared by all agents
+ * JSON, YAML, Markdown and text files are parsed into one document model (see KnowledgeDocuments.js)
+ * once, and with watch() re-parsed when they change on disk.
+ * A file that fails to parse keeps its last good version and is reported in getStatus().
+ *
+ * Events: 'reload' ({ file, version }) after a file was (re)loaded or removed,
+ * 'reload_failed' ({ file, error }) when a changed file could not be parsed
+ */
+export class KnowledgeBase extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.dir = options.dir || process.env.KNOWLEDGE_BASE_DIR || DEFAULT_KNOWLEDGE_DIR;
+    this.debounceMs = options.debounceMs ?? 100;
+    this.documents = new Map(); // relative path -> document (see parseKnowledgeFile) with loadedAt
+    this.errors = new Map(); // relative path -> { error, at }
+    this.version = 0;
+    this.loaded = false;
+    this.loading = null;
+    this.lastReload = null;
+    this.watchers = new Map(); // relative folder path -> fs.FSWatcher
+    this.pendingReloads = new Map();
+    this.snapshot = null;
+  }
+
+  /**
+   * Load all knowledge files once; concurrent callers share the same load
+   */
+  ensureLoaded() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  }
+
+  async load() {
+    for (const file of await this.listFiles()) {
+      await this.reloadFile(file);
+    }
+    this.loaded = true;
+    console.log(`📚 Knowledge base loaded: ${this.documents.size} files${this.errors.size > 0 ? `, ${this.errors.size} with errors` : ''}`);
+  }
+
+  /**
+   * Relative paths of all knowledge files currently on disk
+   */
+  async listFiles() {
+    const readDir = async (relative) => {
+      try {
+        return await fsp.readdir(path.join(this.dir, relative), { withFileTypes: true });
+      } catch (error) {
+        return [];
+      }
+    };
+
+    const files = (await readDir('shared'))
+      .filter(entry => entry.isFile())
+      .map(entry => `shared/${entry.name}`);
+
+    for (const roleDir of (await readDir('specialized')).filter(entry => entry.isDirectory())) {
+      for (const entry of await readDir(`specialized/${roleDir.name}`)) {
+        if (entry.isFile()) files.push(`specialized/${roleDir.name}/${entry.name}`);
+      }
+    }
+
+    return files.filter(isKnowledgePath);
+  }
+
+  /**
+   * Re-read one file; the parsed document only replaces the old one if parsing succeeded
+   */
+  async reloadFile(relative) {
+    let document;
+    try {
+      document = parseKnowledgeFile(relative, await fsp.readFile(path.join(this.dir, relative), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        const removed = this.documents.delete(relative);
+        this.errors.delete(relative);
+        if (removed) {
+          this.markChanged(relative);
+          console.log(`📚 Knowledge file removed: ${relative}`);
+        }
+        return;
+      }
+
+      this.errors.set(relative, { error: error.message, at: new Date() });
+      console.error(`❌ Could not load knowledge file ${relative}${this.documents.has(relative) ? ' (keeping last good version)' : ''}:`, error.message);
+      this.emit('reload_failed', { file: relative, error });
+      return;
+    }
+
+    this.documents.set(relative, { ...document, loadedAt: new Date() });
+    this.errors.delete(relative);
+    this.markChanged(relative);
+    if (this.loaded) {
+      console.log(`📚 Reloaded knowledge file ${relative}`);
+    }
+  }
+
+  markChanged(relative) {
+    this.version++;
+    this.snapshot = null;
+    this.lastReload = new Date();
+    this.emit('reload', { file: relative, version: this.version });
+  }
+
+  /**
+   * Start watching the knowledge base directory and reload files as they change
+   * Bursts of events for the same file (editors often write in several steps) are debounced
+   */
+  watch() {
+    if (this.watchers.size > 0) {
+      return this;
+    }
+
+    this.watchFolder('');
+    if (this.watchers.size > 0) {
+      console.log(`👀 Watching ${this.dir} for knowledge base changes`);
+    }
+    return this;
+  }
+
+  /**
+   * Watch one knowledge folder and the knowledge folders inside it
+   * Recursive fs.watch is not available on Linux before Node 20, so every folder gets its own watcher
+   */
+  watchFolder(relative) {
+    if (this.watchers.has(relative)) {
+      return;
+    }
+
+    const absolute = path.join(this.dir, relative);
+    let watcher;
+    let entries;
+    try {
+      watcher = fs.watch(absolute, (eventType, filename) => {
+        if (filename) {
+          this.handleWatchEvent(relative ? `${relative}/${filename}` : filename);
+        }
+      });
+      entries = fs.readdirSync(absolute, { withFileTypes: true });
+    } catch (error) {
+      watcher?.close();
+      console.warn(`Could not watch knowledge base directory ${absolute}:`, error.message);
+      return;
+    }
+    watcher.on('error', error => {
+      console.error(`❌ Knowledge base watcher error on ${absolute}:`, error.message);
+      this.unwatchFolder(relative);
+    });
+    // Watching must not keep the process alive on its own
+    watcher.unref();
+    this.watchers.set(relative, watcher);
+
+    for (const entry of entries) {
+      const child = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && KNOWLEDGE_FOLDER_PATTERN.test(child)) {
+        this.watchFolder(child);
+      }
+    }
+  }
+
+  /**
+   * Stop watching a folder and the folders inside it
+   */
+  unwatchFolder(relative) {
+    for (const [folder, watcher] of this.watchers) {
+      if (folder === relative || folder.startsWith(`${relative}/`)) {
+        watcher.close();
+        this.watchers.delete(folder);
+      }
+    }
+  }
+
+  /**
+   * Reload a changed file; a folder that appeared is watched and its files loaded, a removed one unloaded
+   */
+  handleWatchEvent(relative) {
+    if (isKnowledgePath(relative)) {
+      this.scheduleReload(relative);
+      return;
+    }
+    if (!KNOWLEDGE_FOLDER_PATTERN.test(relative)) {
+      return;
+    }
+
+    if (fs.existsSync(path.join(this.dir, relative))) {
+      this.watchFolder(relative);
+      this.listFiles()
+        .then(files => files.filter(file => file.startsWith(`${relative}/`)).forEach(file => this.scheduleReload(file)))
+        .catch(error => console.error(`❌ Could not list knowledge files in ${relative}:`, error.message));
+    } else {
+      this.unwatchFolder(relative);
+      for (const file of this.documents.keys()) {
+        if (file.startsWith(`${relative}/`)) this.scheduleReload(file);
+      }
+    }
+  }
+
+  scheduleReload(relative) {
+    clearTimeout(this.pendingReloads.get(relative));
+    const timer = setTimeout(() => {
+      this.pendingReloads.delete(relative);
+      this.reloadFile(relative);
+    }, this.debounceMs);
+    timer.unref();
+    this.pendingReloads.set(relative, timer);
+  }
+
+  close() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    this.pendingReloads.forEach(timer => clearTimeout(timer));
+    this.pendingReloads.clear();
+  }
+
+  /**
+   * Shared knowledge and each role's specialized knowledge, keyed by file name without extension
+   */
+  getSnapshot() {
+    if (!this.snapshot) {
+      const shared = {};
+      const specialized = {};
+      for (const [relative, document] of this.documents) {
+        const [scope, role] = relative.split('/');
+        if (scope === 'shared') {
+          shared[document.name] = document.data;
+        } else {
+          specialized[role] = { ...specialized[role], [document.name]: document.data };
+        }
+      }
+      this.snapshot = { shared, specialized };
+    }
+    return this.snapshot;
+  }
+
+  /**
+   * Documents visible to a role: all shared ones plus the role's specialized ones,
+   * or those under the given path prefixes (e.g. ['shared', 'specialized/Brand_Manager'])
+   */
+  getDocuments(role, paths = null) {
+    const prefixes = (paths || ['shared', `specialized/${role}`]).map(prefix => `${prefix.replace(/\/+$/, '')}/`);
+    return Array.from(this.documents.values())
+      .filter(document => prefixes.some(prefix => document.id.startsWith(prefix)));
+  }
+
+  getShared() {
+    return this.getSnapshot().shared;
+  }
+
+  getSpecialized(role) {
+    return this.getSnapshot().specialized[role] || {};
+  }
+
+  getStatus() {
+    return {
+      directory: this.dir,
+      loaded: this.loaded,
+      watching: this.watchers.size > 0,
+      version: this.version,
+      files: this.documents.size,
+      expired: Array.from(this.documents.values()).filter(document => isExpired(document)).map(document => document.id),
+      last_reload: this.lastReload,
+      errors: Array.from(this.errors, ([file, { error, at }]) => ({ file, error, at }))
+    };
+  }
+}
+
+let defaultKnowledgeBase = null;
+
+/**
+ * Knowledge base instance shared by all agents that are not given their own
+ */
+export function getKnowledgeBase() {
+  if (!defaultKnowledgeBase) {
+    defaultKnowledgeBase = new KnowledgeBase();
+  }
+  return defaultKnowledgeBase;
+}
@@ -0,0 +1,166 @@
+import path from 'path';
+import YAML from 'yaml';
+import { chunkDocument } from './KnowledgeIndex.js';
+
+/**
+ * Knowledge file formats by extension
+ */
+export const KNOWLEDGE_FORMATS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.md': 'markdown',
+  '.txt': 'text'
+};
+
+export function isKnowledgeFile(file) {
+  return Object.hasOwn(KNOWLEDGE_FORMATS, path.extname(file).toLowerCase());
+}
+
+/**
+ * Split a leading front matter block (YAML between --- lines) from a file body
+ */
+export function splitFrontMatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { frontMatter: {}, body: content };
+  }
+
+  const frontMatter = YAML.parse(match[1]) ?? {};
+  if (typeof frontMatter !== 'object' || Array.isArray(frontMatter)) {
+    throw new Error('Front matter must be a YAML mapping');
+  }
+  return { frontMatter, body: content.slice(match[0].length) };
+}
+
+/**
+ * Normalize front matter: tags as a list of strings, expires as an ISO date, other keys as given
+ */
+export function normalizeMetadata(frontMatter) {
+  const { tags, expires, ...rest } = frontMatter;
+  const metadata = { ...rest, tags: [] };
+
+  if (tags !== undefined && tags !== null) {
+    metadata.tags = (Array.isArray(tags) ? tags : String(tags).split(','))
+      .map(tag => String(tag).trim())
+      .filter(Boolean);
+  }
+
+  if (expires !== undefined && expires !== null) {
+    const date = new Date(expires);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid expires date: ${expires}`);
+    }
+    metadata.expires = date.toISOString();
+  }
+
+  return metadata;
+}
+
+/**
+ * Sections of a Markdown body keyed by heading path ("Onboarding › First week")
+ * Text before the first heading belongs to the document itself (empty path)
+ */
+export function parseMarkdownSections(body) {
+  const sections = [];
+  const headings = [];
+  let lines = [];
+
+  const flush = () => {
+    const text = lines.join('\n').trim();
+    if (text) {
+      sections.push({ path: headings.map(heading => heading.title).join(' › '), text });
+    }
+    lines = [];
+  };
+
+  let inCodeBlock = false;
+  for (const line of body.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+    }
+
+    const heading = !inCodeBlock && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+        headings.pop();
+      }
+      headings.push({ level, title: heading[2] });
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+
+  return sections;
+}
+
+/**
+ * Parse one knowledge file into the common document model:
+ * { id, name, format, metadata: { title, tags, owner, expires, ... }, data, sections: [{ path, text }] }
+ *
+ * data is the parsed value for JSON and YAML and the body text for Markdown and plain text;
+ * sections are the retrievable pieces (key paths for structured files, headings for Markdown)
+ * Throws if the file cannot be parsed
+ */
+export function parseKnowledgeFile(id, content) {
+  const extension = path.extname(id).toLowerCase();
+  const format = KNOWLEDGE_FORMATS[extension];
+  if (!format) {
+    throw new Error(`Unsupported knowledge file type: ${extension || id}`);
+  }
+
+  let frontMatter = {};
+  let data;
+  let sections;
+
+  if (format === 'json') {
+    data = JSON.parse(content);
+    sections = chunkDocument(id, data);
+  } else if (format === 'yaml') {
+    // A file with two YAML documents carries its metadata in the first one
+    const documents = YAML.parseAllDocuments(content);
+    const failed = documents.find(document => document.errors.length > 0);
+    if (failed) {
+      throw failed.errors[0];
+    }
+    if (documents.length > 2) {
+      throw new Error('Expected at most two YAML documents (front matter and content)');
+    }
+    if (documents.length === 2) {
+      frontMatter = documents[0].toJS() ?? {};
+    }
+    data = documents.length > 0 ? documents[documents.length - 1].toJS() : null;
+    sections = chunkDocument(id, data ?? {});
+  } else {
+    ({ frontMatter, body: data } = splitFrontMatter(content));
+    data = data.trim();
+    sections = format === 'markdown'
+      ? parseMarkdownSections(data)
+      : (data ? [{ path: '', text: data }] : []);
+  }
+
+  const metadata = normalizeMetadata(frontMatter);
+  const heading = format === 'markdown' && data.match(/^#\s+(.+)$/m);
+  if (!metadata.title && heading) {
+    metadata.title = heading[1].trim();
+  }
+
+  return {
+    id,
+    name: path.basename(id, extension),
+    format,
+    metadata,
+    data,
+    sections: sections.map(({ path: sectionPath, text }) => ({ path: sectionPath, text }))
+  };
+}
+
+/**
+ * Whether a document's expiry date has passed
+ */
+export function isExpired(document, now = new Date()) {
+  return Boolean(document.metadata.expires) && new Date(document.metadata.expires) <= now;
+}
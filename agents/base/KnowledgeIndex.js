@@ -0,0 +1,153 @@
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'of',
+  'on', 'or', 'our', 'that', 'the', 'this', 'to', 'we', 'what', 'with', 'you', 'your'
+]);
+
+/**
+ * Lowercase word tokens without stopwords, with plural "s" stripped
+ */
+export function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(token => !STOPWORDS.has(token))
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+function isPlain(value) {
+  return value === null || typeof value !== 'object' || (Array.isArray(value) && value.every(item => isPlain(item) && !Array.isArray(item)));
+}
+
+function joinPath(keyPath) {
+  return keyPath.reduce((joined, key) => (key.startsWith('[') || !joined ? `${joined}${key}` : `${joined}.${key}`), '');
+}
+
+function formatPlain(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * Split a parsed JSON document into chunks by key path
+ * An object whose values are all plain (strings, numbers, lists of them) becomes one chunk;
+ * nested objects and arrays of objects are split further
+ */
+export function chunkDocument(source, data, keyPath = []) {
+  if (isPlain(data)) {
+    return [{ source, path: joinPath(keyPath), text: formatPlain(data) }];
+  }
+
+  const entries = Array.isArray(data) ? data.map((item, index) => [`[${index}]`, item]) : Object.entries(data);
+  const plain = entries.filter(([, value]) => isPlain(value));
+  const nested = entries.filter(([, value]) => !isPlain(value));
+
+  const chunks = [];
+  if (plain.length > 0) {
+    chunks.push({
+      source,
+      path: joinPath(keyPath),
+      text: plain.map(([key, value]) => `${key}: ${formatPlain(value)}`).join('\n')
+    });
+  }
+  for (const [key, value] of nested) {
+    chunks.push(...chunkDocument(source, value, [...keyPath, key]));
+  }
+  return chunks;
+}
+
+/**
+ * Citation shown to the model for a chunk, e.g. "shared/company_info.json › key_metrics"
+ */
+export function formatCitation(chunk) {
+  return chunk.path ? `${chunk.source} › ${chunk.path}` : chunk.source;
+}
+
+/**
+ * Offline BM25 index over knowledge base chunks
+ */
+export class KnowledgeIndex {
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.clear();
+  }
+
+  clear() {
+    this.chunks = [];
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.chunks.length;
+  }
+
+  /**
+   * Chunk and index a parsed JSON document under a source name (usually its file path)
+   */
+  addDocument(source, data) {
+    return this.addSections(source, chunkDocument(source, data));
+  }
+
+  /**
+   * Index already split sections ({ path, text }) of a source
+   * Tags are searchable like text; chunks are skipped by search() once expires has passed
+   */
+  addSections(source, sections, { tags = [], expires = null } = {}) {
+    for (const section of sections) {
+      const chunk = { source, path: section.path, text: section.text };
+      // Key names are searchable too, so "technical_seo" matches "technical SEO"
+      const tokens = tokenize(`${chunk.path} ${tags.join(' ')} ${chunk.text}`);
+      const termFrequency = new Map();
+      for (const token of tokens) {
+        termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+      }
+      for (const token of termFrequency.keys()) {
+        this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+      }
+
+      this.chunks.push({
+        ...chunk,
+        citation: formatCitation(chunk),
+        expires: expires ? new Date(expires) : null,
+        length: tokens.length,
+        termFrequency
+      });
+      this.totalLength += tokens.length;
+    }
+    return this;
+  }
+
+  /**
+   * Top chunks for a query, best first: [{ source, path, citation, text, score }]
+   */
+  search(query, { limit = 4, minScore = 0, now = new Date() } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.chunks.length === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / this.chunks.length;
+    return this.chunks
+      .filter(chunk => !chunk.expires || chunk.expires > now)
+      .map(chunk => {
+        let score = 0;
+        for (const term of terms) {
+          const frequency = chunk.termFrequency.get(term);
+          if (!frequency) continue;
+          const documents = this.documentFrequency.get(term);
+          const idf = Math.log(1 + (this.chunks.length - documents + 0.5) / (documents + 0.5));
+          score += idf * (frequency * (this.k1 + 1)) /
+            (frequency + this.k1 * (1 - this.b + this.b * chunk.length / averageLength));
+        }
+        return { chunk, score };
+      })
+      .filter(({ score }) => score > minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ chunk, score }) => ({
+        source: chunk.source,
+        path: chunk.path,
+        citation: chunk.citation,
+        text: chunk.text,
+        score: Math.round(score * 1000) / 1000
+      }));
+  }
+}
@@ -0,0 +1,104 @@
+import fsp from 'fs/promises';
+import path from 'path';
+import { DEFAULT_KNOWLEDGE_DIR } from './KnowledgeBase.js';
+import { tokenize } from './KnowledgeIndex.js';
+
+const DUPLICATE_SIMILARITY = 0.6;
+
+/**
+ * Jaccard similarity of two texts' token sets
+ */
+export function textSimilarity(a, b) {
+  const tokensA = new Set(tokenize(a));
+  const tokensB = new Set(tokenize(b));
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+  let shared = 0;
+  tokensA.forEach(token => {
+    if (tokensB.has(token)) shared++;
+  });
+  return shared / (tokensA.size + tokensB.size - shared);
+}
+
+/**
+ * Lessons learned from well-rated or approved tasks, one file per role:
+ * knowledge_base/specialized/<role>/lessons.json, keyed by lesson title
+ * The file lives in the knowledge base, so lessons are retrieved into prompts like any other knowledge;
+ * it is runtime data and git-ignored
+ */
+export class LessonStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.KNOWLEDGE_BASE_DIR || DEFAULT_KNOWLEDGE_DIR;
+    this.duplicateSimilarity = options.duplicateSimilarity ?? DUPLICATE_SIMILARITY;
+    this.writes = new Map(); // role -> promise of the last write, so writes to one file never interleave
+  }
+
+  /**
+   * Knowledge base relative path of a role's lessons file
+   */
+  getRelativePath(role) {
+    return `specialized/${role}/lessons.json`;
+  }
+
+  async load(role) {
+    try {
+      return JSON.parse(await fsp.readFile(path.join(this.dir, this.getRelativePath(role)), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  /**
+   * Add distilled lessons ({ title, lesson, tags }) learned from a task
+   * A lesson too similar to an existing one is merged into it by linking the task instead
+   * Returns { file, added: [titles], merged: [titles] }
+   */
+  addLessons(role, lessons, taskId) {
+    const write = (this.writes.get(role) || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.writeLessons(role, lessons, taskId));
+    this.writes.set(role, write);
+    return write;
+  }
+
+  async writeLessons(role, lessons, taskId) {
+    const stored = await this.load(role);
+    const now = new Date().toISOString();
+    const added = [];
+    const merged = [];
+
+    for (const { title, lesson, tags = [] } of lessons) {
+      const duplicate = Object.keys(stored).find(existingTitle =>
+        textSimilarity(`${existingTitle} ${stored[existingTitle].lesson}`, `${title} ${lesson}`) >= this.duplicateSimilarity
+      );
+
+      if (duplicate) {
+        const entry = stored[duplicate];
+        if (!entry.source_tasks.includes(taskId)) {
+          entry.source_tasks.push(taskId);
+        }
+        entry.tags = [...new Set([...entry.tags, ...tags])];
+        entry.updated_at = now;
+        merged.push(duplicate);
+        continue;
+      }
+
+      let key = title.trim();
+      for (let suffix = 2; stored[key]; suffix++) {
+        key = `${title.trim()} (${suffix})`;
+      }
+      stored[key] = { lesson, tags, source_tasks: [taskId], created_at: now, updated_at: now };
+      added.push(key);
+    }
+
+    // Write to a temporary file first so the knowledge base watcher never sees a half-written file
+    const file = path.join(this.dir, this.getRelativePath(role));
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fsp.writeFile(tempFile, JSON.stringify(stored, null, 2));
+    await fsp.rename(tempFile, file);
+
+    return { file: this.getRelativePath(role), added, merged };
+  }
+}
@@ -0,0 +1,250 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_PROMPTS_DIR = path.join(__dirname, '../../prompts');
+
+const MAX_PARTIAL_DEPTH = 10;
+const TAG_PATTERN = /\{\{\s*([#/>]?)\s*([^}]*?)\s*\}\}/g;
+
+export class PromptTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptTemplateError';
+  }
+}
+
+/**
+ * Split a template file into front matter (simple key: value lines) and body
+ */
+function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    return { meta: {}, body: source };
+  }
+
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const entry = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (entry) {
+      meta[entry[1]] = entry[2].replace(/^(['"])(.*)\1$/, '$2');
+    }
+  }
+  return { meta, body: source.slice(match[0].length) };
+}
+
+/**
+ * Parse a template body into a tree of text, variable, partial, if and each nodes
+ */
+function parseTemplate(body, file) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let branch = root.children;
+  let lastIndex = 0;
+
+  for (const match of body.matchAll(TAG_PATTERN)) {
+    if (match.index > lastIndex) {
+      branch.push({ type: 'text', value: body.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const [, sigil, expression] = match;
+    const [keyword, ...rest] = expression.split(/\s+/);
+    const argument = rest.join(' ');
+
+    if (sigil === '>') {
+      branch.push({ type: 'partial', name: expression });
+    } else if (sigil === '#') {
+      if (keyword !== 'if' && keyword !== 'each') {
+        throw new PromptTemplateError(`${file}: Unknown block {{#${keyword}}}`);
+      }
+      const node = { type: keyword, name: argument, children: [], alternate: [], inElse: false };
+      branch.push(node);
+      stack.push(node);
+      branch = node.children;
+    } else if (sigil === '/') {
+      const node = stack.pop();
+      if (!node || node.type !== keyword) {
+        throw new PromptTemplateError(`${file}: Unexpected {{/${keyword}}}`);
+      }
+      const parent = stack[stack.length - 1];
+      branch = parent.inElse ? parent.alternate : parent.children;
+    } else if (expression === 'else') {
+      const node = stack[stack.length - 1];
+      if (node.type !== 'if') {
+        throw new PromptTemplateError(`${file}: {{else}} outside of {{#if}}`);
+      }
+      node.inElse = true;
+      branch = node.alternate;
+    } else {
+      branch.push({ type: 'variable', name: expression });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new PromptTemplateError(`${file}: Unclosed {{#${stack[stack.length - 1].type}}}`);
+  }
+  if (lastIndex < body.length) {
+    branch.push({ type: 'text', value: body.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+function lookup(scope, name) {
+  const [head, ...rest] = name.split('.');
+  return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === 'object') return Object.keys(value).length > 0;
+  return Boolean(value);
+}
+
+function formatValue(value) {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+/**
+ * Loads prompt templates from disk and renders them
+ *
+ * Templates are Markdown files at <dir>/<role>/<name>.md, falling back to
+ * <dir>/default/<name>.md, with optional front matter (id, version).
+ * Syntax: {{variable.path}}, {{> partial/name}}, {{#if x}}...{{else}}...{{/if}},
+ * {{#each list}}{{@key}} {{this}}{{/each}}
+ * A template whose file changed on disk is parsed again on its next use.
+ */
+export class PromptLibrary {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+    this.cache = new Map();
+  }
+
+  /**
+   * Find and parse the template for a role, with the default directory as fallback
+   */
+  getTemplate(role, name) {
+    const cacheKey = `${role || 'default'}:${name}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && this.getModifiedTime(cached.file) === cached.mtimeMs) {
+      return cached;
+    }
+
+    const file = [role, 'default']
+      .filter(Boolean)
+      .map(folder => path.join(this.dir, folder, `${name}.md`))
+      .find(candidate => fs.existsSync(candidate));
+    if (!file) {
+      throw new PromptTemplateError(`No prompt template "${name}" for role ${role || 'default'} in ${this.dir}`);
+    }
+
+    const mtimeMs = this.getModifiedTime(file);
+    const { meta, body } = parseFrontMatter(fs.readFileSync(file, 'utf-8'));
+    const relative = path.relative(this.dir, file).split(path.sep).join('/').replace(/\.md$/, '');
+    const template = {
+      id: meta.id || relative,
+      version: meta.version || '0',
+      file,
+      mtimeMs,
+      nodes: parseTemplate(body.replace(/\r?\n$/, ''), relative)
+    };
+    this.cache.set(cacheKey, template);
+    return template;
+  }
+
+  /**
+   * Modification time of a template file, or null once it is gone
+   */
+  getModifiedTime(file) {
+    try {
+      return fs.statSync(file).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Render a template; returns { id, version, partials, text }
+   * partials lists the { id, version } of each partial the text was built from
+   */
+  render(role, name, variables = {}) {
+    const template = this.getTemplate(role, name);
+    const partials = new Map();
+    const text = this.renderNodes(template.nodes, variables, role, 0, partials);
+    return {
+      id: template.id,
+      version: template.version,
+      partials: Array.from(partials, ([id, version]) => ({ id, version })),
+      text
+    };
+  }
+
+  renderNodes(nodes, scope, role, depth, partials) {
+    let output = '';
+    for (const node of nodes) {
+      switch (node.type) {
+        case 'text':
+          output += node.value;
+          break;
+        case 'variable':
+          output += formatValue(lookup(scope, node.name));
+          break;
+        case 'partial': {
+          if (depth >= MAX_PARTIAL_DEPTH) {
+            throw new PromptTemplateError(`Partials nested deeper than ${MAX_PARTIAL_DEPTH} levels at {{> ${node.name}}}`);
+          }
+          const partial = this.getTemplate(role, node.name);
+          partials.set(partial.id, partial.version);
+          output += this.renderNodes(partial.nodes, scope, role, depth + 1, partials);
+          break;
+        }
+        case 'if':
+          output += this.renderNodes(isTruthy(lookup(scope, node.name)) ? node.children : node.alternate, scope, role, depth, partials);
+          break;
+        case 'each': {
+          const value = lookup(scope, node.name);
+          const entries = Array.isArray(value) ? value.entries() : Object.entries(value || {});
+          for (const [key, item] of entries) {
+            const itemScope = Object.assign(Object.create(scope), { this: item, '@key': key });
+            output += this.renderNodes(node.children, itemScope, role, depth, partials);
+          }
+          break;
+        }
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Drop every cached template, e.g. after adding a role override for a template already in use
+   */
+  reload() {
+    this.cache.clear();
+  }
+}
+
+/**
+ * Id and version of a rendered prompt and the partials it used, for recording on tasks and reports
+ */
+export function promptRef({ id, version, partials = [] }) {
+  return { id, version, ...(partials.length > 0 && { partials }) };
+}
+
+let defaultLibrary = null;
+
+/**
+ * Library shared by agents that are not given their own
+ */
+export function getPromptLibrary() {
+  if (!defaultLibrary) {
+    defaultLibrary = new PromptLibrary();
+  }
+  return defaultLibrary;
+}
@@ -0,0 +1,385 @@
+import PDFDocument from 'pdfkit';
+
+/**
+ * Export formats for agent and team reports
+ */
+export const REPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const FORMAT_ALIASES = { md: 'markdown', htm: 'html' };
+
+// Columns of the task rows in every format
+const TASK_COLUMNS = [
+  { key: 'task_id', label: 'Task' },
+  { key: 'description', label: 'Description' },
+  { key: 'agent', label: 'Agent' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'status', label: 'Status' },
+  { key: 'duration', label: 'Duration (s)' },
+  { key: 'total_tokens', label: 'Tokens' },
+  { key: 'cost_usd', label: 'Cost (USD)' }
+];
+
+const CHART_COLORS = ['#2f6fdf', '#2a9d5b', '#d1495b', '#edae49', '#7d5ba6', '#00798c'];
+
+/**
+ * Canonical format name for a format or alias ("md" -> "markdown"), or null if unsupported
+ */
+export function resolveReportFormat(format = 'json') {
+  const name = FORMAT_ALIASES[String(format).toLowerCase()] || String(format).toLowerCase();
+  return Object.hasOwn(REPORT_FORMATS, name) ? name : null;
+}
+
+function formatNumber(value, digits = 0) {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  return Number(value).toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function formatCost(value) {
+  return value === null || value === undefined ? '' : `$${Number(value).toFixed(4)}`;
+}
+
+/**
+ * Common shape of agent reports (Agent.generateReport) and team reports (CEOAgent.generateTeamReport):
+ * { kind, title, subtitle, generatedAt, summary: [[label, value]], charts: [{ title, labelHeader, unit, data: [{ label, value }] }],
+ *   insights, columns, rows }
+ */
+export function buildReportModel(report) {
+  const isTeamReport = Boolean(report.team_statistics);
+  const rows = (report.tasks || []).map(task => ({
+    task_id: task.task_id || '',
+    description: task.description || '',
+    agent: task.agent || report.agent || '',
+    priority: task.priority || '',
+    status: task.status || '',
+    duration: task.duration ?? '',
+    total_tokens: task.usage?.total_tokens ?? '',
+    cost_usd: task.usage?.cost_usd ?? ''
+  }));
+  const columns = TASK_COLUMNS.filter(column => column.key !== 'priority' || isTeamReport);
+
+  if (isTeamReport) {
+    const stats = report.team_statistics;
+    const metrics = stats.performance_metrics || {};
+    const usage = stats.usage || {};
+    return {
+      kind: 'team',
+      title: 'Team Performance Report',
+      subtitle: `${stats.total_agents} agents`,
+      generatedAt: report.generated_at,
+      summary: [
+        ['Tasks assigned', formatNumber(metrics.tasksAssigned)],
+        ['Tasks completed', formatNumber(stats.completed_tasks)],
+        ['Tasks failed', formatNumber(stats.failed_tasks)],
+        ['Tasks cancelled', formatNumber(stats.cancelled_tasks)],
+        ['Tasks timed out', formatNumber(stats.timed_out_tasks)],
+        ['Active tasks', formatNumber(stats.active_tasks)],
+        ['Success rate', `${formatNumber(metrics.successRate, 1)}%`],
+        ['Average completion time', `${formatNumber(metrics.averageCompletionTime, 1)} min`],
+        ['Total tokens', formatNumber(usage.total?.total_tokens)],
+        ['Total cost', formatCost(usage.total?.cost_usd)]
+      ],
+      charts: [
+        {
+          title: 'Tasks by status',
+          labelHeader: 'Status',
+          unit: 'tasks',
+          data: [
+            { label: 'Completed', value: stats.completed_tasks || 0 },
+            { label: 'Failed', value: stats.failed_tasks || 0 },
+            { label: 'Cancelled', value: stats.cancelled_tasks || 0 },
+            { label: 'Timed out', value: stats.timed_out_tasks || 0 },
+            { label: 'Active', value: stats.active_tasks || 0 }
+          ]
+        },
+        {
+          title: 'Tokens by agent',
+          labelHeader: 'Agent',
+          unit: 'tokens',
+          data: Object.entries(usage.by_agent || {}).map(([agent, agentUsage]) => ({ label: agent, value: agentUsage.total_tokens || 0 }))
+        }
+      ],
+      insights: report.ceo_insights || '',
+      columns,
+      rows
+    };
+  }
+
+  const usage = report.usage || {};
+  return {
+    kind: 'agent',
+    title: `${report.agent} Report`,
+    subtitle: `${report.role} · ${report.report_type} report`,
+    generatedAt: report.generated_at,
+    summary: [
+      ['Tasks analyzed', formatNumber(report.tasks_analyzed)],
+      ['Successful tasks', formatNumber(report.successful_tasks)],
+      ['Failed tasks', formatNumber(report.failed_tasks)],
+      ['Total tokens', formatNumber(usage.total_tokens)],
+      ['Total cost', formatCost(usage.cost_usd)]
+    ],
+    charts: [
+      {
+        title: 'Task outcomes',
+        labelHeader: 'Outcome',
+        unit: 'tasks',
+        data: [
+          { label: 'Successful', value: report.successful_tasks || 0 },
+          { label: 'Failed', value: report.failed_tasks || 0 },
+          { label: 'Other', value: Math.max(0, (report.tasks_analyzed || 0) - (report.successful_tasks || 0) - (report.failed_tasks || 0)) }
+        ]
+      },
+      {
+        title: 'Tokens by task',
+        labelHeader: 'Task',
+        unit: 'tokens',
+        data: rows.map((row, index) => ({ label: row.task_id || `Task ${index + 1}`, value: Number(row.total_tokens) || 0 }))
+      }
+    ],
+    insights: report.insights || '',
+    columns,
+    rows
+  };
+}
+
+function formatCell(column, value) {
+  if (column.key === 'cost_usd') return value === '' ? '' : formatCost(value);
+  if (column.key === 'total_tokens') return value === '' ? '' : formatNumber(value);
+  return String(value);
+}
+
+function escapeMarkdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Markdown: summary and task tables, charts as tables, insights as written by the agent
+ */
+export function renderMarkdown(model) {
+  const lines = [`# ${model.title}`, '', `${model.subtitle} · generated ${model.generatedAt}`, '', '## Summary', '', '| Metric | Value |', '| --- | --- |'];
+  model.summary.forEach(([label, value]) => lines.push(`| ${label} | ${escapeMarkdownCell(value)} |`));
+
+  for (const chart of model.charts.filter(candidate => candidate.data.length > 0)) {
+    lines.push('', `## ${chart.title}`, '', `| ${chart.labelHeader} | ${chart.unit} |`, '| --- | ---: |');
+    chart.data.forEach(({ label, value }) => lines.push(`| ${escapeMarkdownCell(label)} | ${formatNumber(value)} |`));
+  }
+
+  if (model.insights) {
+    lines.push('', '## Insights', '', model.insights.trim());
+  }
+
+  lines.push('', '## Tasks', '');
+  if (model.rows.length === 0) {
+    lines.push('No tasks.');
+  } else {
+    lines.push(`| ${model.columns.map(column => column.label).join(' | ')} |`);
+    lines.push(`| ${model.columns.map(() => '---').join(' | ')} |`);
+    model.rows.forEach(row => lines.push(`| ${model.columns.map(column => escapeMarkdownCell(formatCell(column, row[column.key]))).join(' | ')} |`));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Horizontal bar chart as inline SVG
+ */
+export function renderBarChartSvg(chart, { width = 560, barHeight = 22, labelWidth = 170 } = {}) {
+  const max = Math.max(1, ...chart.data.map(({ value }) => value));
+  const barArea = width - labelWidth - 70;
+  const height = chart.data.length * (barHeight + 8) + 8;
+
+  const bars = chart.data.map(({ label, value }, index) => {
+    const y = 8 + index * (barHeight + 8);
+    const barWidth = Math.round((value / max) * barArea);
+    const shortLabel = label.length > 24 ? `${label.slice(0, 23)}…` : label;
+    return `<text x="${labelWidth - 8}" y="${y + barHeight * 0.7}" text-anchor="end">${escapeHtml(shortLabel)}</text>` +
+      `<rect x="${labelWidth}" y="${y}" width="${barWidth}" height="${barHeight}" rx="3" fill="${CHART_COLORS[index % CHART_COLORS.length]}"><title>${escapeHtml(label)}: ${formatNumber(value)}</title></rect>` +
+      `<text x="${labelWidth + barWidth + 6}" y="${y + barHeight * 0.7}">${formatNumber(value)}</text>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(chart.title)}" font-family="sans-serif" font-size="12">${bars}</svg>`;
+}
+
+/**
+ * Self-contained HTML page: inline styles and SVG charts, no external assets
+ */
+export function renderHtml(model) {
+  const summary = model.summary
+    .map(([label, value]) => `<div class="metric"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value)}</strong></div>`)
+    .join('\n      ');
+  const charts = model.charts
+    .filter(chart => chart.data.length > 0)
+    .map(chart => `<figure><figcaption>${escapeHtml(chart.title)}</figcaption>${renderBarChartSvg(chart)}</figure>`)
+    .join('\n      ');
+  const insights = model.insights
+    ? model.insights.trim().split(/\n{2,}/).map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('\n      ')
+    : '<p>No insights.</p>';
+  const rows = model.rows.length > 0
+    ? model.rows.map(row => `<tr>${model.columns.map(column => `<td>${escapeHtml(formatCell(column, row[column.key]))}</td>`).join('')}</tr>`).join('\n          ')
+    : `<tr><td colspan="${model.columns.length}">No tasks.</td></tr>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(model.title)}</title>
+  <style>
+    body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2933; margin: 2rem auto; max-width: 960px; padding: 0 1rem; }
+    h1 { margin-bottom: 0.2rem; }
+    .subtitle { color: #616e7c; margin-top: 0; }
+    .metrics { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 0.75rem; }
+    .metric { border: 1px solid #e4e7eb; border-radius: 6px; padding: 0.75rem; }
+    .metric span { display: block; color: #616e7c; font-size: 0.85rem; }
+    .metric strong { font-size: 1.3rem; }
+    figure { margin: 1.5rem 0; }
+    figcaption { font-weight: 600; margin-bottom: 0.5rem; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+    th, td { border-bottom: 1px solid #e4e7eb; padding: 0.4rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f5f7fa; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(model.title)}</h1>
+  <p class="subtitle">${escapeHtml(model.subtitle)} · generated ${escapeHtml(model.generatedAt)}</p>
+  <section>
+    <h2>Summary</h2>
+    <div class="metrics">
+      ${summary}
+    </div>
+  </section>
+  <section>
+    <h2>Charts</h2>
+      ${charts}
+  </section>
+  <section>
+    <h2>Insights</h2>
+      ${insights}
+  </section>
+  <section>
+    <h2>Tasks</h2>
+    <table>
+      <thead>
+        <tr>${model.columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('')}</tr>
+      </thead>
+      <tbody>
+          ${rows}
+      </tbody>
+    </table>
+  </section>
+</body>
+</html>
+`;
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of the task rows (raw numbers, no currency formatting)
+ */
+export function renderCsv(model) {
+  const lines = [model.columns.map(column => escapeCsv(column.key)).join(',')];
+  model.rows.forEach(row => lines.push(model.columns.map(column => escapeCsv(row[column.key])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * PDF rendered offline with pdfkit's built-in fonts
+ */
+export function renderPdf(model) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: model.title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const contentWidth = doc.page.width - left - doc.page.margins.right;
+
+    doc.font('Helvetica-Bold').fontSize(20).text(model.title);
+    doc.font('Helvetica').fontSize(10).fillColor('#616e7c').text(`${model.subtitle} - generated ${model.generatedAt}`);
+    doc.moveDown().fillColor('#1f2933');
+
+    doc.font('Helvetica-Bold').fontSize(14).text('Summary');
+    doc.font('Helvetica').fontSize(10);
+    model.summary.forEach(([label, value]) => doc.text(`${label}: ${value}`));
+
+    for (const chart of model.charts.filter(candidate => candidate.data.length > 0)) {
+      doc.moveDown().font('Helvetica-Bold').fontSize(14).text(chart.title, left);
+      doc.font('Helvetica').fontSize(9);
+      const max = Math.max(1, ...chart.data.map(({ value }) => value));
+      for (const [index, { label, value }] of chart.data.entries()) {
+        if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+        const y = doc.y;
+        const barWidth = (value / max) * (contentWidth - 200);
+        doc.fillColor('#1f2933').text(label, left, y + 2, { width: 140, ellipsis: true, lineBreak: false });
+        doc.rect(left + 145, y, Math.max(barWidth, 1), 12).fill(CHART_COLORS[index % CHART_COLORS.length]);
+        doc.fillColor('#1f2933').text(formatNumber(value), left + 150 + barWidth, y + 2, { lineBreak: false });
+        doc.y = y + 18;
+      }
+    }
+
+    doc.moveDown().font('Helvetica-Bold').fontSize(14).text('Insights', left);
+    doc.font('Helvetica').fontSize(10).text(model.insights ? model.insights.trim() : 'No insights.', { width: contentWidth });
+
+    doc.moveDown().font('Helvetica-Bold').fontSize(14).text('Tasks', left);
+    doc.font('Helvetica').fontSize(9);
+    if (model.rows.length === 0) {
+      doc.text('No tasks.');
+    }
+    model.rows.forEach(row => {
+      doc.font('Helvetica-Bold').text(`${row.task_id} - ${row.status}`, left, doc.y, { width: contentWidth });
+      doc.font('Helvetica').text(row.description, { width: contentWidth });
+      const details = model.columns
+        .filter(column => !['task_id', 'description', 'status'].includes(column.key) && row[column.key] !== '')
+        .map(column => `${column.label}: ${formatCell(column, row[column.key])}`);
+      doc.fillColor('#616e7c').text(details.join('   '), { width: contentWidth }).fillColor('#1f2933');
+      doc.moveDown(0.5);
+    });
+
+    doc.end();
+  });
+}
+
+/**
+ * Export an agent or team report
+ * Returns { format, contentType, extension, body } with body a string, or a Buffer for PDF
+ */
+export async function exportReport(report, format = 'json') {
+  const name = resolveReportFormat(format);
+  if (!name) {
+    throw new Error(`Unsupported report format: ${format} (expected one of ${Object.keys(REPORT_FORMATS).join(', ')})`);
+  }
+
+  let body;
+  if (name === 'json') {
+    body = JSON.stringify(report, null, 2);
+  } else {
+    const model = buildReportModel(report);
+    body = {
+      markdown: renderMarkdown,
+      html: renderHtml,
+      csv: renderCsv,
+      pdf: renderPdf
+    }[name](model);
+  }
+
+  return { format: name, ...REPORT_FORMATS[name], body: await body };
+}
@@ -0,0 +1,262 @@
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_REPORTS_DIR = path.join(__dirname, '../../reports');
+
+const INDEX_FILE = 'index.json';
+
+// <agent>_<type>_<timestamp>.json, as written by Agent.generateReport
+const REPORT_FILE_PATTERN = /^(.+)_([^_]+)_(\d+)\.json$/;
+
+/**
+ * Index entry for a report file name, or null if the name does not follow the pattern
+ */
+function entryFromFile(file) {
+  const match = file.match(REPORT_FILE_PATTERN);
+  if (!match) return null;
+
+  const [, agent, type, timestamp] = match;
+  return {
+    id: path.basename(file, '.json'),
+    agent,
+    type,
+    file,
+    generated_at: new Date(Number(timestamp)).toISOString()
+  };
+}
+
+/**
+ * Stored reports with an index (reports/index.json) for listing without reading every file
+ * Files written before the index existed are picked up when the index is first loaded,
+ * and entries whose files were removed by hand are dropped.
+ */
+export class ReportRepository {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.REPORTS_DIR || DEFAULT_REPORTS_DIR;
+    this.index = null;
+    this.loading = null;
+    this.writes = Promise.resolve(); // index writes never interleave
+  }
+
+  /**
+   * Load the index once, reconciling it with the report files on disk
+   */
+  ensureLoaded() {
+    if (!this.loading) {
+      this.loading = this.loadIndex();
+    }
+    return this.loading;
+  }
+
+  async loadIndex() {
+    let stored = [];
+    try {
+      stored = JSON.parse(await fsp.readFile(path.join(this.dir, INDEX_FILE), 'utf-8')).reports || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read report index, rebuilding it: ${error.message}`);
+      }
+    }
+
+    let files = [];
+    try {
+      files = (await fsp.readdir(this.dir)).filter(file => file !== INDEX_FILE && file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const onDisk = new Set(files);
+    const entries = new Map(stored.filter(entry => onDisk.has(entry.file)).map(entry => [entry.id, entry]));
+    let changed = entries.size !== stored.length;
+    const indexedFiles = new Set(Array.from(entries.values(), entry => entry.file));
+    for (const file of files.filter(candidate => !indexedFiles.has(candidate))) {
+      const entry = entryFromFile(file);
+      if (entry) {
+        entries.set(entry.id, entry);
+        changed = true;
+      }
+    }
+
+    this.index = entries;
+    if (changed) {
+      await this.writeIndex();
+    }
+  }
+
+  writeIndex() {
+    this.writes = this.writes.catch(() => {}).then(async () => {
+      await fsp.mkdir(this.dir, { recursive: true });
+      const indexPath = path.join(this.dir, INDEX_FILE);
+      const tempPath = `${indexPath}.${process.pid}.tmp`;
+      await fsp.writeFile(tempPath, JSON.stringify({ reports: Array.from(this.index.values()) }, null, 2));
+      await fsp.rename(tempPath, indexPath);
+    });
+    return this.writes;
+  }
+
+  /**
+   * Store a report; returns its index entry ({ id, agent, type, file, generated_at })
+   * The report is written with its id as report_id
+   */
+  async save(report, { agent, type }) {
+    await this.ensureLoaded();
+
+    let timestamp = Date.now();
+    while (this.index.has(`${agent}_${type}_${timestamp}`)) timestamp++;
+    const id = `${agent}_${type}_${timestamp}`;
+    const entry = {
+      id,
+      agent,
+      type,
+      file: `${id}.json`,
+      generated_at: report.generated_at || new Date(timestamp).toISOString()
+    };
+
+    await fsp.mkdir(this.dir, { recursive: true });
+    await fsp.writeFile(path.join(this.dir, entry.file), JSON.stringify({ report_id: entry.id, ...report }, null, 2));
+    this.index.set(entry.id, entry);
+    await this.writeIndex();
+    return entry;
+  }
+
+  /**
+   * Index entries, newest first
+   * Filters: agent, type, from and to (dates, inclusive), limit
+   */
+  async list({ agent, type, from, to, limit } = {}) {
+    await this.ensureLoaded();
+    const fromTime = from ? new Date(from).getTime() : -Infinity;
+    const toTime = to ? new Date(to).getTime() : Infinity;
+
+    const entries = Array.from(this.index.values())
+      .filter(entry => !agent || entry.agent === agent)
+      .filter(entry => !type || entry.type === type)
+      .filter(entry => {
+        const time = new Date(entry.generated_at).getTime();
+        return time >= fromTime && time <= toTime;
+      })
+      .sort((a, b) => new Date(b.generated_at) - new Date(a.generated_at));
+
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * A stored report with its index entry ({ entry, report }), or null if there is no such id
+   */
+  async get(id) {
+    await this.ensureLoaded();
+    const entry = this.index.get(id);
+    if (!entry) return null;
+
+    try {
+      const report = JSON.parse(await fsp.readFile(path.join(this.dir, entry.file), 'utf-8'));
+      return { entry, report };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.index.delete(id);
+      await this.writeIndex();
+      return null;
+    }
+  }
+
+  /**
+   * Delete one report; returns false if there is no such id
+   */
+  async delete(id) {
+    await this.ensureLoaded();
+    const entry = this.index.get(id);
+    if (!entry) return false;
+
+    await fsp.rm(path.join(this.dir, entry.file), { force: true });
+    this.index.delete(id);
+    await this.writeIndex();
+    return true;
+  }
+
+  /**
+   * Delete reports generated before a date (optionally only one agent's or type's); returns the deleted ids
+   */
+  async deleteOlderThan(before, { agent, type } = {}) {
+    const cutoff = new Date(before).getTime();
+    const old = (await this.list({ agent, type })).filter(entry => new Date(entry.generated_at).getTime() < cutoff);
+
+    for (const entry of old) {
+      await fsp.rm(path.join(this.dir, entry.file), { force: true });
+      this.index.delete(entry.id);
+    }
+    if (old.length > 0) {
+      await this.writeIndex();
+    }
+    return old.map(entry => entry.id);
+  }
+}
+
+function change(before, after) {
+  const from = Number(before) || 0;
+  const to = Number(after) || 0;
+  return {
+    before: from,
+    after: to,
+    change: Math.round((to - from) * 1000) / 1000,
+    change_percent: from === 0 ? null : Math.round(((to - from) / from) * 1000) / 10
+  };
+}
+
+/**
+ * Compare two team reports (CEOAgent.generateTeamReport), older one first
+ * Returns metric changes ({ before, after, change, change_percent }) overall and per agent
+ */
+export function compareTeamReports(before, after) {
+  const statsBefore = before.team_statistics;
+  const statsAfter = after.team_statistics;
+  if (!statsBefore || !statsAfter) {
+    throw new Error('Only team reports can be compared');
+  }
+
+  const metricsBefore = statsBefore.performance_metrics || {};
+  const metricsAfter = statsAfter.performance_metrics || {};
+  const usageBefore = statsBefore.usage?.by_agent || {};
+  const usageAfter = statsAfter.usage?.by_agent || {};
+
+  const agents = {};
+  for (const agent of new Set([...Object.keys(usageBefore), ...Object.keys(usageAfter)])) {
+    agents[agent] = {
+      total_tokens: change(usageBefore[agent]?.total_tokens, usageAfter[agent]?.total_tokens),
+      cost_usd: change(usageBefore[agent]?.cost_usd, usageAfter[agent]?.cost_usd)
+    };
+  }
+
+  return {
+    from: { report_id: before.report_id || null, generated_at: before.generated_at },
+    to: { report_id: after.report_id || null, generated_at: after.generated_at },
+    metrics: {
+      success_rate: change(metricsBefore.successRate, metricsAfter.successRate),
+      average_completion_time: change(metricsBefore.averageCompletionTime, metricsAfter.averageCompletionTime),
+      tasks_assigned: change(metricsBefore.tasksAssigned, metricsAfter.tasksAssigned),
+      tasks_completed: change(statsBefore.completed_tasks, statsAfter.completed_tasks),
+      tasks_failed: change(statsBefore.failed_tasks, statsAfter.failed_tasks),
+      tasks_cancelled: change(statsBefore.cancelled_tasks, statsAfter.cancelled_tasks),
+      tasks_timed_out: change(statsBefore.timed_out_tasks, statsAfter.timed_out_tasks),
+      total_agents: change(statsBefore.total_agents, statsAfter.total_agents),
+      total_tokens: change(statsBefore.usage?.total?.total_tokens, statsAfter.usage?.total?.total_tokens),
+      cost_usd: change(statsBefore.usage?.total?.cost_usd, statsAfter.usage?.total?.cost_usd)
+    },
+    agents
+  };
+}
+
+let defaultReportRepository = null;
+
+/**
+ * Report repository shared by all agents that are not given their own
+ */
+export function getReportRepository() {
+  if (!defaultReportRepository) {
+    defaultReportRepository = new ReportRepository();
+  }
+  return defaultReportRepository;
+}
@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DEFAULT_SCRUBBERS, scrub } from './scrubbers.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_CACHE_DIR = path.join(__dirname, '../../cache/responses');
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_MEMORY_ENTRIES = 1000;
+
+/**
+ * Cache entries in process memory; the oldest entry is dropped once maxEntries is reached
+ * Entries are copied in and out, so a caller that edits a result (e.g. sorts it) does not change the cache
+ */
+export class MemoryCacheStore {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_MEMORY_ENTRIES;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    return entry === undefined ? null : structuredClone(entry);
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, structuredClone(entry));
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Cache entries as <dir>/<key>.json files (RESPONSE_CACHE_DIR), so they survive restarts
+ */
+export class FileCacheStore {
+  constructor(options = {}) {
+    this.name = 'disk';
+    this.dir = options.dir || process.env.RESPONSE_CACHE_DIR || DEFAULT_CACHE_DIR;
+  }
+
+  getPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fsp.readFile(this.getPath(key), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(key, entry) {
+    await fsp.mkdir(this.dir, { recursive: true });
+    const filePath = this.getPath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fsp.writeFile(tempPath, JSON.stringify(entry, null, 2));
+    await fsp.rename(tempPath, filePath);
+  }
+
+  async delete(key) {
+    await fsp.rm(this.getPath(key), { force: true });
+  }
+
+  async clear() {
+    await fsp.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Create the store named by RESPONSE_CACHE_STORE: memory (default) or disk
+ */
+export function createCacheStore(name = process.env.RESPONSE_CACHE_STORE || 'memory', options = {}) {
+  if (name === 'memory') return new MemoryCacheStore(options);
+  if (name === 'disk') return new FileCacheStore(options);
+  throw new Error(`Unknown response cache store "${name}". Use "memory" or "disk"`);
+}
+
+function emptyStats() {
+  return { hits: 0, misses: 0, bypassed: 0 };
+}
+
+/**
+ * Task results keyed by a hash of what produced them: agent, model settings, tools, prompt versions,
+ * system and user prompt
+ * Entries expire after ttlMs (RESPONSE_CACHE_TTL_MS, default 1 hour). A store that fails to read or write
+ * is logged and treated as a miss, so the cache never fails a task.
+ */
+export class ResponseCache {
+  constructor(options = {}) {
+    this.store = options.store || createCacheStore();
+    this.ttlMs = options.ttlMs || Number(process.env.RESPONSE_CACHE_TTL_MS) || DEFAULT_TTL_MS;
+    // Run-specific values such as the CEO's deadline timestamps do not change the key
+    this.scrubbers = options.scrubbers || DEFAULT_SCRUBBERS;
+    this.stats = { ...emptyStats(), stored: 0, expired: 0, errors: 0 };
+    this.agentStats = new Map(); // agent name -> { hits, misses, bypassed }
+  }
+
+  /**
+   * Content hash of a request: { agent, model, max_tokens, temperature, tools, prompts, system, user, schema }
+   * tools are the tool definitions offered to the model
+   */
+  getKey({ agent, model, max_tokens, temperature, tools, prompts, system, user, schema }) {
+    const serialized = scrub(JSON.stringify({ agent, model, max_tokens, temperature, tools, prompts, system, user, schema }), this.scrubbers);
+    return crypto.createHash('sha256').update(serialized).digest('hex');
+  }
+
+  /**
+   * Cached entry ({ agent, model, result, created_at, expires_at }) for a key, or null
+   */
+  async get(key, agent) {
+    let entry = null;
+    try {
+      entry = await this.store.get(key);
+      if (entry && Date.parse(entry.expires_at) <= Date.now()) {
+        this.stats.expired++;
+        await this.store.delete(key);
+        entry = null;
+      }
+    } catch (error) {
+      this.stats.errors++;
+      console.warn(`⚠️ Response cache read failed for ${key}: ${error.message}`);
+      entry = null;
+    }
+
+    this.count(agent, entry ? 'hits' : 'misses');
+    return entry;
+  }
+
+  /**
+   * Store a task result ({ agent, model, result }) under a key
+   */
+  async set(key, { agent, model, result }) {
+    const now = Date.now();
+    try {
+      await this.store.set(key, {
+        key,
+        agent,
+        model,
+        result,
+        created_at: new Date(now).toISOString(),
+        expires_at: new Date(now + this.ttlMs).toISOString()
+      });
+      this.stats.stored++;
+    } catch (error) {
+      this.stats.errors++;
+      console.warn(`⚠️ Response cache write failed for ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Note a request that skipped the lookup (noCache)
+   */
+  bypass(agent) {
+    this.count(agent, 'bypassed');
+  }
+
+  count(agent, outcome) {
+    this.stats[outcome]++;
+    if (!this.agentStats.has(agent)) {
+      this.agentStats.set(agent, emptyStats());
+    }
+    this.agentStats.get(agent)[outcome]++;
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+
+  /**
+   * Hit/miss statistics; hit_rate is hits per lookup (bypassed requests are not lookups)
+   */
+  getStatus() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      store: this.store.name,
+      ttl_ms: this.ttlMs,
+      ...this.stats,
+      hit_rate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+      agents: Object.fromEntries(this.agentStats)
+    };
+  }
+}
@@ -0,0 +1,193 @@
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { compileSchema } from './StructuredOutput.js';
+import { Agent } from './Agent.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DEFAULT_ROSTER_FILE = path.join(__dirname, '../roster.yaml');
+
+const NAME_PATTERN = '^[A-Za-z][A-Za-z0-9_]*$';
+const PRIORITIES = ['high', 'medium', 'low'];
+
+const modelSettingsProperties = {
+  model: { type: 'string', minLength: 1 },
+  max_tokens: { type: 'integer', minimum: 1 },
+  temperature: { type: 'number', minimum: 0, maximum: 1 },
+  fallback_models: { type: 'array', items: { type: 'string', minLength: 1 } }
+};
+
+// Model settings plus per-priority overrides, for the whole team (defaults) or one agent
+const modelProfileProperties = {
+  ...modelSettingsProperties,
+  priorities: {
+    type: 'object',
+    additionalProperties: false,
+    properties: Object.fromEntries(PRIORITIES.map(priority => [priority, {
+      type: 'object',
+      additionalProperties: false,
+      properties: modelSettingsProperties
+    }]))
+  }
+};
+
+// One entry per team agent; unknown keys are rejected so typos do not pass silently
+const rosterSchema = {
+  type: 'object',
+  required: ['agents'],
+  additionalProperties: false,
+  properties: {
+    defaults: {
+      type: 'object',
+      additionalProperties: false,
+      properties: modelProfileProperties
+    },
+    agents: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'role', 'skills', 'keywords'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', pattern: NAME_PATTERN },
+          role: { type: 'string', pattern: NAME_PATTERN },
+          skills: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+          keywords: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+          ...modelProfileProperties,
+          max_concurrent_tasks: { type: 'integer', minimum: 1 },
+          knowledge: {
+            type: 'array',
+            items: { type: 'string', pattern: '^(shared|specialized)(/[^/]+)*$' }
+          }
+        }
+      }
+    }
+  }
+};
+
+export class RosterValidationError extends Error {
+  constructor(file, errors) {
+    super(`Invalid roster ${file}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'RosterValidationError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check parsed roster data; returns a list of error messages (empty when valid)
+ */
+export function validateRoster(data) {
+  const validate = compileSchema(rosterSchema);
+  if (!validate(data)) {
+    return validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+  }
+
+  const errors = [];
+  const names = new Set();
+  data.agents.forEach((entry, index) => {
+    if (names.has(entry.name)) {
+      errors.push(`/agents/${index}/name ${entry.name} is used by another agent`);
+    }
+    names.add(entry.name);
+  });
+  return errors;
+}
+
+function pickModelSettings(source = {}) {
+  return Object.fromEntries(Object.keys(modelSettingsProperties)
+    .filter(key => source[key] !== undefined)
+    .map(key => [key, source[key]]));
+}
+
+/**
+ * Model profile (see Agent modelProfile) of an agent's settings laid over the team defaults
+ * Agent settings win over team settings at the same level; priority settings win over base settings
+ */
+function buildModelProfile(defaults = {}, entry = {}) {
+  const priorities = {};
+  for (const priority of PRIORITIES) {
+    const settings = { ...pickModelSettings(defaults.priorities?.[priority]), ...pickModelSettings(entry.priorities?.[priority]) };
+    if (Object.keys(settings).length > 0) {
+      priorities[priority] = settings;
+    }
+  }
+  return { ...pickModelSettings(defaults), ...pickModelSettings(entry), priorities };
+}
+
+/**
+ * Roster entry with defaults filled in
+ * Agents see the shared knowledge and their role's specialized knowledge unless knowledge is given
+ */
+function normalizeEntry(entry, defaults) {
+  return {
+    name: entry.name,
+    role: entry.role,
+    skills: entry.skills,
+    keywords: entry.keywords.map(keyword => keyword.toLowerCase()),
+    model_profile: buildModelProfile(defaults, entry),
+    max_concurrent_tasks: entry.max_concurrent_tasks || null,
+    knowledge: entry.knowledge || ['shared', `specialized/${entry.role}`]
+  };
+}
+
+/**
+ * Load and validate the team roster (ROSTER_FILE, default agents/roster.yaml)
+ * YAML and JSON files are accepted; throws RosterValidationError when the roster is invalid
+ */
+export async function loadRoster(file = process.env.ROSTER_FILE || DEFAULT_ROSTER_FILE) {
+  const content = await fsp.readFile(file, 'utf-8');
+
+  let data;
+  try {
+    data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new RosterValidationError(file, [`could not be parsed: ${error.message}`]);
+  }
+
+  const errors = validateRoster(data);
+  if (errors.length > 0) {
+    throw new RosterValidationError(file, errors);
+  }
+  return {
+    file,
+    // Team-wide model profile, also used for agents outside the roster such as the CEO
+    model_profile: buildModelProfile(data.defaults),
+    agents: data.agents.map(entry => normalizeEntry(entry, data.defaults))
+  };
+}
+
+/**
+ * Create the team agents described by a roster; options are passed to every agent (e.g. provider)
+ * Entries with a plugin (see discoverAgentPlugins) get its Agent subclass, the rest a generic Agent.
+ * A plugin keeps its own name and skills; the roster's skills are added to them.
+ */
+export function createRosterAgents(roster, options = {}, plugins = new Map()) {
+  return roster.agents.map(entry => {
+    const agentOptions = {
+      ...options,
+      modelProfile: entry.model_profile,
+      maxConcurrentTasks: entry.max_concurrent_tasks || undefined,
+      routingKeywords: entry.keywords,
+      knowledgePaths: entry.knowledge
+    };
+
+    const plugin = plugins.get(entry.name);
+    if (!plugin) {
+      return new Agent(entry.name, entry.role, entry.skills, agentOptions);
+    }
+
+    const agent = new plugin.AgentClass(agentOptions);
+    if (agent.name !== entry.name || agent.role !== entry.role) {
+      throw new RosterValidationError(roster.file, [
+        `${entry.name} (${entry.role}) is served by ${plugin.AgentClass.name}, which creates ${agent.name} (${agent.role})`
+      ]);
+    }
+    agent.specialKnowledge = [...new Set([...agent.specialKnowledge, ...entry.skills])];
+    return agent;
+  });
+}
@@ -0,0 +1,74 @@
+import Ajv from 'ajv';
+
+const AJV_OPTIONS = { allErrors: true, strict: false };
+const ajv = new Ajv(AJV_OPTIONS);
+const validators = new WeakMap();
+
+/**
+ * Compile one of the agents' built-in JSON Schemas once and reuse the validator
+ * Throws if the schema itself is invalid
+ */
+export function compileSchema(schema) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+  return validators.get(schema);
+}
+
+/**
+ * Compile a schema sent with a request on a throwaway Ajv instance
+ * The shared instance keeps every schema it compiles, and rejects a second schema with the same $id
+ */
+export function compileRequestSchema(schema) {
+  return new Ajv(AJV_OPTIONS).compile(schema);
+}
+
+/**
+ * System prompt addition asking the model for schema-conforming JSON only
+ */
+export function buildSchemaInstructions(schema) {
+  return `Respond with a single JSON value that conforms to the following JSON Schema. Output only the JSON: no explanations, no Markdown code fences.
+
+${JSON.stringify(schema, null, 2)}`;
+}
+
+/**
+ * Extract and parse JSON from a model answer, tolerating code fences and surrounding prose
+ */
+export function parseJsonResponse(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  let candidate = (fenced ? fenced[1] : text).trim();
+
+  if (!/^[[{]/.test(candidate)) {
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      candidate = candidate.slice(start, end + 1);
+    }
+  }
+
+  return JSON.parse(candidate);
+}
+
+/**
+ * Parse and validate a model answer against a schema (or an already compiled validator for it)
+ * Returns { value } on success or { errors: [readable messages] } on failure
+ */
+export function parseStructuredOutput(schema, text, validate = compileSchema(schema)) {
+  let value;
+  try {
+    value = parseJsonResponse(text);
+  } catch (error) {
+    return { errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  if (!validate(value)) {
+    return {
+      errors: validate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}${
+        error.params?.allowedValues ? `: ${error.params.allowedValues.join(', ')}` : ''
+      }`)
+    };
+  }
+
+  return { value };
+}
@@ -0,0 +1,90 @@
+import { abortable } from './providers/LLMProvider.js';
+
+/**
+ * Registry of tools an agent can call during a task
+ * Each tool has a name, a description, a JSON schema for its input and a handler
+ */
+export class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool: { name, description, input_schema, handler(input, context) }
+   * context holds the calling agent, the taskId and the task's abort signal
+   */
+  register(tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error('A tool needs a name and a handler function');
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool "${tool.name}" is already registered`);
+    }
+
+    this.tools.set(tool.name, {
+      description: '',
+      input_schema: { type: 'object', properties: {} },
+      ...tool
+    });
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  /**
+   * Tool definitions in the format expected by the Messages API
+   */
+  getDefinitions() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.input_schema
+    }));
+  }
+
+  /**
+   * Run the handler for a tool_use block and build the matching tool_result block
+   * Handler errors are reported back to the model instead of failing the task,
+   * except when the task was cancelled: then the abort error is rethrown
+   */
+  async execute(toolUse, context = {}) {
+    const tool = this.tools.get(toolUse.name);
+
+    try {
+      if (!tool) {
+        throw new Error(`Unknown tool "${toolUse.name}"`);
+      }
+
+      const input = toolUse.input || {};
+      const missing = (tool.input_schema.required || []).filter(field => input[field] === undefined);
+      if (missing.length > 0) {
+        throw new Error(`Missing required input: ${missing.join(', ')}`);
+      }
+
+      // Handlers that ignore the signal are not awaited past a cancellation
+      const output = await abortable(Promise.resolve().then(() => tool.handler(input, context)), context.signal);
+      return {
+        type: 'tool_result',
+        tool_use_id: toolUse.id,
+        content: typeof output === 'string' ? output : JSON.stringify(output)
+      };
+
+    } catch (error) {
+      if (context.signal?.aborted) {
+        throw error;
+      }
+      return {
+        type: 'tool_result',
+        tool_use_id: toolUse.id,
+        content: error.message,
+        is_error: true
+      };
+    }
+  }
+}
@@ -0,0 +1,34 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * Provider backed by the Anthropic Claude API
+ */
+export class AnthropicProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('anthropic');
+    this.client = options.client || new Anthropic({
+      apiKey: options.apiKey || process.env.CLAUDE_API_KEY,
+      // Retries are handled by ResilientProvider so they honor the circuit breaker
+      maxRetries: 0
+    });
+  }
+
+  /**
+   * Create a message completion through the Claude Messages API
+   */
+  async createMessage(request, { signal } = {}) {
+    return await this.client.messages.create(request, { signal });
+  }
+
+  /**
+   * Stream a message completion, forwarding text deltas as they arrive
+   */
+  async streamMessage(request, { onText, signal } = {}) {
+    const stream = this.client.messages.stream(request, { signal });
+    if (onText) {
+      stream.on('text', onText);
+    }
+    return await stream.finalMessage();
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Thrown when a call is rejected because the provider's breaker is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(breaker) {
+    const retryInSeconds = Math.max(0, Math.ceil((breaker.openedAt + breaker.resetTimeoutMs - Date.now()) / 1000));
+    super(`Circuit breaker for ${breaker.name} is open after ${breaker.consecutiveFailures} consecutive failures; retry in ${retryInSeconds}s`);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * Circuit breaker for an upstream provider and model
+ *
+ * States:
+ * - closed: calls go through; consecutive failures are counted
+ * - open: calls fail fast until resetTimeoutMs has passed
+ * - half_open: one trial call is let through; success closes, failure reopens
+ */
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0 };
+  }
+
+  /**
+   * Throw CircuitOpenError if the call should not be attempted
+   */
+  beforeCall() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'open' || (this.state === 'half_open' && this.trialInFlight)) {
+      this.stats.rejected++;
+      throw new CircuitOpenError(this);
+    }
+
+    if (this.state === 'half_open') {
+      this.trialInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    if (this.state !== 'closed') {
+      console.log(`🟢 Circuit breaker for ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.openedAt = null;
+  }
+
+  recordFailure(error) {
+    this.stats.failures++;
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    this.lastError = error.message;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`🔴 Circuit breaker for ${this.name} opened: ${error.message}`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Let another half-open trial through when a call ended without a verdict (e.g. aborted)
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: this.failureThreshold,
+      reset_timeout_ms: this.resetTimeoutMs,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      last_error: this.lastError,
+      ...this.stats
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * Shared breaker per name (provider/model), so every agent calling the same model sees the same state
+ */
+export function getCircuitBreaker(name, options = {}) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, options));
+  }
+  return breakers.get(name);
+}
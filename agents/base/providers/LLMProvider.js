@@ -0,0 +1,73 @@
+/**
+ * Emit the text of a finished response word by word, the way a live stream would
+ */
+export function emitTextChunks(response, onText) {
+  for (const block of response.content.filter(block => block.type === 'text')) {
+    for (const chunk of block.text.match(/\S+\s*|\s+/g) || []) {
+      onText(chunk);
+    }
+  }
+}
+
+/**
+ * Settle like the promise, or reject with the signal's reason as soon as it aborts
+ * For calls that cannot be interrupted themselves; their result is simply ignored
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  signal.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Base class for language model providers used by agents
+ * A provider accepts Anthropic Messages API style requests and returns
+ * responses in the same shape, so agents never depend on a specific vendor SDK
+ */
+export class LLMProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Create a single message completion
+   * Request: { model, max_tokens, system, messages }
+   * Response: { content: [{ type: 'text', text }], model, stop_reason, usage }
+   * Options: signal (AbortSignal) stops the call and rejects with the signal's reason
+   */
+  async createMessage(request, options = {}) {
+    throw new Error(`${this.name}: createMessage() is not implemented`);
+  }
+
+  /**
+   * Create a message completion, reporting text deltas through onText as they arrive
+   * Resolves with the same response shape as createMessage
+   * Providers without native streaming deliver the whole text as one delta
+   */
+  async streamMessage(request, { onText, signal } = {}) {
+    const response = await this.createMessage(request, { signal });
+    const text = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (onText && text) {
+      onText(text);
+    }
+    return response;
+  }
+
+  /**
+   * Describe the provider for status endpoints
+   */
+  getStatus() {
+    return {
+      name: this.name
+    };
+  }
+}
@@ -0,0 +1,132 @@
+import { LLMProvider, emitTextChunks, abortable } from './LLMProvider.js';
+import { estimateTokens } from '../tokens.js';
+
+/**
+ * Deterministic offline provider for local runs and tests
+ * Answers come from matching rules first and fall back to a canned,
+ * prompt-derived response, so the same request always yields the same output
+ *
+ * Rule format: { match, reply }
+ * - match: string (substring), RegExp, or function(request) => boolean
+ * - reply: string, response object, or function(request) => string | response object
+ */
+export class MockProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('mock');
+    this.rules = options.rules || [];
+    this.model = options.model || 'mock-model';
+    this.calls = [];
+  }
+
+  /**
+   * Add a rule; rules are checked in registration order
+   */
+  addRule(match, reply) {
+    this.rules.push({ match, reply });
+    return this;
+  }
+
+  /**
+   * Answer a request from the rules or the canned fallback
+   * Reply functions receive the call's signal, so slow replies can be aborted
+   */
+  async createMessage(request, { signal } = {}) {
+    signal?.throwIfAborted();
+    this.calls.push(request);
+
+    const rule = this.rules.find(candidate => this.matches(candidate.match, request));
+    const reply = rule
+      ? (typeof rule.reply === 'function' ? await abortable(Promise.resolve(rule.reply(request, { signal })), signal) : rule.reply)
+      : this.buildDefaultReply(request);
+
+    return this.toResponse(reply, request);
+  }
+
+  /**
+   * Answer a request and deliver the text word by word, like a live stream
+   */
+  async streamMessage(request, { onText, signal } = {}) {
+    const response = await this.createMessage(request, { signal });
+
+    if (onText) {
+      emitTextChunks(response, onText);
+    }
+    return response;
+  }
+
+  /**
+   * Check whether a rule matcher applies to a request
+   */
+  matches(matcher, request) {
+    if (typeof matcher === 'function') {
+      return Boolean(matcher(request));
+    }
+
+    const text = this.getLastUserText(request);
+    if (matcher instanceof RegExp) {
+      return matcher.test(text);
+    }
+
+    return typeof matcher === 'string' && text.includes(matcher);
+  }
+
+  /**
+   * Build a canned answer from the prompt contents
+   */
+  buildDefaultReply(request) {
+    const userText = this.getLastUserText(request);
+    const taskLine = (userText.match(/^Task:\s*(.+)$/m)?.[1] || userText.split('\n')[0] || '').trim();
+    const identity = (request.system || '').match(/^You are ([^,]+), an? ([^\s.]+)/);
+
+    return `[Mock response]
+Agent: ${identity ? `${identity[1]} (${identity[2]})` : 'unknown'}
+Task: ${taskLine}
+
+Key recommendations:
+1. Clarify the objectives and success metrics for this task.
+2. Prioritize the highest-impact actions first.
+3. Review the outcome with the relevant team members.`;
+  }
+
+  /**
+   * Wrap a reply into an Anthropic-style response object
+   */
+  toResponse(reply, request) {
+    const response = typeof reply === 'string'
+      ? { content: [{ type: 'text', text: reply }], stop_reason: 'end_turn' }
+      : { stop_reason: 'end_turn', ...reply };
+
+    const outputText = response.content
+      .map(block => block.text || JSON.stringify(block.input || ''))
+      .join('');
+
+    return {
+      id: `mock-${this.calls.length}`,
+      type: 'message',
+      role: 'assistant',
+      model: request.model || this.model,
+      ...response,
+      usage: response.usage || {
+        input_tokens: estimateTokens(JSON.stringify(request.messages) + (request.system || '')),
+        output_tokens: estimateTokens(outputText)
+      }
+    };
+  }
+
+  /**
+   * Extract the text of the most recent user message
+   */
+  getLastUserText(request) {
+    const userMessages = (request.messages || []).filter(message => message.role === 'user');
+    const last = userMessages[userMessages.length - 1];
+    if (!last) return '';
+
+    if (typeof last.content === 'string') {
+      return last.content;
+    }
+
+    return last.content
+      .map(block => block.text || (typeof block.content === 'string' ? block.content : ''))
+      .join('\n');
+  }
+}
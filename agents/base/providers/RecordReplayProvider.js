@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { LLMProvider, emitTextChunks } from './LLMProvider.js';
+import { DEFAULT_SCRUBBERS, scrub } from '../scrubbers.js';
+
+/**
+ * Thrown in replay mode when no fixture exists for a request
+ */
+export class FixtureMissError extends Error {
+  constructor(key, fixturePath, request) {
+    const lastMessage = request.messages?.[request.messages.length - 1];
+    const preview = typeof lastMessage?.content === 'string'
+      ? lastMessage.content.split('\n')[0].slice(0, 120)
+      : '';
+    super(`No recorded fixture for request ${key} (expected ${fixturePath}). Prompt: "${preview}". Re-record with LLM_RECORD_MODE=record`);
+    this.name = 'FixtureMissError';
+    this.key = key;
+  }
+}
+
+/**
+ * Provider wrapper that records request/response pairs to fixture files
+ * keyed by a hash of the request, or replays them without calling the model
+ *
+ * Modes:
+ * - record: call the wrapped provider and save every exchange
+ * - replay: serve saved exchanges only; a missing fixture is a hard error
+ */
+export class RecordReplayProvider extends LLMProvider {
+  constructor(inner, options = {}) {
+    super(inner.name);
+    this.inner = inner;
+    this.mode = options.mode || 'replay';
+    this.fixturesDir = options.fixturesDir;
+    this.scrubbers = options.scrubbers || DEFAULT_SCRUBBERS;
+
+    if (!['record', 'replay'].includes(this.mode)) {
+      throw new Error(`Unknown record mode "${this.mode}". Use "record" or "replay"`);
+    }
+    if (!this.fixturesDir) {
+      throw new Error('RecordReplayProvider requires a fixturesDir');
+    }
+  }
+
+  /**
+   * Record or replay a message completion
+   */
+  async createMessage(request, { signal } = {}) {
+    signal?.throwIfAborted();
+    const key = this.getFixtureKey(request);
+    const fixturePath = path.join(this.fixturesDir, `${key}.json`);
+
+    if (this.mode === 'replay') {
+      return await this.readFixture(key, fixturePath, request);
+    }
+
+    const response = await this.inner.createMessage(request, { signal });
+    await this.writeFixture(key, fixturePath, request, response);
+    return response;
+  }
+
+  /**
+   * Record or replay a streamed completion
+   * Fixtures are shared with createMessage; replayed text is re-emitted word by word
+   */
+  async streamMessage(request, { onText, signal } = {}) {
+    signal?.throwIfAborted();
+    const key = this.getFixtureKey(request);
+    const fixturePath = path.join(this.fixturesDir, `${key}.json`);
+
+    if (this.mode === 'replay') {
+      const response = await this.readFixture(key, fixturePath, request);
+      if (onText) {
+        emitTextChunks(response, onText);
+      }
+      return response;
+    }
+
+    const response = await this.inner.streamMessage(request, { onText, signal });
+    await this.writeFixture(key, fixturePath, request, response);
+    return response;
+  }
+
+  /**
+   * Save one request/response pair
+   */
+  async writeFixture(key, fixturePath, request, response) {
+    await fs.mkdir(this.fixturesDir, { recursive: true });
+    await fs.writeFile(fixturePath, JSON.stringify({ key, request, response }, null, 2));
+  }
+
+  /**
+   * Load a recorded response or fail loudly on a miss
+   */
+  async readFixture(key, fixturePath, request) {
+    try {
+      const fixture = JSON.parse(await fs.readFile(fixturePath, 'utf-8'));
+      return fixture.response;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+
+      const missError = new FixtureMissError(key, fixturePath, request);
+      console.error(`❌ ${missError.message}`);
+      throw missError;
+    }
+  }
+
+  /**
+   * Hash the request after scrubbing run-specific values
+   */
+  getFixtureKey(request) {
+    const serialized = scrub(JSON.stringify(request), this.scrubbers);
+    return crypto.createHash('sha256').update(serialized).digest('hex').slice(0, 32);
+  }
+
+  getStatus() {
+    return {
+      ...this.inner.getStatus(),
+      record_mode: this.mode,
+      fixtures_dir: this.fixturesDir
+    };
+  }
+}
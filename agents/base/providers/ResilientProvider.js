@@ -0,0 +1,163 @@
+import { LLMProvider, abortable } from './LLMProvider.js';
+import { getCircuitBreaker, CircuitOpenError } from './CircuitBreaker.js';
+
+// 408 timeout, 409 conflict, 429 rate limit, 5xx server errors, 529 overloaded
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+const MAX_RETRY_AFTER_MS = 60000;
+
+/**
+ * Provider wrapper adding retries with exponential backoff and jitter
+ * plus a circuit breaker per provider and model that fails fast while that model is down,
+ * so an outage of one model does not block falling back to another
+ * options.breaker replaces the per-model breakers with one breaker for every model
+ */
+export class ResilientProvider extends LLMProvider {
+  constructor(inner, options = {}) {
+    super(inner.name);
+    this.inner = inner;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 30000;
+    this.breaker = options.breaker || null;
+    this.breakerOptions = options.breakerOptions;
+    this.breakers = new Map(); // model -> breaker used for its calls
+    this.sleep = options.sleep || ((ms) => new Promise(resolve => setTimeout(resolve, ms)));
+  }
+
+  async createMessage(request, { signal } = {}) {
+    return await this.withRetries(() => this.inner.createMessage(request, { signal }), () => true, signal, request.model);
+  }
+
+  /**
+   * Streams are only retried if they failed before any text was delivered
+   */
+  async streamMessage(request, { onText, signal } = {}) {
+    let textDelivered = false;
+    const trackedOnText = onText && ((text) => {
+      textDelivered = true;
+      onText(text);
+    });
+
+    return await this.withRetries(
+      () => this.inner.streamMessage(request, { onText: trackedOnText, signal }),
+      () => !textDelivered,
+      signal,
+      request.model
+    );
+  }
+
+  /**
+   * Breaker for a model's calls, shared with every other agent calling that model on the same upstream
+   */
+  getBreaker(model) {
+    if (!this.breakers.has(model)) {
+      this.breakers.set(model, this.breaker || getCircuitBreaker(`${this.inner.name}/${model}`, this.breakerOptions));
+    }
+    return this.breakers.get(model);
+  }
+
+  /**
+   * Run a call through the breaker, retrying transient failures
+   * An aborted signal stops further attempts, including during the backoff sleep
+   */
+  async withRetries(call, canRetry = () => true, signal = null, model = null) {
+    const breaker = this.getBreaker(model);
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+      breaker.beforeCall();
+
+      try {
+        const response = await call();
+        breaker.recordSuccess();
+        return response;
+
+      } catch (error) {
+        if (signal?.aborted || !this.isRetryable(error)) {
+          // An HTTP error response means the upstream is reachable, the request itself was rejected
+          if (error.status) {
+            breaker.recordSuccess();
+          } else {
+            breaker.releaseTrial();
+          }
+          throw error;
+        }
+
+        breaker.recordFailure(error);
+
+        if (attempt >= this.maxRetries || !canRetry() || breaker.state === 'open') {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        console.warn(`${this.name}: ${error.status || error.name} from model API, retrying in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+        await abortable(this.sleep(delay), signal);
+      }
+    }
+  }
+
+  /**
+   * Transient upstream errors are retried; client errors are not
+   */
+  isRetryable(error) {
+    if (error instanceof CircuitOpenError || error.name === 'AbortError' || error.name === 'APIUserAbortError') {
+      return false;
+    }
+    if (error.status) {
+      return RETRYABLE_STATUS.has(error.status);
+    }
+    // No HTTP status means the request never got a response (network error or timeout)
+    return ['APIConnectionError', 'APIConnectionTimeoutError', 'FetchError'].includes(error.name)
+      || ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code);
+  }
+
+  /**
+   * Use retry-after when the API sends it, otherwise exponential backoff with jitter
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = this.parseRetryAfter(error.headers);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, MAX_RETRY_AFTER_MS);
+    }
+
+    const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  /**
+   * Read retry-after-ms or retry-after (seconds or HTTP date) in milliseconds
+   */
+  parseRetryAfter(headers) {
+    if (!headers) return null;
+    const get = (name) => typeof headers.get === 'function' ? headers.get(name) : headers[name];
+
+    const retryAfterMs = parseFloat(get('retry-after-ms'));
+    if (!Number.isNaN(retryAfterMs)) {
+      return Math.max(0, retryAfterMs);
+    }
+
+    const retryAfter = get('retry-after');
+    if (!retryAfter) return null;
+
+    const seconds = parseFloat(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  getStatus() {
+    return {
+      ...this.inner.getStatus(),
+      retry: {
+        max_retries: this.maxRetries,
+        base_delay_ms: this.baseDelayMs,
+        max_delay_ms: this.maxDelayMs
+      },
+      circuit_breakers: Object.fromEntries(
+        Array.from(this.breakers, ([model, breaker]) => [model, breaker.getStatus()])
+      )
+    };
+  }
+}
@@ -0,0 +1,73 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LLMProvider } from './LLMProvider.js';
+import { AnthropicProvider } from './AnthropicProvider.js';
+import { MockProvider } from './MockProvider.js';
+import { RecordReplayProvider, FixtureMissError } from './RecordReplayProvider.js';
+import { ResilientProvider } from './ResilientProvider.js';
+import { CircuitBreaker, CircuitOpenError, getCircuitBreaker } from './CircuitBreaker.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../../test/fixtures/llm');
+
+const providerFactories = {
+  anthropic: (options) => new AnthropicProvider(options),
+  mock: (options) => new MockProvider(options)
+};
+
+function readNumberEnv(name) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? undefined : Number(value);
+}
+
+/**
+ * Create a provider by name (defaults to LLM_PROVIDER or 'anthropic')
+ * Calls go through retries and a circuit breaker (LLM_MAX_RETRIES, LLM_RETRY_BASE_DELAY_MS,
+ * LLM_RETRY_MAX_DELAY_MS, LLM_BREAKER_FAILURE_THRESHOLD, LLM_BREAKER_RESET_MS);
+ * pass options.resilience = false to disable them.
+ * When LLM_RECORD_MODE is 'record' or 'replay', the provider is wrapped
+ * so exchanges are saved to or served from LLM_FIXTURES_DIR
+ */
+function createProvider(name = process.env.LLM_PROVIDER || 'anthropic', options = {}) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  let provider = factory(options);
+
+  if (options.resilience !== false) {
+    provider = new ResilientProvider(provider, {
+      maxRetries: options.maxRetries ?? readNumberEnv('LLM_MAX_RETRIES'),
+      baseDelayMs: options.baseDelayMs ?? readNumberEnv('LLM_RETRY_BASE_DELAY_MS'),
+      maxDelayMs: options.maxDelayMs ?? readNumberEnv('LLM_RETRY_MAX_DELAY_MS'),
+      breakerOptions: {
+        failureThreshold: readNumberEnv('LLM_BREAKER_FAILURE_THRESHOLD'),
+        resetTimeoutMs: readNumberEnv('LLM_BREAKER_RESET_MS')
+      }
+    });
+  }
+
+  const recordMode = options.recordMode || process.env.LLM_RECORD_MODE;
+  if (recordMode) {
+    return new RecordReplayProvider(provider, {
+      mode: recordMode,
+      fixturesDir: options.fixturesDir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR
+    });
+  }
+
+  return provider;
+}
+
+export {
+  LLMProvider,
+  AnthropicProvider,
+  MockProvider,
+  RecordReplayProvider,
+  FixtureMissError,
+  ResilientProvider,
+  CircuitBreaker,
+  CircuitOpenError,
+  getCircuitBreaker,
+  createProvider
+};
@@ -0,0 +1,23 @@
+/**
+ * Values that change on every run (timestamps, generated ids, durations)
+ * They are replaced with placeholders before a request is hashed, so a repeated request
+ * produces the same key (record/replay fixtures, response cache)
+ */
+export const DEFAULT_SCRUBBERS = [
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<timestamp>'],
+  [/(Mon|Tue|Wed|Thu|Fri|Sat|Sun) (Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{2} \d{4} \d{2}:\d{2}:\d{2} GMT[+-]\d{4}( \([^)]*\))?/g, '<date>'],
+  [/\b\d{13}-[a-z0-9]{9}\b/g, '<id>'],
+  [/\b\d{13}\b/g, '<epoch>'],
+  [/(\\"(?:duration|averageCompletionTime)\\":\s*)-?[\d.e+-]+/g, '$1<elapsed>']
+];
+
+/**
+ * Apply [pattern, replacement] scrubbers to a serialized request
+ */
+export function scrub(text, scrubbers = DEFAULT_SCRUBBERS) {
+  let scrubbed = text;
+  for (const [pattern, replacement] of scrubbers) {
+    scrubbed = scrubbed.replace(pattern, replacement);
+  }
+  return scrubbed;
+}
@@ -0,0 +1,16 @@
+/**
+ * Rough token estimate (about four characters per token)
+ * Good enough for budgeting; exact counts come from the provider's usage field
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Estimated tokens of a message list, including non-text content blocks
+ */
+export function estimateMessageTokens(messages) {
+  return messages.reduce((total, message) => total + estimateTokens(
+    typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+  ), 0);
+}
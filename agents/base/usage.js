@@ -0,0 +1,102 @@
+import fs from 'fs';
+
+/**
+ * Default prices in USD per million tokens
+ * Override or extend with a JSON file of the same shape via LLM_PRICING_FILE
+ */
+export const DEFAULT_PRICES = {
+  'claude-3-5-sonnet-20241022': { input_per_million: 3, output_per_million: 15 },
+  'claude-3-5-sonnet-20240620': { input_per_million: 3, output_per_million: 15 },
+  'claude-3-5-haiku-20241022': { input_per_million: 0.8, output_per_million: 4 },
+  'claude-3-opus-20240229': { input_per_million: 15, output_per_million: 75 },
+  'claude-3-sonnet-20240229': { input_per_million: 3, output_per_million: 15 },
+  'claude-3-haiku-20240307': { input_per_million: 0.25, output_per_million: 1.25 },
+  'mock-model': { input_per_million: 0, output_per_million: 0 }
+};
+
+let priceTable = null;
+const unpricedModels = new Set();
+
+/**
+ * Price table in effect: defaults merged with LLM_PRICING_FILE, if set
+ */
+export function getPriceTable() {
+  if (!priceTable) {
+    priceTable = { ...DEFAULT_PRICES };
+    const pricingFile = process.env.LLM_PRICING_FILE;
+    if (pricingFile) {
+      try {
+        Object.assign(priceTable, JSON.parse(fs.readFileSync(pricingFile, 'utf-8')));
+      } catch (error) {
+        console.warn(`Could not load pricing file ${pricingFile}:`, error.message);
+      }
+    }
+  }
+  return priceTable;
+}
+
+/**
+ * Replace the price table at runtime (e.g. from tests or an admin endpoint)
+ */
+export function setPriceTable(prices) {
+  priceTable = { ...prices };
+}
+
+/**
+ * Estimated cost in USD of a usage record for a model
+ */
+export function estimateCost(model, usage, prices = getPriceTable()) {
+  const price = prices[model];
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      console.warn(`No price configured for model ${model}; its cost is counted as 0`);
+    }
+    return 0;
+  }
+
+  return (usage.input_tokens * price.input_per_million + usage.output_tokens * price.output_per_million) / 1e6;
+}
+
+export function emptyUsage() {
+  return { input_tokens: 0, output_tokens: 0, cost_usd: 0, calls: 0 };
+}
+
+/**
+ * Add one model response's usage (and its cost) to an accumulator
+ */
+export function addResponseUsage(total, response, model) {
+  const usage = {
+    input_tokens: response.usage?.input_tokens || 0,
+    output_tokens: response.usage?.output_tokens || 0
+  };
+
+  total.input_tokens += usage.input_tokens;
+  total.output_tokens += usage.output_tokens;
+  total.cost_usd += estimateCost(response.model || model, usage);
+  total.calls++;
+  return total;
+}
+
+/**
+ * Add one usage accumulator to another
+ */
+export function mergeUsage(total, usage) {
+  if (!usage) return total;
+  total.input_tokens += usage.input_tokens;
+  total.output_tokens += usage.output_tokens;
+  total.cost_usd += usage.cost_usd;
+  total.calls += usage.calls;
+  return total;
+}
+
+/**
+ * Copy of a usage record with the cost rounded for display
+ */
+export function formatUsage(usage) {
+  return {
+    ...usage,
+    total_tokens: usage.input_tokens + usage.output_tokens,
+    cost_usd: Math.round(usage.cost_usd * 1e6) / 1e6
+  };
+}
@@ -1,14 +1,30 @@
+import { randomUUID } from 'crypto';
 import { Agent } from '../base/Agent.js';
+import { emptyUsage, mergeUsage, formatUsage } from '../base/usage.js';
+import { LessonStore } from '../base/LessonStore.js';
+import { CollaborationEngine } from '../base/CollaborationEngine.js';
+import { EscalationNotifier } from '../base/EscalationNotifier.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+// How long a task may run, per priority; TASK_TIMEOUT_<PRIORITY>_MS overrides a default
+const DEFAULT_TASK_TIMEOUTS_MS = {
+  high: Number(process.env.TASK_TIMEOUT_HIGH_MS) || 10 * 60 * 1000,
+  medium: Number(process.env.TASK_TIMEOUT_MEDIUM_MS) || 30 * 60 * 1000,
+  low: Number(process.env.TASK_TIMEOUT_LOW_MS) || 60 * 60 * 1000
+};
+
+function formatDuration(ms) {
+  return ms >= 60000 ? `${Math.round(ms / 60000)} min` : `${ms / 1000}s`;
+}
+
 /**
  * CEO Agent - Main coordinator for the AI agents team
  * Responsible for task delegation, monitoring, and strategic oversight
  */
 class CEOAgent extends Agent {
-  constructor() {
+  constructor(options = {}) {
     super(
       'lil_Boss_CEO',
       'CEO',
@@ -19,12 +35,14 @@ class CEOAgent extends Agent {
         'Performance Monitoring',
         'Executive Decision Making',
         'Resource Allocation'
-      ]
+      ],
+      options
     );
     
     this.teamAgents = new Map();
     this.taskQueue = [];
     this.activeTasks = new Map();
+    this.taskCancellations = new Map(); // taskId -> { controller, settled } while the task is active
     this.taskHistory = [];
     this.performanceMetrics = {
       tasksCompleted: 0,
@@ -32,6 +50,16 @@ class CEOAgent extends Agent {
       averageCompletionTime: 0,
       successRate: 0
     };
+
+    // Opt-in: results rated at least lessonMinRating, or approved, are distilled into lessons for the role
+    this.learnFromTasks = options.learnFromTasks ?? process.env.LESSONS_ENABLED === 'true';
+    this.lessonMinRating = options.lessonMinRating ?? (Number(process.env.LESSONS_MIN_RATING) || 4);
+    this.lessonStore = options.lessonStore || new LessonStore({ dir: this.knowledgeBase.dir });
+    this.collaborationEngine = options.collaborationEngine || new CollaborationEngine();
+
+    // Tasks that run past their timeout or deadline are stopped as timed_out; high-priority ones are escalated
+    this.taskTimeouts = { ...DEFAULT_TASK_TIMEOUTS_MS, ...options.taskTimeouts };
+    this.escalation = options.escalation || new EscalationNotifier();
   }
 
   /**
@@ -55,8 +83,14 @@ class CEOAgent extends Agent {
 
   /**
    * Assign a task to the most suitable agent based on task requirements
+   * Options: onAssigned(task) once an agent is picked, onDelta(text) for streamed output,
+   * clientId to attribute token usage and cost to the requesting client,
+   * schema (JSON Schema) to get a validated structured result, noCache to skip the agent's response cache,
+   * signal (AbortSignal) to cancel the task from the caller's side.
+   * The task can be stopped with cancelTask(taskId) while it runs, and is stopped as timed_out
+   * once it exceeds its priority's timeout or its deadline
    */
-  async assignTask(taskDescription, priority = 'medium', requiredSkills = []) {
+  async assignTask(taskDescription, priority = 'medium', requiredSkills = [], options = {}) {
     const taskId = `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     
     console.log(`${this.name}: Assigning new task ${taskId}`);
@@ -68,6 +102,7 @@ class CEOAgent extends Agent {
     
     if (!assignedAgent) {
       console.error(`${this.name}: No suitable agent found for task ${taskId}`);
+      this.emitEvent('task.failed', { task_id: taskId, error: 'No suitable agent available', duration_ms: null });
       return {
         success: false,
         error: 'No suitable agent available',
@@ -83,36 +118,110 @@ class CEOAgent extends Agent {
       requiredSkills,
       assignedAgent: assignedAgent.name,
       assignedAt: new Date(),
+      deadline: this.calculateDeadline(priority),
+      status: 'assigned',
+      progress: 0,
+      clientId: options.clientId || null
+    };
+
+    return await this.runTrackedTask(task, assignedAgent, options, signal => assignedAgent.processTask(
+      taskId,
+      taskDescription,
+      {
+        priority,
+        assignedBy: this.name,
+        deadline: task.deadline
+      },
+      { onDelta: options.onDelta, schema: options.schema, noCache: options.noCache, signal }
+    ));
+  }
+
+  /**
+   * Call a team agent's capability (a plugin method such as analyzeKeywords) as a tracked task
+   * The call gets a task id, the priority's timeout and deadline, cancellation, clientId attribution
+   * and a place in the task history like an assigned task. Options: priority, clientId, noCache, signal
+   */
+  async runCapability(agentName, capability, args = [], options = {}) {
+    const agent = this.teamAgents.get(agentName);
+    if (!agent) {
+      return { success: false, found: false, error: `Unknown team agent: ${agentName}` };
+    }
+    if (!agent.getCapabilities().some(candidate => candidate.name === capability)) {
+      return { success: false, found: true, error: `Unknown capability: ${capability}` };
+    }
+
+    const taskId = `task-${randomUUID()}`;
+    const priority = options.priority || 'medium';
+    console.log(`${this.name}: Running ${agentName}.${capability} as task ${taskId}`);
+
+    const task = {
+      id: taskId,
+      description: `${agentName}.${capability}`,
+      priority,
+      requiredSkills: [],
+      capability,
+      assignedAgent: agent.name,
+      assignedAt: new Date(),
+      deadline: this.calculateDeadline(priority),
       status: 'assigned',
-      progress: 0
+      progress: 0,
+      clientId: options.clientId || null
     };
 
+    return await this.runTrackedTask(task, agent, options, async signal => {
+      const result = await agent.runCapability(capability, args, { taskId, priority, noCache: options.noCache, signal });
+      // Capabilities that run a task return its result; anything else is a successful answer
+      return typeof result?.success === 'boolean' ? result : { success: true, result };
+    });
+  }
+
+  /**
+   * Track a task while run(signal) executes it on an agent and record the outcome
+   * options: onAssigned(task), signal (the caller's cancellation), as in assignTask
+   */
+  async runTrackedTask(task, agent, options, run) {
+    const taskId = task.id;
+    const priority = task.priority;
     this.activeTasks.set(taskId, task);
     this.performanceMetrics.tasksAssigned++;
+    const cancellation = this.trackCancellation(taskId, this.getTimeLimit(priority, task.deadline), options.signal);
+    this.emitEvent('task.assigned', {
+      task_id: taskId,
+      assigned_agent: agent.name,
+      priority,
+      description: task.description,
+      deadline: task.deadline.toISOString()
+    });
+
+    if (options.onAssigned) {
+      options.onAssigned(task);
+    }
 
     try {
       // Execute task with the selected agent
-      console.log(`${this.name}: Executing task ${taskId} with ${assignedAgent.name}`);
+      console.log(`${this.name}: Executing task ${taskId} with ${agent.name}`);
       
-      const result = await assignedAgent.processTask(
-        taskId,
-        taskDescription,
-        {
-          priority,
-          assignedBy: this.name,
-          deadline: this.calculateDeadline(priority)
-        }
-      );
+      const result = await run(cancellation.signal);
 
       // Update task status
-      task.status = result.success ? 'completed' : 'failed';
+      task.status = result.cancelled ? 'cancelled' : result.timed_out ? 'timed_out' : result.success ? 'completed' : 'failed';
       task.completedAt = new Date();
       task.result = result;
       task.progress = 100;
+      task.model = result.model;
+      if (result.requested_model) {
+        task.requestedModel = result.requested_model; // a fallback model answered
+      }
+      task.prompts = result.prompts;
+      task.usage = result.usage;
 
       if (result.success) {
         this.performanceMetrics.tasksCompleted++;
-        console.log(`${this.name}: Task ${taskId} completed successfully by ${assignedAgent.name}`);
+        console.log(`${this.name}: Task ${taskId} completed successfully by ${agent.name}`);
+      } else if (result.cancelled) {
+        console.log(`🛑 ${this.name}: Task ${taskId} cancelled`);
+      } else if (result.timed_out) {
+        await this.recordTimeout(task, result.error);
       } else {
         console.log(`${this.name}: Task ${taskId} failed: ${result.error}`);
       }
@@ -127,9 +236,14 @@ class CEOAgent extends Agent {
       return {
         success: result.success,
         taskId,
-        assignedAgent: assignedAgent.name,
+        assignedAgent: agent.name,
         result: result.result,
-        error: result.error
+        error: result.error,
+        ...(result.cancelled && { cancelled: true }),
+        ...(result.timed_out && { timed_out: true, escalation: task.escalation }),
+        ...(result.cached && { cached: result.cached }),
+        prompts: result.prompts,
+        usage: result.usage
       };
 
     } catch (error) {
@@ -147,27 +261,361 @@ class CEOAgent extends Agent {
         taskId,
         error: error.message
       };
+
+    } finally {
+      cancellation.settle();
+    }
+  }
+
+  /**
+   * Work on a task that spans several departments with a multi-round collaboration
+   * Options: protocol (round_robin, proposer_reviewer, debate), agents (team agent names;
+   * by default the agents whose roles match the task), maxRounds, clientId.
+   * In a debate the CEO is the judge. The collaboration is tracked like a task and can be cancelled like one.
+   */
+  async collaborate(taskDescription, options = {}) {
+    const { protocol = 'round_robin', priority = 'medium', maxRounds } = options;
+    const taskId = `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    const participants = options.agents?.length > 0
+      ? options.agents.map(name => this.teamAgents.get(name))
+      : this.selectCollaborators(taskDescription);
+
+    if (participants.some(agent => !agent)) {
+      const unknown = options.agents.filter(name => !this.teamAgents.has(name));
+      return { success: false, taskId, error: `Unknown team agents: ${unknown.join(', ')}` };
+    }
+    if (participants.length < 2) {
+      return { success: false, taskId, error: 'A collaboration needs at least two team agents' };
+    }
+
+    console.log(`${this.name}: Starting ${protocol} collaboration ${taskId} with ${participants.map(agent => agent.name).join(', ')}`);
+
+    const task = {
+      id: taskId,
+      type: 'collaboration',
+      description: taskDescription,
+      priority,
+      requiredSkills: [],
+      protocol,
+      participants: participants.map(agent => agent.name),
+      assignedAgent: participants.map(agent => agent.name).join(', '),
+      assignedAt: new Date(),
+      deadline: this.calculateDeadline(priority),
+      status: 'assigned',
+      progress: 0,
+      clientId: options.clientId || null
+    };
+    this.activeTasks.set(taskId, task);
+    this.performanceMetrics.tasksAssigned++;
+    const cancellation = this.trackCancellation(taskId, this.getTimeLimit(priority, task.deadline));
+    this.emitEvent('collaboration.started', { task_id: taskId, protocol, participants: task.participants });
+
+    let outcome;
+    try {
+      try {
+        outcome = await this.collaborationEngine.run(taskDescription, {
+          agents: participants,
+          protocol,
+          judge: protocol === 'debate' ? this : null,
+          maxRounds,
+          context: { priority, deadline: task.deadline, coordinatedBy: this.name },
+          signal: cancellation.signal,
+          onRound: ({ round, turns }) => this.emitEvent('collaboration.round', {
+            task_id: taskId,
+            protocol,
+            round,
+            turns: turns.map(turn => ({ agent: turn.agent, step: turn.step }))
+          })
+        });
+      } catch (error) {
+        outcome = { success: false, error: error.message, transcript: [] };
+      }
+
+      task.status = outcome.cancelled ? 'cancelled' : outcome.timed_out ? 'timed_out' : outcome.success ? 'completed' : 'failed';
+      task.completedAt = new Date();
+      task.progress = 100;
+      task.result = { success: outcome.success, result: outcome.final_answer, error: outcome.error };
+      task.collaboration = outcome;
+      task.usage = outcome.usage;
+      if (outcome.success) {
+        this.performanceMetrics.tasksCompleted++;
+      } else if (outcome.timed_out) {
+        await this.recordTimeout(task, outcome.error);
+      }
+
+      this.taskHistory.push(task);
+      this.activeTasks.delete(taskId);
+      this.updatePerformanceMetrics();
+    } finally {
+      cancellation.settle();
+    }
+
+    this.emitEvent('collaboration.completed', {
+      task_id: taskId,
+      status: task.status,
+      stop_reason: outcome.stop_reason || null,
+      rounds: outcome.rounds ?? 0,
+      converged: outcome.converged ?? false
+    });
+
+    return { taskId, ...outcome, ...(outcome.timed_out && { escalation: task.escalation }) };
+  }
+
+  /**
+   * Abort controller for an active task plus a promise that resolves once the task is settled
+   * With a timeLimit ({ ms, reason }) the task is aborted with a TimeoutError when the limit passes,
+   * and with a caller's signal it is aborted (for the same reason) when that signal aborts
+   * settle(status) may pass the outcome when it is not the task's status (a follow-up turn)
+   */
+  trackCancellation(taskId, timeLimit = null, callerSignal = null) {
+    const controller = new AbortController();
+    let settle;
+    const settled = new Promise(resolve => {
+      settle = resolve;
+    });
+
+    const timer = timeLimit && setTimeout(() => {
+      controller.abort(new DOMException(timeLimit.reason, 'TimeoutError'));
+    }, timeLimit.ms);
+    const forwardAbort = () => controller.abort(callerSignal.reason);
+    if (callerSignal?.aborted) {
+      forwardAbort();
+    } else {
+      callerSignal?.addEventListener('abort', forwardAbort, { once: true });
+    }
+
+    this.taskCancellations.set(taskId, { controller, settled });
+    return {
+      signal: controller.signal,
+      settle: (status) => {
+        clearTimeout(timer);
+        callerSignal?.removeEventListener('abort', forwardAbort);
+        this.taskCancellations.delete(taskId);
+        settle(status);
+      }
+    };
+  }
+
+  /**
+   * How long a task may run: its priority's timeout, or less if the deadline comes first
+   * (a TASK_TIMEOUT_*_MS longer than the priority's deadline is cut short by the deadline)
+   */
+  getTimeLimit(priority, deadline = null) {
+    const timeoutMs = this.taskTimeouts[priority] ?? this.taskTimeouts.medium;
+    const untilDeadline = deadline ? deadline.getTime() - Date.now() : Infinity;
+
+    if (untilDeadline < timeoutMs) {
+      return { ms: Math.max(0, untilDeadline), reason: `Task missed its deadline (${deadline.toISOString()})` };
+    }
+    return { ms: timeoutMs, reason: `Task exceeded the ${priority} priority timeout of ${formatDuration(timeoutMs)}` };
+  }
+
+  /**
+   * Note that a task ran out of time and escalate it if its priority calls for that
+   */
+  async recordTimeout(task, reason) {
+    task.timedOutAt = new Date();
+    console.warn(`⏰ ${this.name}: Task ${task.id} timed out: ${reason}`);
+
+    if (this.escalation.shouldEscalate(task)) {
+      task.escalation = await this.escalation.escalate(task, reason);
+      this.emitEvent('task.escalated', {
+        task_id: task.id,
+        priority: task.priority,
+        reason,
+        deliveries: task.escalation.deliveries
+      });
+    }
+  }
+
+  /**
+   * Cancel an active task or collaboration: the agents working on it abort their model and tool calls
+   * Resolves once the task has stopped; a cancelled task is kept in the history with status cancelled
+   * Returns { success, found, active, taskId, status }; finished tasks cannot be cancelled
+   */
+  async cancelTask(taskId, { reason } = {}) {
+    const cancellation = this.taskCancellations.get(taskId);
+    if (!cancellation) {
+      const finished = this.taskHistory.find(candidate => candidate.id === taskId);
+      return finished
+        ? { success: false, found: true, active: false, taskId, status: finished.status, error: `Task is already ${finished.status}` }
+        : { success: false, found: false, taskId, error: 'Task not found' };
+    }
+
+    console.log(`🛑 ${this.name}: Cancelling task ${taskId}${reason ? ` (${reason})` : ''}`);
+    // A finished task is only cancellable while a follow-up turn on it runs
+    const task = this.activeTasks.get(taskId) || this.taskHistory.find(candidate => candidate.id === taskId);
+    task.cancelReason = reason || null;
+    cancellation.controller.abort();
+    const status = (await cancellation.settled) || task.status;
+
+    // The task may have finished in the same moment it was cancelled
+    return {
+      success: status === 'cancelled',
+      found: true,
+      active: true,
+      taskId,
+      status,
+      ...(status !== 'cancelled' && { error: `Task is already ${status}` })
+    };
+  }
+
+  /**
+   * Team agents whose roles match a task, best match first (at most limit)
+   * Falls back to the best scoring agents when fewer than two roles match
+   */
+  selectCollaborators(taskDescription, limit = 3) {
+    const scored = Array.from(this.teamAgents.values())
+      .filter(agent => agent.status !== 'offline')
+      .map(agent => ({ agent, score: this.calculateRoleScore(agent, taskDescription) }))
+      .sort((a, b) => b.score - a.score);
+
+    const matching = scored.filter(({ score }) => score > 0);
+    const selected = matching.length >= 2 ? matching.slice(0, limit) : scored.slice(0, 2);
+    return selected.map(({ agent }) => agent);
+  }
+
+  /**
+   * Send a follow-up message on a finished task to the agent that handled it
+   * The agent answers within the task's conversation thread; options as in assignTask (onDelta, schema, signal)
+   * A running follow-up can be stopped with cancelTask(taskId) and is stopped as timed_out after its priority's timeout
+   */
+  async continueTask(taskId, message, options = {}) {
+    if (this.activeTasks.has(taskId) || this.taskCancellations.has(taskId)) {
+      return { success: false, found: true, active: true, taskId, error: 'Task is still in progress' };
+    }
+
+    const task = this.taskHistory.find(candidate => candidate.id === taskId);
+    if (!task) {
+      return { success: false, found: false, taskId, error: 'Task not found' };
+    }
+
+    const agent = this.teamAgents.get(task.assignedAgent);
+    if (!agent) {
+      return { success: false, found: true, taskId, error: `Agent ${task.assignedAgent} is no longer registered` };
+    }
+
+    console.log(`${this.name}: Follow-up on task ${taskId} for ${agent.name}`);
+    // The task's deadline applied to its first answer; a follow-up gets its priority's timeout
+    const cancellation = this.trackCancellation(taskId, this.getTimeLimit(task.priority), options.signal);
+    let result;
+    try {
+      result = await agent.continueTask(taskId, message, { onDelta: options.onDelta, schema: options.schema, signal: cancellation.signal });
+    } finally {
+      cancellation.settle(result?.cancelled ? 'cancelled' : result?.timed_out ? 'timed_out' : undefined);
+    }
+
+    // A failed follow-up leaves the previous result in place
+    if (result.success) {
+      task.result = result;
+    }
+    task.usage = result.usage || task.usage;
+    task.conversation = result.conversation;
+    task.lastFollowUpAt = new Date();
+
+    return {
+      success: result.success,
+      found: true,
+      taskId,
+      assignedAgent: agent.name,
+      result: result.result,
+      error: result.error,
+      ...(result.cancelled && { cancelled: true }),
+      ...(result.timed_out && { timed_out: true }),
+      prompts: result.prompts,
+      conversation: result.conversation,
+      usage: result.usage
+    };
+  }
+
+  /**
+   * Record a user rating (1-5) for a finished task
+   * With learning enabled, a rating of at least lessonMinRating turns the result into lessons
+   */
+  async rateTask(taskId, rating, { comment } = {}) {
+    const task = this.taskHistory.find(candidate => candidate.id === taskId);
+    if (!task) {
+      return { success: false, found: false, taskId, error: 'Task not found' };
+    }
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return { success: false, found: true, taskId, error: 'Rating must be an integer from 1 to 5' };
+    }
+
+    task.feedback = { rating, comment: comment || null, rated_at: new Date() };
+    console.log(`${this.name}: Task ${taskId} rated ${rating}/5`);
+
+    const lessons = rating >= this.lessonMinRating ? await this.learnFromTask(task) : null;
+    return { success: true, found: true, taskId, feedback: task.feedback, lessons };
+  }
+
+  /**
+   * Mark a finished task's result as approved; with learning enabled it is turned into lessons
+   */
+  async approveTask(taskId, { approvedBy } = {}) {
+    const task = this.taskHistory.find(candidate => candidate.id === taskId);
+    if (!task) {
+      return { success: false, found: false, taskId, error: 'Task not found' };
+    }
+
+    task.approval = { approved_by: approvedBy || 'admin', approved_at: new Date() };
+    console.log(`${this.name}: Task ${taskId} approved by ${task.approval.approved_by}`);
+
+    const lessons = await this.learnFromTask(task);
+    return { success: true, found: true, taskId, approval: task.approval, lessons };
+  }
+
+  /**
+   * Distill a completed task into lessons in the assigned agent's role knowledge
+   * Returns null when learning is off or the task cannot be learned from; each task is learned once
+   */
+  async learnFromTask(task) {
+    if (!this.learnFromTasks || task.status !== 'completed' || !task.result?.success) {
+      return null;
+    }
+    if (task.lessons) {
+      return task.lessons;
+    }
+
+    const agent = this.teamAgents.get(task.assignedAgent);
+    if (!agent) {
+      return null;
+    }
+
+    try {
+      const lessons = await agent.distillLessons({ description: task.description, result: task.result.result, priority: task.priority });
+      task.lessons = lessons.length > 0
+        ? await this.lessonStore.addLessons(agent.role, lessons, task.id)
+        : { file: null, added: [], merged: [] };
+
+      // Make new lessons retrievable right away, without waiting for the file watcher
+      if (task.lessons.file && this.knowledgeBase.loaded) {
+        await this.knowledgeBase.reloadFile(task.lessons.file);
+      }
+
+      console.log(`${this.name}: Learned from task ${task.id}: ${task.lessons.added.length} new, ${task.lessons.merged.length} merged lessons`);
+      return task.lessons;
+    } catch (error) {
+      console.error(`${this.name}: Could not learn from task ${task.id}:`, error.message);
+      return { error: error.message };
     }
   }
 
   /**
    * Select the best agent for a task based on skills and availability
+   * Every online agent is scored; among the best matches one with a free slot is preferred,
+   * otherwise the task waits on the least loaded best match
+   * Returns null when no agent is online
    */
   selectBestAgent(requiredSkills, taskDescription) {
-    const availableAgents = Array.from(this.teamAgents.values())
-      .filter(agent => agent.status === 'idle');
-
-    if (availableAgents.length === 0) {
-      console.log(`${this.name}: No agents available, will assign to least busy agent`);
-      // If no agents are idle, find the one with least current tasks
-      const agents = Array.from(this.teamAgents.values());
-      return agents.reduce((leastBusy, agent) => 
-        agent.currentTasks.size < leastBusy.currentTasks.size ? agent : leastBusy
-      );
+    const onlineAgents = Array.from(this.teamAgents.values())
+      .filter(agent => agent.status !== 'offline');
+    if (onlineAgents.length === 0) {
+      return null;
     }
 
     // Score agents based on skill match
-    const scoredAgents = availableAgents.map(agent => {
+    const scoredAgents = onlineAgents.map(agent => {
       let score = 0;
       
       // Check for direct skill matches
@@ -180,32 +628,34 @@ class CEOAgent extends Agent {
       }
 
       // Check for role-based suitability
-      score += this.calculateRoleScore(agent.role, taskDescription);
+      score += this.calculateRoleScore(agent, taskDescription);
       
       return { agent, score };
     });
 
-    // Sort by score and return the best match
-    scoredAgents.sort((a, b) => b.score - a.score);
-    return scoredAgents[0]?.agent || availableAgents[0];
+    const bestScore = Math.max(...scoredAgents.map(({ score }) => score));
+    const bestMatches = scoredAgents.filter(({ score }) => score === bestScore).map(({ agent }) => agent);
+    const availableMatches = bestMatches.filter(agent => agent.hasCapacity());
+
+    if (availableMatches.length === 0) {
+      console.log(`${this.name}: Best matching agents are saturated, will queue with the least loaded one`);
+    }
+    // Equal scores go to the less loaded agent; a saturated one is the shortest line to wait in
+    return (availableMatches.length > 0 ? availableMatches : bestMatches).reduce((leastLoaded, agent) =>
+      agent.getLoad() < leastLoaded.getLoad() ? agent : leastLoaded
+    );
   }
 
   /**
-   * Calculate role-based suitability score for a task
+   * Role-based suitability score for a task: 15 when the description contains one of the agent's routing keywords
+   * Agents without routing keywords (created in code rather than from the roster) match on the words of their role
    */
-  calculateRoleScore(role, taskDescription) {
+  calculateRoleScore(agent, taskDescription) {
     const taskLower = taskDescription.toLowerCase();
-    const roleScores = {
-      'SEO_Specialist': taskLower.includes('seo') || taskLower.includes('search') || taskLower.includes('keyword') ? 15 : 0,
-      'Brand_Manager': taskLower.includes('brand') || taskLower.includes('identity') || taskLower.includes('image') ? 15 : 0,
-      'Market_Analyst': taskLower.includes('market') || taskLower.includes('analysis') || taskLower.includes('trend') ? 15 : 0,
-      'Finance_Analyst': taskLower.includes('finance') || taskLower.includes('budget') || taskLower.includes('cost') ? 15 : 0,
-      'Product_Manager': taskLower.includes('product') || taskLower.includes('feature') || taskLower.includes('development') ? 15 : 0,
-      'Marketing_Manager': taskLower.includes('marketing') || taskLower.includes('campaign') || taskLower.includes('promotion') ? 15 : 0,
-      'Partnership_Manager': taskLower.includes('partnership') || taskLower.includes('collaboration') || taskLower.includes('alliance') ? 15 : 0
-    };
-
-    return roleScores[role] || 0;
+    const keywords = agent.routingKeywords?.length > 0
+      ? agent.routingKeywords
+      : agent.role.toLowerCase().split('_').filter(Boolean);
+    return keywords.some(keyword => taskLower.includes(keyword)) ? 15 : 0;
   }
 
   /**
@@ -281,16 +731,19 @@ class CEOAgent extends Agent {
     try {
       // Use CEO's processing capability to aggregate results
       const aggregationTaskId = `aggregation-${Date.now()}`;
-      const aggregationPrompt = `Aggregate and synthesize the following task results into a comprehensive ${aggregationType}:
-
-${JSON.stringify(aggregationContext, null, 2)}
-
-Provide a coherent analysis that combines insights from all agents and identifies key patterns, conflicts, and recommendations.`;
+      // Results can be long; the largest ones are cut first to stay within the context budget
+      const serializedContext = this.contextSerializer.serialize(aggregationContext);
+      const aggregationPrompt = this.renderPrompt('aggregation', {
+        aggregation_type: aggregationType,
+        aggregation_context: serializedContext.text,
+        context_note: serializedContext.note
+      });
 
       const result = await this.processTask(
         aggregationTaskId,
-        aggregationPrompt,
-        { type: 'aggregation', source_tasks: taskIds }
+        aggregationPrompt.text,
+        { type: 'aggregation', source_tasks: taskIds },
+        { prompt: aggregationPrompt }
       );
 
       return {
@@ -298,7 +751,9 @@ Provide a coherent analysis that combines insights from all agents and identifie
         aggregated_result: result.result,
         source_tasks: taskIds,
         agents_involved: [...new Set(completedTasks.map(task => task.assignedAgent))],
-        aggregation_type: aggregationType
+        aggregation_type: aggregationType,
+        prompts: result.prompts,
+        ...(serializedContext.cuts.length > 0 && { context_cuts: serializedContext.cuts })
       };
 
     } catch (error) {
@@ -316,10 +771,11 @@ Provide a coherent analysis that combines insights from all agents and identifie
    */
   updatePerformanceMetrics() {
     const completedTasks = this.taskHistory.filter(task => task.status === 'completed');
-    const failedTasks = this.taskHistory.filter(task => task.status === 'failed');
+    // Cancelled tasks were stopped on request, so they count neither as successes nor as failures
+    const finishedTasks = this.taskHistory.filter(task => task.status !== 'cancelled');
 
-    this.performanceMetrics.successRate = this.taskHistory.length > 0 
-      ? (completedTasks.length / this.taskHistory.length) * 100 
+    this.performanceMetrics.successRate = finishedTasks.length > 0
+      ? (completedTasks.length / finishedTasks.length) * 100
       : 0;
 
     if (completedTasks.length > 0) {
@@ -332,7 +788,7 @@ Provide a coherent analysis that combines insights from all agents and identifie
   }
 
   /**
-   * Generate comprehensive team performance report
+   * Generate comprehensive team performance report and store it in the report archive
    */
   async generateTeamReport() {
     console.log(`${this.name}: Generating comprehensive team performance report`);
@@ -343,23 +799,78 @@ Provide a coherent analysis that combines insights from all agents and identifie
       active_tasks: this.activeTasks.size,
       completed_tasks: this.taskHistory.filter(task => task.status === 'completed').length,
       failed_tasks: this.taskHistory.filter(task => task.status === 'failed').length,
-      agent_status: Array.from(this.teamAgents.values()).map(agent => agent.getStatus())
+      cancelled_tasks: this.taskHistory.filter(task => task.status === 'cancelled').length,
+      timed_out_tasks: this.taskHistory.filter(task => task.status === 'timed_out').length,
+      agent_status: Array.from(this.teamAgents.values()).map(agent => agent.getStatus()),
+      usage: this.calculateUsageBreakdown()
     };
 
     // Generate CEO-level insights
     const reportTaskId = `team-report-${Date.now()}`;
+    const reportPrompt = this.renderPrompt('team_report', { team_stats: teamStats });
     const result = await this.processTask(
       reportTaskId,
-      `Generate a comprehensive team performance report and strategic recommendations based on the following data: ${JSON.stringify(teamStats, null, 2)}`,
-      { type: 'team_report' }
+      reportPrompt.text,
+      { type: 'team_report' },
+      { prompt: reportPrompt }
     );
 
-    return {
+    const report = {
       generated_at: new Date().toISOString(),
       team_statistics: teamStats,
+      tasks: this.taskHistory.map(task => ({
+        task_id: task.id,
+        description: task.description,
+        priority: task.priority,
+        agent: task.assignedAgent,
+        status: task.status,
+        duration: task.completedAt ? Math.round((task.completedAt - task.assignedAt) / 1000) : null,
+        usage: task.usage || null
+      })),
       ceo_insights: result.result,
+      prompts: result.prompts,
       recommendations: result.success ? 'Included in CEO insights' : 'Failed to generate insights'
     };
+
+    // Archive the report so later ones can be compared against it
+    const entry = await this.reportRepository.save(report, { agent: this.name, type: 'team' });
+    console.log(`${this.name}: Team report saved to ${entry.file}`);
+    this.emitEvent('report.generated', { report_id: entry.id, report_type: 'team' });
+    return { report_id: entry.id, ...report };
+  }
+
+  /**
+   * Token usage and estimated cost per agent (department), per client and in total
+   */
+  calculateUsageBreakdown() {
+    const agents = [this, ...this.teamAgents.values()];
+    const byAgent = {};
+    const total = emptyUsage();
+    for (const agent of agents) {
+      byAgent[agent.name] = { role: agent.role, ...formatUsage(agent.usageTotals) };
+      mergeUsage(total, agent.usageTotals);
+    }
+
+    const byClient = {};
+    for (const task of this.taskHistory) {
+      const client = task.clientId || 'unattributed';
+      byClient[client] = mergeUsage(byClient[client] || emptyUsage(), task.usage);
+    }
+
+    return {
+      total: formatUsage(total),
+      by_agent: byAgent,
+      by_client: Object.fromEntries(
+        Object.entries(byClient).map(([client, usage]) => [client, formatUsage(usage)])
+      )
+    };
+  }
+
+  /**
+   * The CEO's methods are served by the gateway's task endpoints, not called directly
+   */
+  static getCapabilities() {
+    return [];
   }
 
   /**
@@ -371,17 +882,42 @@ Provide a coherent analysis that combines insights from all agents and identifie
       team_agents: Array.from(this.teamAgents.values()).map(agent => agent.getStatus()),
       active_tasks: this.activeTasks.size,
       performance_metrics: this.performanceMetrics,
+      providers: this.getProviderStatus(),
+      response_caches: this.getResponseCacheStatus(),
+      knowledge_base: this.knowledgeBase.getStatus(),
+      escalation: this.escalation.getStatus(),
       system_health: this.calculateSystemHealth()
     };
   }
 
+  /**
+   * Status of each distinct LLM provider used by the CEO and team (retries, circuit breaker)
+   */
+  getProviderStatus() {
+    const providers = new Set([this.provider, ...Array.from(this.teamAgents.values()).map(agent => agent.provider)]);
+    return Array.from(providers).map(provider => provider.getStatus());
+  }
+
+  /**
+   * Statistics of each distinct response cache used by the CEO and team
+   */
+  getResponseCacheStatus() {
+    const caches = new Set([this.responseCache, ...Array.from(this.teamAgents.values()).map(agent => agent.responseCache)]);
+    return Array.from(caches).filter(Boolean).map(cache => cache.getStatus());
+  }
+
   /**
    * Calculate overall system health score
+   * The availability half is the share of free task slots (offline agents have none),
+   * the performance half follows the success rate, which leaves cancelled tasks out
    */
   calculateSystemHealth() {
-    const idleAgents = Array.from(this.teamAgents.values()).filter(agent => agent.status === 'idle').length;
-    const totalAgents = this.teamAgents.size;
-    const availabilityScore = totalAgents > 0 ? (idleAgents / totalAgents) * 50 : 0;
+    const agents = Array.from(this.teamAgents.values());
+    const totalSlots = agents.reduce((sum, agent) => sum + agent.maxConcurrentTasks, 0);
+    const freeSlots = agents
+      .filter(agent => agent.status !== 'offline')
+      .reduce((sum, agent) => sum + Math.max(0, agent.maxConcurrentTasks - agent.runningTasks.size), 0);
+    const availabilityScore = totalSlots > 0 ? (freeSlots / totalSlots) * 50 : 0;
     const performanceScore = Math.min(this.performanceMetrics.successRate / 2, 50);
     
     return Math.round(availabilityScore + performanceScore);
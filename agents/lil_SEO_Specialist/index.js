@@ -1,11 +1,14 @@
 import { Agent } from '../base/Agent.js';
+import { serializeValue } from '../base/ContextSerializer.js';
+import { seoTools } from './tools.js';
+import { keywordAnalysisSchema, seoAuditSchema, ISSUE_PRIORITIES } from './schemas.js';
 
 /**
  * SEO Specialist Agent
  * Specialized in search engine optimization, keyword research, and content optimization
  */
 class SEOSpecialistAgent extends Agent {
-  constructor() {
+  constructor(options = {}) {
     super(
       'lil_SEO_Specialist',
       'SEO_Specialist',
@@ -18,170 +21,117 @@ class SEOSpecialistAgent extends Agent {
         'Link Building',
         'Local SEO',
         'SEO Analytics'
-      ]
+      ],
+      options
     );
+
+    // Calculators and parsers the model calls instead of estimating numbers
+    seoTools.forEach(tool => this.registerTool(tool));
   }
 
   /**
    * Analyze keyword opportunities for a given topic or website
    */
   async analyzeKeywords(topic, targetAudience = 'general', intent = 'informational') {
-    const taskId = `keyword-analysis-${Date.now()}`;
-    const taskDescription = `Conduct comprehensive keyword research and analysis for: "${topic}"
-    
-Target Audience: ${targetAudience}
-Search Intent: ${intent}
-
-Please provide:
-1. Primary keyword recommendations
-2. Long-tail keyword opportunities  
-3. Competitor keyword analysis
-4. Search volume and difficulty estimates
-5. Content strategy recommendations
-6. Ranking opportunities assessment`;
-
-    return await this.processTask(taskId, taskDescription, {
+    const taskId = this.createTaskId('keyword-analysis');
+    const prompt = this.renderPrompt('keyword_analysis', {
+      topic,
+      target_audience: targetAudience,
+      intent
+    });
+
+    return await this.processTask(taskId, prompt.text, {
       analysis_type: 'keyword_research',
       topic,
       target_audience: targetAudience,
       search_intent: intent
-    });
+    }, { schema: keywordAnalysisSchema, prompt });
   }
 
   /**
    * Perform SEO audit for a website or page
    */
   async conductSEOAudit(url, auditType = 'comprehensive') {
-    const taskId = `seo-audit-${Date.now()}`;
-    const taskDescription = `Perform ${auditType} SEO audit for: ${url}
+    const taskId = this.createTaskId('seo-audit');
+    const prompt = this.renderPrompt('seo_audit', { url, audit_type: auditType });
 
-Analyze the following areas:
-1. Technical SEO (site speed, mobile-friendliness, crawlability)
-2. On-page optimization (title tags, meta descriptions, headers)
-3. Content quality and keyword optimization
-4. Internal linking structure
-5. User experience factors
-6. Schema markup implementation
-7. Security and HTTPS status
-
-Provide prioritized recommendations with impact assessment.`;
-
-    return await this.processTask(taskId, taskDescription, {
+    const result = await this.processTask(taskId, prompt.text, {
       analysis_type: 'seo_audit',
       url,
       audit_type: auditType
-    });
+    }, { schema: seoAuditSchema, prompt });
+
+    // Most urgent issues first
+    if (result.success) {
+      result.result.issues.sort((a, b) => ISSUE_PRIORITIES.indexOf(a.priority) - ISSUE_PRIORITIES.indexOf(b.priority));
+    }
+
+    return result;
   }
 
   /**
    * Generate content optimization recommendations
    */
   async optimizeContent(content, targetKeywords = [], contentType = 'blog_post') {
-    const taskId = `content-optimization-${Date.now()}`;
-    const taskDescription = `Optimize the following content for SEO:
-
-Content Type: ${contentType}
-Target Keywords: ${targetKeywords.join(', ')}
-
-Content to optimize:
-${content}
-
-Provide recommendations for:
-1. Keyword placement and density
-2. Title and header optimization
-3. Meta description suggestions
-4. Internal linking opportunities
-5. Content structure improvements
-6. Call-to-action optimization
-7. Readability enhancements`;
+    const taskId = this.createTaskId('content-optimization');
+    const prompt = this.renderPrompt('content_optimization', {
+      content,
+      content_type: contentType,
+      target_keywords: targetKeywords
+    });
 
-    return await this.processTask(taskId, taskDescription, {
+    return await this.processTask(taskId, prompt.text, {
       analysis_type: 'content_optimization',
       content_type: contentType,
       target_keywords: targetKeywords,
       content_length: content.length
-    });
+    }, { prompt });
   }
 
   /**
    * Analyze competitor SEO strategies
    */
   async analyzeCompetitors(competitors = [], industry = 'general') {
-    const taskId = `competitor-analysis-${Date.now()}`;
-    const taskDescription = `Analyze SEO strategies of competitors in the ${industry} industry:
-
-Competitors: ${competitors.join(', ')}
+    const taskId = this.createTaskId('competitor-analysis');
+    const prompt = this.renderPrompt('competitor_analysis', { competitors, industry });
 
-Provide analysis of:
-1. Top-ranking keywords for each competitor
-2. Content strategies and gaps
-3. Backlink profiles and link building tactics
-4. Technical SEO implementations
-5. Local SEO presence (if applicable)
-6. Social media integration
-7. Opportunities to outrank competitors
-
-Include actionable recommendations to gain competitive advantage.`;
-
-    return await this.processTask(taskId, taskDescription, {
+    return await this.processTask(taskId, prompt.text, {
       analysis_type: 'competitor_analysis',
       competitors,
       industry
-    });
+    }, { prompt });
   }
 
   /**
    * Plan local SEO strategy
    */
   async planLocalSEO(businessInfo = {}) {
-    const taskId = `local-seo-${Date.now()}`;
-    const taskDescription = `Develop local SEO strategy for:
-
-Business Information:
-${JSON.stringify(businessInfo, null, 2)}
-
-Create recommendations for:
-1. Google My Business optimization
-2. Local keyword targeting
-3. NAP (Name, Address, Phone) consistency
-4. Local citation building
-5. Review management strategy
-6. Local content creation
-7. Local link building opportunities
-8. Location-specific landing pages`;
-
-    return await this.processTask(taskId, taskDescription, {
+    const taskId = this.createTaskId('local-seo');
+    const prompt = this.renderPrompt('local_seo', { business_info: serializeValue(businessInfo).join('\n') });
+
+    return await this.processTask(taskId, prompt.text, {
       analysis_type: 'local_seo_planning',
       business_info: businessInfo
-    });
+    }, { prompt });
   }
 
   /**
    * Generate SEO-friendly content brief
    */
   async createContentBrief(topic, targetKeywords = [], contentGoal = 'traffic') {
-    const taskId = `content-brief-${Date.now()}`;
-    const taskDescription = `Create comprehensive SEO content brief for: "${topic}"
-
-Target Keywords: ${targetKeywords.join(', ')}
-Content Goal: ${contentGoal}
-
-Include:
-1. Content outline with SEO-optimized headers
-2. Keyword placement strategy
-3. Target word count and content depth
-4. Competitor content analysis
-5. Internal linking opportunities
-6. Call-to-action recommendations
-7. Meta title and description suggestions
-8. Featured snippet optimization tips`;
-
-    return await this.processTask(taskId, taskDescription, {
-      analysis_type: 'content_brief',
+    const taskId = this.createTaskId('content-brief');
+    const prompt = this.renderPrompt('content_brief', {
       topic,
       target_keywords: targetKeywords,
       content_goal: contentGoal
     });
+
+    return await this.processTask(taskId, prompt.text, {
+      analysis_type: 'content_brief',
+      topic,
+      target_keywords: targetKeywords,
+      content_goal: contentGoal
+    }, { prompt });
   }
 
   /**
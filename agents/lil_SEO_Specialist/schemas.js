@@ -0,0 +1,79 @@
+/**
+ * JSON Schemas for the SEO Specialist's structured results
+ */
+
+export const ISSUE_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+const keywordSchema = {
+  type: 'object',
+  required: ['keyword', 'search_intent', 'estimated_monthly_volume', 'difficulty', 'priority'],
+  properties: {
+    keyword: { type: 'string', minLength: 1 },
+    search_intent: { enum: ['informational', 'navigational', 'commercial', 'transactional'] },
+    estimated_monthly_volume: { type: 'integer', minimum: 0 },
+    difficulty: { type: 'integer', minimum: 0, maximum: 100, description: 'Keyword difficulty, 0 (easy) to 100 (hard)' },
+    priority: { enum: ['high', 'medium', 'low'] }
+  }
+};
+
+export const keywordAnalysisSchema = {
+  type: 'object',
+  required: ['topic', 'primary_keywords', 'long_tail_keywords', 'content_recommendations'],
+  properties: {
+    topic: { type: 'string' },
+    primary_keywords: { type: 'array', items: keywordSchema, minItems: 1 },
+    long_tail_keywords: { type: 'array', items: keywordSchema },
+    competitor_keywords: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['competitor', 'keywords'],
+        properties: {
+          competitor: { type: 'string' },
+          keywords: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    content_recommendations: { type: 'array', items: { type: 'string' }, minItems: 1 },
+    ranking_opportunities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['keyword', 'rationale', 'effort'],
+        properties: {
+          keyword: { type: 'string' },
+          rationale: { type: 'string' },
+          effort: { enum: ['low', 'medium', 'high'] }
+        }
+      }
+    }
+  }
+};
+
+export const seoAuditSchema = {
+  type: 'object',
+  required: ['url', 'overall_score', 'summary', 'issues'],
+  properties: {
+    url: { type: 'string' },
+    overall_score: { type: 'integer', minimum: 0, maximum: 100 },
+    summary: { type: 'string' },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['category', 'title', 'priority', 'impact', 'recommendation'],
+        properties: {
+          category: {
+            enum: ['technical', 'on_page', 'content', 'internal_linking', 'user_experience', 'schema_markup', 'security']
+          },
+          title: { type: 'string' },
+          description: { type: 'string' },
+          priority: { enum: ISSUE_PRIORITIES },
+          impact: { enum: ['high', 'medium', 'low'] },
+          recommendation: { type: 'string' }
+        }
+      }
+    },
+    quick_wins: { type: 'array', items: { type: 'string' } }
+  }
+};
@@ -0,0 +1,221 @@
+/**
+ * Deterministic SEO calculators and parsers exposed to the model as tools
+ * so numbers in SEO answers are computed rather than guessed
+ */
+
+// Average organic click-through rate by Google position (desktop + mobile blend)
+const CTR_BY_POSITION = [0.276, 0.158, 0.11, 0.084, 0.063, 0.049, 0.039, 0.033, 0.027, 0.024];
+
+const TITLE_MAX_LENGTH = 60;
+const DESCRIPTION_MIN_LENGTH = 150;
+const DESCRIPTION_MAX_LENGTH = 160;
+
+function countWords(text) {
+  return (text.match(/[\p{L}\p{N}'-]+/gu) || []).length;
+}
+
+function countSyllables(word) {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (cleaned.length <= 3) return 1;
+
+  const groups = cleaned
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '')
+    .match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Keyword occurrences and density in a piece of content
+ */
+export function calculateKeywordDensity({ content, keyword }) {
+  const totalWords = countWords(content);
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword.trim())}(?![\\p{L}\\p{N}])`, 'giu');
+  const occurrences = (content.match(pattern) || []).length;
+  const keywordWords = countWords(keyword) || 1;
+
+  return {
+    keyword,
+    occurrences,
+    total_words: totalWords,
+    density_percent: totalWords > 0 ? round((occurrences * keywordWords / totalWords) * 100) : 0,
+    in_first_100_words: pattern.test(content.split(/\s+/).slice(0, 100).join(' '))
+  };
+}
+
+/**
+ * Flesch reading ease score for English content
+ */
+export function calculateReadability({ content }) {
+  const words = content.match(/[A-Za-z'-]+/g) || [];
+  const sentences = Math.max(1, (content.match(/[.!?]+(\s|$)/g) || []).length);
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+
+  if (words.length === 0) {
+    return { words: 0, sentences: 0, syllables: 0, flesch_reading_ease: null, level: 'no content' };
+  }
+
+  const score = 206.835 - 1.015 * (words.length / sentences) - 84.6 * (syllables / words.length);
+  const level = score >= 80 ? 'easy'
+    : score >= 60 ? 'standard'
+    : score >= 30 ? 'difficult'
+    : 'very difficult';
+
+  return {
+    words: words.length,
+    sentences,
+    syllables,
+    average_sentence_length: round(words.length / sentences),
+    flesch_reading_ease: round(score, 1),
+    level
+  };
+}
+
+/**
+ * Check title tag and meta description lengths and keyword presence
+ */
+export function analyzeMetaTags({ title = '', description = '', keyword = '' }) {
+  const issues = [];
+  const keywordLower = keyword.toLowerCase();
+
+  if (!title) issues.push('Missing title tag');
+  else if (title.length > TITLE_MAX_LENGTH) issues.push(`Title is ${title.length} characters (max ${TITLE_MAX_LENGTH})`);
+
+  if (!description) issues.push('Missing meta description');
+  else if (description.length < DESCRIPTION_MIN_LENGTH) issues.push(`Meta description is ${description.length} characters (aim for ${DESCRIPTION_MIN_LENGTH}-${DESCRIPTION_MAX_LENGTH})`);
+  else if (description.length > DESCRIPTION_MAX_LENGTH) issues.push(`Meta description is ${description.length} characters (max ${DESCRIPTION_MAX_LENGTH})`);
+
+  if (keyword && title && !title.toLowerCase().includes(keywordLower)) issues.push('Primary keyword missing from title');
+  if (keyword && description && !description.toLowerCase().includes(keywordLower)) issues.push('Primary keyword missing from meta description');
+
+  return {
+    title_length: title.length,
+    description_length: description.length,
+    keyword_in_title: Boolean(keyword) && title.toLowerCase().includes(keywordLower),
+    keyword_in_description: Boolean(keyword) && description.toLowerCase().includes(keywordLower),
+    issues
+  };
+}
+
+/**
+ * Estimate monthly organic clicks for a keyword at a given ranking position
+ */
+export function estimateOrganicTraffic({ search_volume, position }) {
+  const rank = Math.round(position);
+  const ctr = rank >= 1 && rank <= CTR_BY_POSITION.length ? CTR_BY_POSITION[rank - 1] : 0.01;
+
+  return {
+    search_volume,
+    position: rank,
+    expected_ctr_percent: round(ctr * 100, 1),
+    estimated_monthly_clicks: Math.round(search_volume * ctr)
+  };
+}
+
+/**
+ * Parse a URL and check it against SEO-friendly URL conventions
+ */
+export function analyzeUrl({ url, keyword = '' }) {
+  const parsed = new URL(url);
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const slug = segments[segments.length - 1] || '';
+  const issues = [];
+
+  if (parsed.protocol !== 'https:') issues.push('URL is not served over HTTPS');
+  if (url.length > 100) issues.push(`URL is ${url.length} characters long`);
+  if (/[A-Z]/.test(parsed.pathname)) issues.push('Path contains uppercase characters');
+  if (parsed.pathname.includes('_')) issues.push('Path uses underscores instead of hyphens');
+  if (parsed.search) issues.push('URL contains query parameters');
+  if (segments.length > 4) issues.push(`Path is ${segments.length} levels deep`);
+
+  const keywordSlug = keyword.toLowerCase().trim().replace(/\s+/g, '-');
+  if (keywordSlug && !parsed.pathname.toLowerCase().includes(keywordSlug)) {
+    issues.push('Primary keyword missing from URL path');
+  }
+
+  return {
+    protocol: parsed.protocol.replace(':', ''),
+    host: parsed.hostname,
+    path_depth: segments.length,
+    slug,
+    length: url.length,
+    query_parameters: Array.from(parsed.searchParams.keys()),
+    issues
+  };
+}
+
+export const seoTools = [
+  {
+    name: 'keyword_density',
+    description: 'Count occurrences of a keyword or phrase in content and compute its density percentage.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'Text to analyze' },
+        keyword: { type: 'string', description: 'Keyword or phrase to count' }
+      },
+      required: ['content', 'keyword']
+    },
+    handler: calculateKeywordDensity
+  },
+  {
+    name: 'readability_score',
+    description: 'Compute the Flesch reading ease score, word, sentence and syllable counts for English content.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'Text to analyze' }
+      },
+      required: ['content']
+    },
+    handler: calculateReadability
+  },
+  {
+    name: 'analyze_meta_tags',
+    description: 'Check title tag and meta description lengths and whether they contain the primary keyword.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        description: { type: 'string' },
+        keyword: { type: 'string', description: 'Primary keyword (optional)' }
+      }
+    },
+    handler: analyzeMetaTags
+  },
+  {
+    name: 'estimate_organic_traffic',
+    description: 'Estimate monthly organic clicks from search volume and ranking position using a CTR curve.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        search_volume: { type: 'number', description: 'Monthly searches for the keyword' },
+        position: { type: 'number', description: 'Ranking position (1 = top result)' }
+      },
+      required: ['search_volume', 'position']
+    },
+    handler: estimateOrganicTraffic
+  },
+  {
+    name: 'analyze_url',
+    description: 'Parse a URL and report SEO issues such as missing HTTPS, depth, underscores or query parameters.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Absolute URL' },
+        keyword: { type: 'string', description: 'Primary keyword expected in the path (optional)' }
+      },
+      required: ['url']
+    },
+    handler: analyzeUrl
+  }
+];
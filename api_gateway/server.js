@@ -1,7 +1,17 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
-import { Agent } from '../agents/base/Agent.js';
+import { createProvider } from '../agents/base/providers/index.js';
+import { compileRequestSchema } from '../agents/base/StructuredOutput.js';
+import { getKnowledgeBase } from '../agents/base/KnowledgeBase.js';
+import { COLLABORATION_PROTOCOLS } from '../agents/base/CollaborationEngine.js';
+import { REPORT_FORMATS, resolveReportFormat, exportReport } from '../agents/base/ReportExporter.js';
+import { getReportRepository, compareTeamReports } from '../agents/base/ReportRepository.js';
+import { loadRoster, createRosterAgents } from '../agents/base/Roster.js';
+import { discoverAgentPlugins } from '../agents/base/AgentPlugins.js';
+import { AGENT_EVENT_TYPES, getEventBus } from '../agents/base/AgentEvents.js';
+import { AuditLog } from '../agents/base/AuditLog.js';
+import { ResponseCache } from '../agents/base/ResponseCache.js';
 
 // Load environment variables
 dotenv.config();
@@ -17,7 +27,7 @@ app.use(express.urlencoded({ extended: true }));
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Client-Id');
   
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
@@ -26,6 +36,51 @@ app.use((req, res, next) => {
   }
 });
 
+/**
+ * Check an optional JSON Schema sent with a task; returns an error message or null
+ */
+function validateResultSchema(schema) {
+  if (schema === undefined) return null;
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    return 'schema must be a JSON Schema object';
+  }
+
+  try {
+    compileRequestSchema(schema);
+    return null;
+  } catch (error) {
+    return `Invalid JSON Schema: ${error.message}`;
+  }
+}
+
+/**
+ * Send a report in an export format (markdown, html, csv, pdf); HTML opens in the browser, the rest download
+ */
+async function sendReport(res, report, format, baseName) {
+  const exported = await exportReport(report, format);
+  const filename = `${baseName}_${Date.now()}.${exported.extension}`;
+  res.set('Content-Type', exported.contentType);
+  res.set('Content-Disposition', `${format === 'html' ? 'inline' : 'attachment'}; filename="${filename}"`);
+  res.send(exported.body);
+}
+
+function sendUnsupportedFormat(res, format) {
+  return res.status(400).json({
+    success: false,
+    error: `Unsupported report format: ${format}`,
+    supported_formats: Object.keys(REPORT_FORMATS)
+  });
+}
+
+/**
+ * Parse an optional date query parameter; returns undefined when absent and null when invalid
+ */
+function parseDateParam(value) {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
 // Initialize CEO and team agents
 let ceoAgent;
 let teamAgents = new Map();
@@ -37,59 +92,53 @@ async function initializeAgents() {
   console.log('🤖 Initializing AI Agents Team Management System...');
   
   try {
-    // Initialize CEO Agent
-    ceoAgent = new CEOAgent();
+    // One provider instance is shared by every agent (LLM_PROVIDER=anthropic|mock)
+    const provider = createProvider();
+    console.log(`🔌 Using LLM provider: ${provider.name}`);
+
+    // One knowledge base for all agents, reloaded when its files change
+    const knowledgeBase = getKnowledgeBase();
+    await knowledgeBase.ensureLoaded();
+    knowledgeBase.watch();
+
+    // Every agent lifecycle event is appended to the audit log when AUDIT_LOG_FILE is set
+    if (process.env.AUDIT_LOG_FILE) {
+      new AuditLog().start();
+      console.log(`🧾 Writing agent events to ${process.env.AUDIT_LOG_FILE}`);
+    }
+
+    // Team agents come from the roster file (ROSTER_FILE); an invalid roster stops the startup
+    const roster = await loadRoster();
+    console.log(`📋 Loaded roster ${roster.file} (${roster.agents.length} agents)`);
+
+    // Initialize CEO Agent with the roster's team-wide model defaults
+    ceoAgent = new CEOAgent({ provider, modelProfile: roster.model_profile });
     await ceoAgent.initialize();
 
-    // Initialize specialized agents
-    const agentConfigs = [
-      {
-        name: 'lil_SEO_Specialist',
-        role: 'SEO_Specialist',
-        specialKnowledge: ['Search Engine Optimization', 'Keyword Research', 'Technical SEO', 'Content Optimization', 'SERP Analysis']
-      },
-      {
-        name: 'lil_Brand_Manager',
-        role: 'Brand_Manager',
-        specialKnowledge: ['Brand Strategy', 'Brand Identity', 'Brand Positioning', 'Brand Guidelines', 'Brand Monitoring']
-      },
-      {
-        name: 'lil_Market_Analyst',
-        role: 'Market_Analyst',
-        specialKnowledge: ['Market Research', 'Competitive Analysis', 'Market Trends', 'Consumer Behavior', 'Industry Analysis']
-      },
-      {
-        name: 'lil_Finance_Analyst',
-        role: 'Finance_Analyst',
-        specialKnowledge: ['Financial Analysis', 'Budget Planning', 'Cost Analysis', 'ROI Calculation', 'Financial Forecasting']
-      },
-      {
-        name: 'lil_Product_Manager',
-        role: 'Product_Manager',
-        specialKnowledge: ['Product Strategy', 'Product Development', 'Feature Prioritization', 'User Research', 'Product Roadmap']
-      },
-      {
-        name: 'lil_Marketing_Manager',
-        role: 'Marketing_Manager',
-        specialKnowledge: ['Marketing Strategy', 'Campaign Management', 'Digital Marketing', 'Content Marketing', 'Marketing Analytics']
-      },
-      {
-        name: 'lil_Partnership_Manager',
-        role: 'Partnership_Manager',
-        specialKnowledge: ['Partnership Strategy', 'Business Development', 'Strategic Alliances', 'Collaboration Management', 'Deal Negotiation']
-      }
-    ];
+    // Opt-in: identical task requests are answered from one shared cache (RESPONSE_CACHE_STORE=memory|disk)
+    const cacheStore = process.env.RESPONSE_CACHE_STORE;
+    const responseCache = cacheStore && cacheStore !== 'off' ? new ResponseCache() : null;
+    if (responseCache) {
+      console.log(`🗄️ Caching task responses in ${responseCache.store.name} for ${responseCache.ttlMs / 1000}s`);
+    } else {
+      console.log('🗄️ Response cache off (set RESPONSE_CACHE_STORE=memory or disk to enable)');
+    }
+
+    // Roster entries with a module in agents/<name>/index.js use its Agent subclass
+    const plugins = await discoverAgentPlugins();
+    for (const plugin of plugins.values()) {
+      console.log(`🧩 Found agent plugin ${plugin.name} (${plugin.AgentClass.name}, ${plugin.capabilities.length} capabilities)`);
+    }
 
     // Create and register all team agents
-    for (const config of agentConfigs) {
-      const agent = new Agent(config.name, config.role, config.specialKnowledge);
+    for (const agent of createRosterAgents(roster, { provider, responseCache }, plugins)) {
       await agent.loadSharedKnowledge();
       await agent.loadSpecializedKnowledge();
       
-      teamAgents.set(config.name, agent);
+      teamAgents.set(agent.name, agent);
       ceoAgent.registerTeamAgent(agent);
       
-      console.log(`✅ Initialized ${config.name} (${config.role})`);
+      console.log(`✅ Initialized ${agent.name} (${agent.role}, ${agent.constructor.name})`);
     }
 
     console.log(`🎉 Successfully initialized ${teamAgents.size + 1} agents (including CEO)`);
@@ -168,6 +217,115 @@ app.get('/agents', (req, res) => {
   }
 });
 
+// Stream agent lifecycle events as Server-Sent Events (?types=task.completed,task.failed for a subset)
+app.get('/events', (req, res) => {
+  const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean) : [];
+  const unknown = types.filter(type => !AGENT_EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown event types: ${unknown.join(', ')}`,
+      event_types: AGENT_EVENT_TYPES
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(': connected\n\n');
+
+  const unsubscribe = getEventBus().subscribe(types, event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// List the methods a team agent's plugin adds (e.g. the SEO Specialist's analyzeKeywords)
+app.get('/agents/:agentName/capabilities', (req, res) => {
+  const agent = teamAgents.get(req.params.agentName);
+  if (!agent) {
+    return res.status(404).json({ success: false, error: 'Agent not found', agentName: req.params.agentName });
+  }
+
+  res.json({
+    success: true,
+    agent: agent.name,
+    capabilities: agent.getCapabilities()
+  });
+});
+
+// Call a team agent's capability with positional arguments: { "args": [...] }
+// The call runs as a CEO task: tracked, timed out and cancellable like POST /task
+app.post('/agents/:agentName/capabilities/:capability', async (req, res) => {
+  if (!ceoAgent) {
+    return res.status(503).json({
+      error: 'System not initialized',
+      message: 'CEO agent not available'
+    });
+  }
+
+  const { agentName, capability } = req.params;
+  const { args = [], priority = 'medium', clientId = req.get('X-Client-Id'), noCache = false } = req.body;
+
+  const agent = teamAgents.get(agentName);
+  if (!agent) {
+    return res.status(404).json({ success: false, error: 'Agent not found', agentName });
+  }
+  if (!agent.getCapabilities().some(candidate => candidate.name === capability)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown capability: ${capability}`,
+      capabilities: agent.getCapabilities().map(candidate => candidate.name)
+    });
+  }
+  if (!Array.isArray(args)) {
+    return res.status(400).json({ success: false, error: 'args must be an array' });
+  }
+  if (!['high', 'medium', 'low'].includes(priority)) {
+    return res.status(400).json({ success: false, error: 'Priority must be one of: high, medium, low' });
+  }
+
+  // A client that hangs up cancels the call
+  const disconnect = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      disconnect.abort(new Error('Client disconnected'));
+    }
+  });
+
+  try {
+    console.log(`🧩 Calling ${agentName}.${capability}`);
+    const result = await ceoAgent.runCapability(agentName, capability, args, { priority, clientId, noCache, signal: disconnect.signal });
+    res.status(result.success ? 200 : result.cancelled ? 409 : result.timed_out ? 504 : 500).json({
+      success: result.success,
+      taskId: result.taskId,
+      agent: agentName,
+      capability,
+      result: result.result,
+      error: result.error,
+      ...(result.cancelled && { cancelled: true }),
+      ...(result.timed_out && { timed_out: true }),
+      ...(result.cached && { cached: result.cached }),
+      usage: result.usage,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Error calling ${agentName}.${capability}:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to call ${capability}`,
+      message: error.message
+    });
+  }
+});
+
 // Submit a new task
 app.post('/task', async (req, res) => {
   if (!ceoAgent) {
@@ -178,7 +336,8 @@ app.post('/task', async (req, res) => {
   }
 
   try {
-    const { description, priority = 'medium', requiredSkills = [] } = req.body;
+    // Usage and cost are attributed to the client from the body or the X-Client-Id header
+    const { description, priority = 'medium', requiredSkills = [], clientId = req.get('X-Client-Id'), schema, noCache = false } = req.body;
 
     if (!description) {
       return res.status(400).json({
@@ -187,6 +346,14 @@ app.post('/task', async (req, res) => {
       });
     }
 
+    const schemaError = validateResultSchema(schema);
+    if (schemaError) {
+      return res.status(400).json({
+        success: false,
+        error: schemaError
+      });
+    }
+
     // Validate priority
     const validPriorities = ['high', 'medium', 'low'];
     if (!validPriorities.includes(priority)) {
@@ -200,7 +367,7 @@ app.post('/task', async (req, res) => {
     console.log(`Priority: ${priority}, Required skills: ${requiredSkills.join(', ')}`);
 
     // Assign task through CEO
-    const result = await ceoAgent.assignTask(description, priority, requiredSkills);
+    const result = await ceoAgent.assignTask(description, priority, requiredSkills, { clientId, schema, noCache });
 
     if (result.success) {
       res.status(201).json({
@@ -209,16 +376,20 @@ app.post('/task', async (req, res) => {
         data: {
           taskId: result.taskId,
           assignedAgent: result.assignedAgent,
-          result: result.result
+          result: result.result,
+          ...(result.cached && { cached: result.cached }),
+          prompts: result.prompts,
+          usage: result.usage
         },
         timestamp: new Date().toISOString()
       });
     } else {
-      res.status(500).json({
+      res.status(result.cancelled ? 409 : result.timed_out ? 504 : 500).json({
         success: false,
-        error: 'Task assignment failed',
+        error: result.cancelled ? 'Task cancelled' : result.timed_out ? 'Task timed out' : 'Task assignment failed',
         message: result.error,
-        taskId: result.taskId
+        taskId: result.taskId,
+        ...(result.escalation && { escalation: result.escalation })
       });
     }
 
@@ -232,6 +403,308 @@ app.post('/task', async (req, res) => {
   }
 });
 
+// Submit a new task and stream the agent's output as Server-Sent Events
+// Events: assigned, delta, completed, failed, cancelled, timed_out
+// Closing the connection before the task finishes cancels it
+app.post('/task/stream', async (req, res) => {
+  if (!ceoAgent) {
+    return res.status(503).json({
+      error: 'System not initialized',
+      message: 'CEO agent not available'
+    });
+  }
+
+  const { description, priority = 'medium', requiredSkills = [], clientId = req.get('X-Client-Id'), schema, noCache = false } = req.body;
+
+  if (!description) {
+    return res.status(400).json({
+      success: false,
+      error: 'Task description is required'
+    });
+  }
+
+  const schemaError = validateResultSchema(schema);
+  if (schemaError) {
+    return res.status(400).json({
+      success: false,
+      error: schemaError
+    });
+  }
+
+  const validPriorities = ['high', 'medium', 'low'];
+  if (!validPriorities.includes(priority)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Priority must be one of: high, medium, low'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  // Aborted on disconnect, which also covers a client that leaves before the task is assigned
+  let clientConnected = true;
+  const disconnect = new AbortController();
+  res.on('close', () => {
+    clientConnected = false;
+    if (!res.writableEnded) {
+      console.log('🛑 Stream client disconnected, cancelling its task');
+      disconnect.abort(new Error('Stream client disconnected'));
+    }
+  });
+
+  const sendEvent = (event, data) => {
+    if (clientConnected) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  console.log(`📝 New streaming task received: ${description}`);
+
+  try {
+    const result = await ceoAgent.assignTask(description, priority, requiredSkills, {
+      clientId,
+      schema,
+      noCache,
+      signal: disconnect.signal,
+      onAssigned: (task) => {
+        sendEvent('assigned', {
+          taskId: task.id,
+          assignedAgent: task.assignedAgent,
+          priority: task.priority
+        });
+      },
+      onDelta: (text) => sendEvent('delta', { text })
+    });
+
+    const outcome = result.success ? 'completed' : result.cancelled ? 'cancelled' : result.timed_out ? 'timed_out' : 'failed';
+    sendEvent(outcome, {
+      success: result.success,
+      taskId: result.taskId,
+      assignedAgent: result.assignedAgent,
+      result: result.result,
+      error: result.error,
+      ...(result.cancelled && { cancelled: true }),
+      ...(result.timed_out && { timed_out: true }),
+      ...(result.cached && { cached: result.cached }),
+      prompts: result.prompts,
+      usage: result.usage,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error processing streaming task:', error);
+    sendEvent('failed', {
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+
+  res.end();
+});
+
+// Send a follow-up message on a finished task ("make it shorter", "now do it for Germany")
+// The answer continues the task's conversation thread with the same agent
+app.post('/task/:taskId/continue', async (req, res) => {
+  if (!ceoAgent) {
+    return res.status(503).json({
+      error: 'System not initialized',
+      message: 'CEO agent not available'
+    });
+  }
+
+  try {
+    const { taskId } = req.params;
+    const { message, schema } = req.body;
+
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Follow-up message is required'
+      });
+    }
+
+    const schemaError = validateResultSchema(schema);
+    if (schemaError) {
+      return res.status(400).json({
+        success: false,
+        error: schemaError
+      });
+    }
+
+    // A client that hangs up stops its follow-up
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        disconnect.abort(new Error('Client disconnected'));
+      }
+    });
+
+    console.log(`💬 Follow-up on task ${taskId}: ${message}`);
+    const result = await ceoAgent.continueTask(taskId, message, { schema, signal: disconnect.signal });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: {
+          taskId: result.taskId,
+          assignedAgent: result.assignedAgent,
+          result: result.result,
+          conversation: result.conversation,
+          prompts: result.prompts,
+          usage: result.usage
+        },
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      res.status(!result.found ? 404 : result.active || result.cancelled ? 409 : result.timed_out ? 504 : 500).json({
+        success: false,
+        error: result.cancelled ? 'Follow-up cancelled' : result.timed_out ? 'Follow-up timed out' : 'Follow-up failed',
+        message: result.error,
+        taskId
+      });
+    }
+
+  } catch (error) {
+    console.error('Error continuing task:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Rate a finished task's result (1-5); good ratings feed the lessons store when learning is enabled
+app.post('/task/:taskId/rating', async (req, res) => {
+  if (!ceoAgent) {
+    return res.status(503).json({
+      error: 'System not initialized',
+      message: 'CEO agent not available'
+    });
+  }
+
+  try {
+    const { taskId } = req.params;
+    const { rating, comment } = req.body;
+    const result = await ceoAgent.rateTask(taskId, Number(rating), { comment });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: {
+          taskId,
+          feedback: result.feedback,
+          lessons: result.lessons
+        },
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      res.status(result.found ? 400 : 404).json({
+        success: false,
+        error: result.error,
+        taskId
+      });
+    }
+
+  } catch (error) {
+    console.error('Error rating task:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Approve a finished task's result; approved results feed the lessons store when learning is enabled
+app.post('/task/:taskId/approve', async (req, res) => {
+  if (!ceoAgent) {
+    return res.status(503).json({
+      error: 'System not initialized',
+      message: 'CEO agent not available'
+    });
+  }
+
+  try {
+    const { taskId } = req.params;
+    const { approvedBy = req.get('X-Client-Id') } = req.body;
+    const result = await ceoAgent.approveTask(taskId, { approvedBy });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: {
+          taskId,
+          approval: result.approval,
+          lessons: result.lessons
+        },
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      res.status(404).json({
+        success: false,
+        error: result.error,
+        taskId
+      });
+    }
+
+  } catch (error) {
+    console.error('Error approving task:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Cancel an active task or collaboration; the agents stop their model and tool calls
+app.delete('/task/:taskId', async (req, res) => {
+  if (!ceoAgent) {
+    return res.status(503).json({
+      error: 'System not initialized',
+      message: 'CEO agent not available'
+    });
+  }
+
+  try {
+    const { taskId } = req.params;
+    const { reason } = req.body || {};
+    const result = await ceoAgent.cancelTask(taskId, { reason });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        data: {
+          taskId,
+          status: result.status
+        },
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      res.status(result.found ? 409 : 404).json({
+        success: false,
+        error: result.error,
+        status: result.status,
+        taskId
+      });
+    }
+
+  } catch (error) {
+    console.error('Error cancelling task:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // Check task status
 app.get('/status/:taskId', (req, res) => {
   if (!ceoAgent) {
@@ -279,14 +752,22 @@ app.get('/reports/team', async (req, res) => {
   }
 
   try {
+    const format = resolveReportFormat(req.query.format);
+    if (!format) {
+      return sendUnsupportedFormat(res, req.query.format);
+    }
+
     console.log('📊 Generating team performance report...');
     const report = await ceoAgent.generateTeamReport();
 
-    res.json({
-      success: true,
-      data: report,
-      timestamp: new Date().toISOString()
-    });
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: report,
+        timestamp: new Date().toISOString()
+      });
+    }
+    await sendReport(res, report, format, 'team_report');
 
   } catch (error) {
     console.error('Error generating team report:', error);
@@ -345,6 +826,65 @@ app.post('/aggregate', async (req, res) => {
   }
 });
 
+// Work on a cross-department task with several agents (round_robin, proposer_reviewer or debate)
+app.post('/collaborate', async (req, res) => {
+  if (!ceoAgent) {
+    return res.status(503).json({
+      error: 'System not initialized',
+      message: 'CEO agent not available'
+    });
+  }
+
+  try {
+    const { description, protocol = 'round_robin', agents, maxRounds, priority = 'medium', clientId = req.get('X-Client-Id') } = req.body;
+
+    if (!description) {
+      return res.status(400).json({
+        success: false,
+        error: 'Task description is required'
+      });
+    }
+
+    if (!COLLABORATION_PROTOCOLS.includes(protocol)) {
+      return res.status(400).json({
+        success: false,
+        error: `Protocol must be one of: ${COLLABORATION_PROTOCOLS.join(', ')}`
+      });
+    }
+
+    if (agents !== undefined && (!Array.isArray(agents) || agents.length < 2)) {
+      return res.status(400).json({
+        success: false,
+        error: 'agents must be an array of at least two agent names'
+      });
+    }
+
+    if (maxRounds !== undefined && (!Number.isInteger(maxRounds) || maxRounds < 1 || maxRounds > 10)) {
+      return res.status(400).json({
+        success: false,
+        error: 'maxRounds must be an integer from 1 to 10'
+      });
+    }
+
+    console.log(`🤝 New collaboration received (${protocol}): ${description}`);
+    const result = await ceoAgent.collaborate(description, { protocol, agents, maxRounds, priority, clientId });
+
+    res.status(result.success ? 200 : result.cancelled ? 409 : result.timed_out ? 504 : 400).json({
+      success: result.success,
+      ...(result.success ? { data: result } : { error: result.error, data: result }),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error running collaboration:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run collaboration',
+      message: error.message
+    });
+  }
+});
+
 // Get agent-specific report
 app.get('/reports/agent/:agentName', async (req, res) => {
   const { agentName } = req.params;
@@ -365,20 +905,227 @@ app.get('/reports/agent/:agentName', async (req, res) => {
       });
     }
 
+    const format = resolveReportFormat(req.query.format);
+    if (!format) {
+      return sendUnsupportedFormat(res, req.query.format);
+    }
+
     console.log(`📈 Generating report for ${agentName}...`);
     const report = await agent.generateReport();
 
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: report,
+        timestamp: new Date().toISOString()
+      });
+    }
+    if (report.error) {
+      return res.status(404).json({
+        success: false,
+        error: report.error,
+        agentName
+      });
+    }
+    await sendReport(res, report, format, `${agentName}_report`);
+
+  } catch (error) {
+    console.error(`Error generating report for ${agentName}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate agent report',
+      message: error.message
+    });
+  }
+});
+
+// List archived reports, newest first (filters: agent, type, from, to, limit)
+app.get('/reports', async (req, res) => {
+  try {
+    const { agent, type } = req.query;
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    const limit = req.query.limit === undefined ? undefined : parseInt(req.query.limit, 10);
+
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be a positive integer'
+      });
+    }
+
+    const reports = await getReportRepository().list({ agent, type, from, to, limit });
     res.json({
       success: true,
-      data: report,
+      data: { count: reports.length, reports },
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error(`Error generating report for ${agentName}:`, error);
+    console.error('Error listing reports:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate agent report',
+      error: 'Failed to list reports',
+      message: error.message
+    });
+  }
+});
+
+// Compare two archived team reports (?from=<older id>&to=<newer id>); defaults to the two most recent ones
+app.get('/reports/compare', async (req, res) => {
+  try {
+    const repository = getReportRepository();
+    let { from, to } = req.query;
+
+    if (!from || !to) {
+      const [latest, previous] = await repository.list({ type: 'team', limit: 2 });
+      if (!previous) {
+        return res.status(404).json({
+          success: false,
+          error: 'At least two team reports are needed for a comparison'
+        });
+      }
+      from = from || previous.id;
+      to = to || latest.id;
+    }
+
+    const [before, after] = await Promise.all([repository.get(from), repository.get(to)]);
+    const missing = [[from, before], [to, after]].filter(([, stored]) => !stored).map(([id]) => id);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        reportIds: missing
+      });
+    }
+
+    let comparison;
+    try {
+      comparison = compareTeamReports(before.report, after.report);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: comparison,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error comparing reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare reports',
+      message: error.message
+    });
+  }
+});
+
+// Get an archived report (same formats as the report endpoints)
+app.get('/reports/:reportId', async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const format = resolveReportFormat(req.query.format);
+    if (!format) {
+      return sendUnsupportedFormat(res, req.query.format);
+    }
+
+    const stored = await getReportRepository().get(reportId);
+    if (!stored) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        reportId
+      });
+    }
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: stored.report,
+        entry: stored.entry,
+        timestamp: new Date().toISOString()
+      });
+    }
+    await sendReport(res, stored.report, format, reportId);
+
+  } catch (error) {
+    console.error(`Error reading report ${req.params.reportId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read report',
+      message: error.message
+    });
+  }
+});
+
+// Delete an archived report
+app.delete('/reports/:reportId', async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const deleted = await getReportRepository().delete(reportId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        reportId
+      });
+    }
+
+    console.log(`🗑️ Deleted report ${reportId}`);
+    res.json({
+      success: true,
+      data: { reportId },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error(`Error deleting report ${req.params.reportId}:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete report',
+      message: error.message
+    });
+  }
+});
+
+// Delete archived reports generated before a date (?before=<date>, optionally agent and type)
+app.delete('/reports', async (req, res) => {
+  try {
+    const { agent, type } = req.query;
+    const before = parseDateParam(req.query.before);
+
+    if (!before) {
+      return res.status(400).json({
+        success: false,
+        error: 'before must be a valid date'
+      });
+    }
+
+    const deleted = await getReportRepository().deleteOlderThan(before, { agent, type });
+    console.log(`🗑️ Deleted ${deleted.length} reports generated before ${before.toISOString()}`);
+    res.json({
+      success: true,
+      data: { count: deleted.length, reportIds: deleted },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error deleting reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete reports',
       message: error.message
     });
   }
@@ -416,11 +1163,25 @@ async function startServer() {
       console.log(`   GET  /health - System health check`);
       console.log(`   GET  /system/status - Overall system status`);
       console.log(`   GET  /agents - List all agents`);
+      console.log(`   GET  /events - Stream agent lifecycle events (SSE)`);
+      console.log(`   GET  /agents/:agentName/capabilities - List an agent's capabilities`);
+      console.log(`   POST /agents/:agentName/capabilities/:capability - Call a capability`);
       console.log(`   POST /task - Submit new task`);
+      console.log(`   POST /task/stream - Submit new task and stream output (SSE)`);
+      console.log(`   POST /task/:taskId/continue - Send a follow-up on a task`);
+      console.log(`   POST /task/:taskId/rating - Rate a task result`);
+      console.log(`   POST /task/:taskId/approve - Approve a task result`);
+      console.log(`   DELETE /task/:taskId - Cancel a running task`);
       console.log(`   GET  /status/:taskId - Check task status`);
-      console.log(`   GET  /reports/team - Team performance report`);
-      console.log(`   GET  /reports/agent/:agentName - Agent-specific report`);
+      console.log(`   GET  /reports/team - Team performance report (?format=markdown|html|csv|pdf)`);
+      console.log(`   GET  /reports/agent/:agentName - Agent-specific report (same formats)`);
+      console.log(`   GET  /reports - List archived reports`);
+      console.log(`   GET  /reports/compare - Compare two team reports`);
+      console.log(`   GET  /reports/:reportId - Get an archived report`);
+      console.log(`   DELETE /reports/:reportId - Delete an archived report`);
+      console.log(`   DELETE /reports?before=<date> - Delete old reports`);
       console.log(`   POST /aggregate - Aggregate multiple task results`);
+      console.log(`   POST /collaborate - Multi-agent collaboration on a task`);
       console.log(`\n🎯 Ready to receive tasks and coordinate AI agents!`);
     });
 
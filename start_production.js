@@ -15,8 +15,10 @@ dotenv.config();
 console.log('🚀 Starting AI Agents Team Management System in Production Mode');
 console.log('='.repeat(70));
 
-// Check required environment variables
-const requiredEnvVars = ['CLAUDE_API_KEY', 'TELEGRAM_BOT_TOKEN'];
+// Check required environment variables (the mock provider needs no API key)
+const requiredEnvVars = process.env.LLM_PROVIDER === 'mock'
+    ? ['TELEGRAM_BOT_TOKEN']
+    : ['CLAUDE_API_KEY', 'TELEGRAM_BOT_TOKEN'];
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
 
 if (missingVars.length > 0) {
@@ -3,6 +3,50 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Agent status (derived from its load) -> icon
+const STATUS_ICONS = {
+  idle: '🟢',
+  partially_loaded: '🟡',
+  saturated: '🟠',
+  offline: '🔴'
+};
+
+// Telegram rate-limits message edits, so streamed output is flushed at most this often
+const STREAM_EDIT_INTERVAL_MS = 1500;
+const STREAM_PREVIEW_LENGTH = 3500;
+
+/**
+ * Render a task result as text (structured results are pretty-printed JSON)
+ */
+function formatResult(result) {
+  return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+}
+
+/**
+ * Read a Server-Sent Events response body and call onEvent(event, data) for each event
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const event = rawEvent.match(/^event: (.+)$/m)?.[1] || 'message';
+      const data = rawEvent.match(/^data: (.+)$/m)?.[1];
+      onEvent(event, data ? JSON.parse(data) : null);
+    }
+  }
+}
+
 /**
  * Telegram Bot for AI Agents Team Management System
  * Provides interface for task submission and status monitoring via Telegram
@@ -13,6 +57,7 @@ class AgentsTeamBot {
     this.apiGatewayUrl = apiGatewayUrl;
     this.bot = null;
     this.userSessions = new Map(); // Store user session data
+    this.runningTasks = new Map(); // chatId -> id of the task being streamed to that chat
   }
 
   /**
@@ -49,7 +94,7 @@ class AgentsTeamBot {
       { command: 'status', description: 'Check task status' },
       { command: 'agents', description: 'List available agents' },
       { command: 'report', description: 'Get team performance report' },
-      { command: 'cancel', description: 'Cancel current operation' }
+      { command: 'cancel', description: 'Cancel current operation or running task' }
     ]);
   }
 
@@ -143,7 +188,7 @@ Use /help to see all available commands, or /task to get started!`;
 /status <taskId> - Check the status of a specific task
 /agents - List all available agents and their specializations
 /report - Get comprehensive team performance report
-/cancel - Cancel current operation
+/cancel - Cancel current operation or running task
 
 **How to submit a task:**
 1. Use /task command
@@ -245,6 +290,13 @@ Type your task description:`;
     const data = callbackQuery.data;
     const session = this.userSessions.get(chatId);
 
+    // Cancel buttons outlive the session that submitted the task
+    if (data.startsWith('cancel_task:')) {
+      await this.bot.answerCallbackQuery(callbackQuery.id, { text: '🛑 Cancelling task...' });
+      await this.cancelTask(chatId, data.replace('cancel_task:', ''));
+      return;
+    }
+
     if (!session) return;
 
     if (data.startsWith('priority_')) {
@@ -257,13 +309,13 @@ Type your task description:`;
   }
 
   /**
-   * Submit task to API gateway
+   * Submit task to API gateway and show the agent's output while it streams in
    */
   async submitTask(chatId, taskData) {
     try {
-      this.bot.sendMessage(chatId, '⏳ Submitting task to AI agents team...');
+      const progressMessage = await this.bot.sendMessage(chatId, '⏳ Submitting task to AI agents team...');
 
-      const response = await fetch(`${this.apiGatewayUrl}/task`, {
+      const response = await fetch(`${this.apiGatewayUrl}/task/stream`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -275,27 +327,89 @@ Type your task description:`;
         })
       });
 
-      const result = await response.json();
+      if (!response.ok) {
+        const error = await response.json();
+        this.bot.sendMessage(chatId, `❌ **Task Submission Failed**\n\n${error.error || error.message}`);
+        this.userSessions.delete(chatId);
+        return;
+      }
 
-      if (result.success) {
-        const message = `✅ **Task Submitted Successfully!**
+      let header = '⏳ Working on your task...';
+      let partialText = '';
+      let lastEdit = 0;
+      let result = null;
+      let cancelKeyboard;
+
+      const showProgress = (force = false) => {
+        if (!force && Date.now() - lastEdit < STREAM_EDIT_INTERVAL_MS) return;
+        lastEdit = Date.now();
+
+        const preview = partialText.length > STREAM_PREVIEW_LENGTH
+          ? '...' + partialText.slice(-STREAM_PREVIEW_LENGTH)
+          : partialText;
+        this.bot.editMessageText(`${header}\n\n${preview}`.trim(), {
+          chat_id: chatId,
+          message_id: progressMessage.message_id,
+          reply_markup: cancelKeyboard
+        }).catch(() => {
+          // Ignore "message is not modified" and similar edit errors
+        });
+      };
+
+      await readEventStream(response, (event, data) => {
+        switch (event) {
+          case 'assigned':
+            header = `🤖 ${data.assignedAgent} is working on task ${data.taskId}...`;
+            cancelKeyboard = { inline_keyboard: [[{ text: '❌ Cancel', callback_data: `cancel_task:${data.taskId}` }]] };
+            this.runningTasks.set(chatId, data.taskId);
+            showProgress(true);
+            break;
+          case 'delta':
+            partialText += data.text;
+            showProgress();
+            break;
+          case 'completed':
+          case 'failed':
+          case 'cancelled':
+          case 'timed_out':
+            result = data;
+            break;
+        }
+      });
 
-**Task ID:** \`${result.data.taskId}\`
-**Assigned to:** ${result.data.assignedAgent}
+      this.runningTasks.delete(chatId);
+      if (cancelKeyboard) {
+        this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, {
+          chat_id: chatId,
+          message_id: progressMessage.message_id
+        }).catch(() => {});
+      }
+
+      if (result && result.success) {
+        const resultText = formatResult(result.result);
+        const message = `✅ **Task Completed!**
+
+**Task ID:** \`${result.taskId}\`
+**Assigned to:** ${result.assignedAgent}
 **Priority:** ${taskData.priority}
 
 **Result Preview:**
-${result.data.result.substring(0, 500)}${result.data.result.length > 500 ? '...' : ''}
+${resultText.substring(0, 500)}${resultText.length > 500 ? '...' : ''}
 
-Use \`/status ${result.data.taskId}\` to check full status anytime.`;
+Use \`/status ${result.taskId}\` to check full status anytime.`;
 
         this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      } else if (result && result.timed_out) {
+        this.bot.sendMessage(chatId, `⏰ **Task Timed Out**\n\n${result.error}`);
+      } else if (result && result.cancelled) {
+        this.bot.sendMessage(chatId, `🛑 **Task Cancelled**\n\nTask \`${result.taskId}\` was stopped before it finished.`, { parse_mode: 'Markdown' });
       } else {
-        this.bot.sendMessage(chatId, `❌ **Task Submission Failed**\n\n${result.error || result.message}`);
+        this.bot.sendMessage(chatId, `❌ **Task Failed**\n\n${result ? result.error || result.message : 'Connection to the agents system was interrupted'}`);
       }
 
     } catch (error) {
       console.error('Error submitting task:', error);
+      this.runningTasks.delete(chatId);
       this.bot.sendMessage(chatId, '❌ Error connecting to AI agents system. Please try again later.');
     }
 
@@ -324,7 +438,7 @@ Use \`/status ${result.data.taskId}\` to check full status anytime.`;
 
 **Description:** ${task.description}
 
-${task.result ? `**Result:**\n${task.result.result}` : ''}
+${task.result ? `**Result:**\n${formatResult(task.result.result)}` : ''}
 ${task.error ? `**Error:**\n${task.error}` : ''}
 
 **Timeline:**
@@ -356,10 +470,11 @@ ${task.completedAt ? `Completed: ${new Date(task.completedAt).toLocaleString()}`
         let message = `👥 **Available AI Agents (${result.total_agents})**\n\n`;
 
         result.agents.forEach(agent => {
-          const statusIcon = agent.status === 'idle' ? '🟢' : agent.status === 'busy' ? '🟡' : '🔴';
+          const statusIcon = STATUS_ICONS[agent.status] || '🔴';
           message += `${statusIcon} **${agent.name}**\n`;
           message += `   Role: ${agent.role}\n`;
-          message += `   Status: ${agent.status}\n`;
+          message += `   Status: ${agent.status.replace('_', ' ')}\n`;
+          message += `   Running: ${agent.running_tasks}/${agent.max_concurrent_tasks}${agent.waiting_tasks ? ` (+${agent.waiting_tasks} waiting)` : ''}\n`;
           message += `   Current Tasks: ${agent.current_tasks}\n`;
           message += `   Completed: ${agent.completed_tasks}\n\n`;
         });
@@ -404,6 +519,7 @@ ${task.completedAt ? `Completed: ${new Date(task.completedAt).toLocaleString()}`
 • Tasks Completed: ${stats.performance_metrics.tasksCompleted}
 • Success Rate: ${stats.performance_metrics.successRate.toFixed(1)}%
 • Avg Completion Time: ${stats.performance_metrics.averageCompletionTime.toFixed(1)} min
+• Model Cost: $${stats.usage.total.cost_usd.toFixed(4)} (${stats.usage.total.total_tokens} tokens)
 
 **CEO Insights:**
 ${report.ceo_insights}`;
@@ -420,10 +536,37 @@ ${report.ceo_insights}`;
   }
 
   /**
-   * Cancel current operation
+   * Cancel a running task through the API gateway
+   * The task's stream reports the cancellation, so only problems are answered here
+   */
+  async cancelTask(chatId, taskId) {
+    try {
+      const response = await fetch(`${this.apiGatewayUrl}/task/${taskId}`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ reason: 'Cancelled from Telegram' })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        this.bot.sendMessage(chatId, `⚠️ Could not cancel task ${taskId}: ${result.error}`);
+      }
+
+    } catch (error) {
+      console.error('Error cancelling task:', error);
+      this.bot.sendMessage(chatId, '❌ Error connecting to AI agents system. Please try again later.');
+    }
+  }
+
+  /**
+   * Cancel current operation: the running task if there is one, otherwise the task being set up
    */
-  cancelOperation(chatId) {
-    if (this.userSessions.has(chatId)) {
+  async cancelOperation(chatId) {
+    if (this.runningTasks.has(chatId)) {
+      await this.cancelTask(chatId, this.runningTasks.get(chatId));
+    } else if (this.userSessions.has(chatId)) {
       this.userSessions.delete(chatId);
       this.bot.sendMessage(chatId, '❌ Operation cancelled.');
     } else {
@@ -3,6 +3,21 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
+// Agent status (derived from its load) -> icon
+const STATUS_ICONS = {
+  idle: '🟢',
+  partially_loaded: '🟡',
+  saturated: '🟠',
+  offline: '🔴'
+};
+
+/**
+ * Render a task result as text (structured results are pretty-printed JSON)
+ */
+function formatResult(result) {
+  return typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+}
+
 /**
  * Fixed Telegram Bot for AI Agents Team Management System
  * Improved error handling and message processing
@@ -384,7 +399,7 @@ class AgentsTeamBotFixed {
 ⚡ *Приоритет:* ${taskData.priority}
 
 📈 *Предварительный результат:*
-${result.data.result.substring(0, 500)}${result.data.result.length > 500 ? '...' : ''}
+${formatResult(result.data.result).substring(0, 500)}${formatResult(result.data.result).length > 500 ? '...' : ''}
 
 Используйте \`/status ${result.data.taskId}\` для проверки полного статуса.`;
 
@@ -416,10 +431,11 @@ ${result.data.result.substring(0, 500)}${result.data.result.length > 500 ? '...'
         let message = `👥 *Доступные AI агенты (${result.total_agents})*\n\n`;
 
         result.agents.forEach(agent => {
-          const statusIcon = agent.status === 'idle' ? '🟢' : agent.status === 'busy' ? '🟡' : '🔴';
+          const statusIcon = STATUS_ICONS[agent.status] || '🔴';
           message += `${statusIcon} *${agent.name}*\n`;
           message += `   Роль: ${agent.role}\n`;
-          message += `   Статус: ${agent.status}\n`;
+          message += `   Статус: ${agent.status.replace('_', ' ')}\n`;
+          message += `   Выполняется: ${agent.running_tasks}/${agent.max_concurrent_tasks}\n`;
           message += `   Текущие задачи: ${agent.current_tasks}\n`;
           message += `   Выполнено: ${agent.completed_tasks}\n\n`;
         });
@@ -456,7 +472,7 @@ ${result.data.result.substring(0, 500)}${result.data.result.length > 500 ? '...'
 
 📝 *Описание:* ${task.description}
 
-${task.result ? `📈 *Результат:*\n${task.result.result}` : ''}
+${task.result ? `📈 *Результат:*\n${formatResult(task.result.result)}` : ''}
 ${task.error ? `❌ *Ошибка:*\n${task.error}` : ''}
 
 ⏰ *Временная шкала:*
@@ -0,0 +1,56 @@
+/**
+ * Runs every offline test script in sequence (used by `npm test`)
+ * These tests use the MockProvider and need no API keys or network access.
+ */
+
+import { spawnSync } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const offlineTests = [
+    'test_mock_provider.js',
+    'test_record_replay.js',
+    'test_tool_use.js',
+    'test_streaming.js',
+    'test_resilience.js',
+    'test_usage.js',
+    'test_structured_output.js',
+    'test_prompt_templates.js',
+    'test_knowledge_retrieval.js',
+    'test_conversation_memory.js',
+    'test_knowledge_reload.js',
+    'test_knowledge_formats.js',
+    'test_lessons.js',
+    'test_context_serializer.js',
+    'test_collaboration.js',
+    'test_report_export.js',
+    'test_report_repository.js',
+    'test_cancellation.js',
+    'test_deadlines.js',
+    'test_concurrency.js',
+    'test_roster.js',
+    'test_agent_plugins.js',
+    'test_agent_events.js',
+    'test_model_selection.js',
+    'test_response_cache.js'
+];
+
+const failed = [];
+
+for (const testFile of offlineTests) {
+    console.log(`\n▶️  ${testFile}`);
+    const run = spawnSync(process.execPath, [path.join(__dirname, testFile)], { stdio: 'inherit' });
+    if (run.status !== 0) {
+        failed.push(testFile);
+    }
+}
+
+console.log('');
+if (failed.length > 0) {
+    console.error(`❌ ${failed.length} of ${offlineTests.length} offline tests failed: ${failed.join(', ')}`);
+    process.exit(1);
+}
+
+console.log(`✅ All ${offlineTests.length} offline tests passed`);
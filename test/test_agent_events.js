@@ -0,0 +1,224 @@
+/**
+ * AI Agents Team Management System - Agent Events Test
+ *
+ * Checks the lifecycle event bus offline: a task publishes started,
+ * progress and completed (or failed, cancelled, queued) events with a
+ * common payload, the CEO publishes assignments, collaboration rounds
+ * and reports, a failing listener does not break the agent, and the
+ * audit log writes the events to a JSON Lines file.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { AgentEventBus } from '../agents/base/AgentEvents.js';
+import { AuditLog } from '../agents/base/AuditLog.js';
+import { ReportRepository } from '../agents/base/ReportRepository.js';
+
+/**
+ * Bus that records every event it publishes
+ */
+function recordingBus() {
+    const eventBus = new AgentEventBus();
+    const events = [];
+    eventBus.subscribe([], event => events.push(event));
+    return { eventBus, events, types: () => events.map(event => event.type) };
+}
+
+function waitFor(condition) {
+    return new Promise(resolve => {
+        const check = () => (condition() ? resolve() : setTimeout(check, 5));
+        check();
+    });
+}
+
+async function testAgentEvents() {
+    console.log('🤖 AI Agents Team Management System - Agent Events Test');
+    console.log('='.repeat(60));
+
+    // Step 1: A task with a tool call publishes its lifecycle
+    console.log('📋 Step 1: Task lifecycle events...');
+    const { eventBus, events, types } = recordingBus();
+    const toolProvider = new MockProvider()
+        .addRule(request => request.messages.length === 1, {
+            stop_reason: 'tool_use',
+            content: [{ type: 'tool_use', id: 'toolu_1', name: 'lookup_price', input: { product: 'bottle' } }]
+        })
+        .addRule(() => true, 'The bottle costs 12 EUR.');
+    const analyst = new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Trends'], { provider: toolProvider, eventBus });
+    analyst.registerTool({
+        name: 'lookup_price',
+        description: 'Look up a product price',
+        input_schema: { type: 'object', properties: { product: { type: 'string' } }, required: ['product'] },
+        handler: () => ({ price_eur: 12 })
+    });
+
+    await analyst.processTask('task-1', 'What does the bottle cost?');
+    assert.deepEqual(types(), ['task.started', 'task.progress', 'task.progress', 'task.progress', 'task.completed']);
+    assert.deepEqual(events.slice(1, 4).map(event => event.step), ['model_response', 'tool_call', 'model_response']);
+    assert.equal(events[2].tool, 'lookup_price');
+    for (const event of events) {
+        assert.equal(event.agent, 'lil_Market_Analyst');
+        assert.equal(event.role, 'Market_Analyst');
+        assert.equal(event.task_id, 'task-1');
+        assert.ok(!Number.isNaN(Date.parse(event.timestamp)));
+    }
+    assert.deepEqual(events.map(event => event.id), [1, 2, 3, 4, 5]);
+    const completed = events.at(-1);
+    assert.equal(typeof completed.duration_ms, 'number');
+    assert.equal(completed.usage.total_tokens > 0, true);
+    console.log(`✅ ${types().join(' → ')}`);
+
+    // Step 2: Failed, queued and cancelled tasks
+    console.log('📋 Step 2: Failed, queued and cancelled tasks...');
+    const failing = new MockProvider().addRule(() => true, () => {
+        throw new Error('Model unavailable');
+    });
+    const failed = recordingBus();
+    await new Agent('lil_Market_Analyst', 'Market_Analyst', [], { provider: failing, eventBus: failed.eventBus }).processTask('task-2', 'Analyze');
+    assert.deepEqual(failed.types(), ['task.started', 'task.failed']);
+    assert.equal(failed.events[1].error, 'Model unavailable');
+
+    let release;
+    const held = new MockProvider().addRule(() => true, () => new Promise(resolve => {
+        release = resolve;
+    }));
+    const busy = recordingBus();
+    const single = new Agent('lil_Market_Analyst', 'Market_Analyst', [], { provider: held, eventBus: busy.eventBus, maxConcurrentTasks: 1 });
+    const running = single.processTask('task-3', 'First');
+    const waiting = single.processTask('task-4', 'Second');
+    await waitFor(() => release);
+    single.cancelTask('task-4');
+    await waiting;
+    release('Done');
+    await running;
+    assert.deepEqual(busy.events.map(event => [event.type, event.task_id]), [
+        ['task.queued', 'task-4'],
+        ['task.started', 'task-3'],
+        ['task.cancelled', 'task-4'],
+        ['task.progress', 'task-3'],
+        ['task.completed', 'task-3']
+    ]);
+    assert.equal(busy.events[0].position, 1);
+    assert.equal(busy.events[2].duration_ms, null, 'a task cancelled while waiting never started');
+    console.log('✅ task.failed, task.queued and task.cancelled published');
+
+    // Step 3: The CEO publishes assignments and reports
+    console.log('📋 Step 3: CEO events...');
+    const team = recordingBus();
+    const provider = new MockProvider();
+    const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-reports-'));
+    const reportRepository = new ReportRepository({ dir: reportsDir });
+    const ceoAgent = new CEOAgent({ provider, eventBus: team.eventBus, reportRepository });
+    const marketAgent = new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Trends'], { provider, eventBus: team.eventBus, reportRepository });
+    ceoAgent.registerTeamAgent(marketAgent);
+
+    const assigned = await ceoAgent.assignTask('Analyze market trends for bottles', 'high');
+    const assignment = team.events.find(event => event.type === 'task.assigned');
+    assert.deepEqual(
+        { agent: assignment.agent, task_id: assignment.task_id, assigned_agent: assignment.assigned_agent, priority: assignment.priority },
+        { agent: 'lil_Boss_CEO', task_id: assigned.taskId, assigned_agent: 'lil_Market_Analyst', priority: 'high' }
+    );
+    assert.deepEqual(team.types(), ['task.assigned', 'task.started', 'task.progress', 'task.completed']);
+
+    const report = await marketAgent.generateReport();
+    const reportEvent = team.events.at(-1);
+    assert.deepEqual({ type: reportEvent.type, report_id: reportEvent.report_id, report_type: reportEvent.report_type },
+        { type: 'report.generated', report_id: report.report_id, report_type: 'summary' });
+
+    marketAgent.offline = true;
+    const unassigned = await ceoAgent.assignTask('Analyze market trends');
+    assert.deepEqual({ type: team.events.at(-1).type, agent: team.events.at(-1).agent, task_id: team.events.at(-1).task_id },
+        { type: 'task.failed', agent: 'lil_Boss_CEO', task_id: unassigned.taskId });
+    fs.rmSync(reportsDir, { recursive: true, force: true });
+    console.log('✅ task.assigned, report.generated and unassigned task.failed published');
+
+    // Step 4: Collaborations publish their rounds
+    console.log('📋 Step 4: Collaboration events...');
+    const collaboration = recordingBus();
+    const collaborationProvider = new MockProvider().addRule(() => true, request => {
+        const userText = request.messages.at(-1).content;
+        if (!userText.includes('Review the current answer')) {
+            return JSON.stringify({ answer: 'Launch with a landing page.' });
+        }
+        return JSON.stringify(userText.includes('brand voice')
+            ? { verdict: 'approve', critique: 'Good.' }
+            : { verdict: 'revise', critique: 'Use our brand voice.', answer: 'Launch with a landing page in our brand voice.' });
+    });
+    const collaborationCeo = new CEOAgent({ provider: collaborationProvider, eventBus: collaboration.eventBus });
+    collaborationCeo.registerTeamAgent(new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider: collaborationProvider, eventBus: collaboration.eventBus }));
+    collaborationCeo.registerTeamAgent(new Agent('lil_Brand_Manager', 'Brand_Manager', [], { provider: collaborationProvider, eventBus: collaboration.eventBus }));
+
+    const outcome = await collaborationCeo.collaborate('Align SEO keywords with our brand identity');
+    assert.equal(outcome.success, true);
+    const collaborationEvents = collaboration.events.filter(event => event.type.startsWith('collaboration.'));
+    assert.deepEqual(collaborationEvents.map(event => [event.type, event.round]), [
+        ['collaboration.started', undefined],
+        ['collaboration.round', 1],
+        ['collaboration.round', 2],
+        ['collaboration.completed', undefined]
+    ]);
+    assert.deepEqual(collaborationEvents[1].turns, [
+        { agent: 'lil_SEO_Specialist', step: 'draft' },
+        { agent: 'lil_Brand_Manager', step: 'critique' }
+    ]);
+    assert.deepEqual(
+        { status: collaborationEvents[3].status, rounds: collaborationEvents[3].rounds, converged: collaborationEvents[3].converged },
+        { status: 'completed', rounds: 2, converged: true }
+    );
+    assert.ok(collaborationEvents.every(event => event.task_id === outcome.taskId));
+    console.log(`✅ Collaboration published ${collaborationEvents.length} events over ${outcome.rounds} rounds`);
+
+    // Step 5: Listener errors stay with the listener; event types are checked
+    console.log('📋 Step 5: Failing listeners and unknown types...');
+    const guarded = recordingBus();
+    guarded.eventBus.subscribe(['task.started'], () => {
+        throw new Error('Listener bug');
+    });
+    guarded.eventBus.on('task.started', () => {
+        throw new Error('Listener bug');
+    });
+    let onceCalls = 0;
+    guarded.eventBus.once('task.completed', () => onceCalls++);
+    const guardedAgent = new Agent('lil_Market_Analyst', 'Market_Analyst', [], { provider, eventBus: guarded.eventBus });
+    const guardedResult = await guardedAgent.processTask('task-5', 'Analyze');
+    assert.equal(guardedResult.success, true);
+    assert.equal(guarded.types().at(-1), 'task.completed');
+    await guardedAgent.processTask('task-5b', 'Analyze');
+    assert.equal(onceCalls, 1, 'once() listeners still run once');
+    assert.throws(() => guarded.eventBus.subscribe(['task.finished'], () => {}), /Unknown agent event type: task.finished/);
+    assert.throws(() => guarded.eventBus.publish('task.finished', analyst), /Unknown agent event type/);
+    console.log('✅ Task completed despite the failing listeners');
+
+    // Step 6: The audit log appends the subscribed events as JSON lines
+    console.log('📋 Step 6: Audit log...');
+    const auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+    const auditBus = new AgentEventBus();
+    const auditLog = new AuditLog({ file: path.join(auditDir, 'logs/audit.jsonl'), eventBus: auditBus, types: ['task.completed', 'task.failed'] }).start();
+    const audited = new Agent('lil_Market_Analyst', 'Market_Analyst', [], { provider, eventBus: auditBus });
+    await audited.processTask('task-6', 'Analyze');
+    await new Agent('lil_Brand_Manager', 'Brand_Manager', [], { provider: failing, eventBus: auditBus }).processTask('task-7', 'Review');
+    await auditLog.stop();
+    await audited.processTask('task-8', 'Analyze again');
+
+    const lines = fs.readFileSync(auditLog.file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => [line.type, line.task_id, line.agent]), [
+        ['task.completed', 'task-6', 'lil_Market_Analyst'],
+        ['task.failed', 'task-7', 'lil_Brand_Manager']
+    ]);
+    assert.deepEqual(auditLog.getStatus(), { file: auditLog.file, active: false, types: ['task.completed', 'task.failed'], failed_writes: 0 });
+    fs.rmSync(auditDir, { recursive: true, force: true });
+    console.log(`✅ ${lines.length} events written to the audit log`);
+
+    console.log('');
+    console.log('🎉 Agent events test passed');
+}
+
+testAgentEvents().catch(error => {
+    console.error('❌ Agent events test failed:', error);
+    process.exit(1);
+});
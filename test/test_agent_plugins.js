@@ -0,0 +1,171 @@
+/**
+ * AI Agents Team Management System - Agent Plugins Test
+ *
+ * Checks agent auto-discovery offline: Agent subclasses exported by
+ * agents/<name>/index.js serve the roster entry of the same name, other
+ * entries get a generic Agent, each plugin's public methods are listed
+ * as capabilities, capability calls through the CEO are tracked tasks,
+ * and broken plugin modules stop the discovery.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { discoverAgentPlugins, AgentPluginError } from '../agents/base/AgentPlugins.js';
+import { loadRoster, createRosterAgents, RosterValidationError } from '../agents/base/Roster.js';
+import { SEOSpecialistAgent } from '../agents/lil_SEO_Specialist/index.js';
+
+const agentModuleUrl = pathToFileURL(path.join(path.dirname(fileURLToPath(import.meta.url)), '../agents/base/Agent.js')).href;
+
+/**
+ * Source of a plugin module exporting one subclass per entry of classes ({ className: [name, role] })
+ */
+function pluginSource(classes) {
+    return [
+        `import { Agent } from '${agentModuleUrl}';`,
+        ...Object.entries(classes).map(([className, [name, role]]) => `
+export class ${className} extends Agent {
+  constructor(options = {}) {
+    super('${name}', '${role}', ['Carbon Accounting'], options);
+  }
+
+  async estimateFootprint(activity, unit = 'kg') {
+    return { activity, unit, footprint: 42 };
+  }
+
+  _internal() {}
+}`)
+    ].join('\n');
+}
+
+async function testAgentPlugins() {
+    console.log('🤖 AI Agents Team Management System - Agent Plugins Test');
+    console.log('='.repeat(60));
+
+    // Step 1: The shipped agent modules are discovered
+    console.log('📋 Step 1: Discovering the shipped plugins...');
+    const plugins = await discoverAgentPlugins();
+    const seoPlugin = plugins.get('lil_SEO_Specialist');
+    assert.equal(seoPlugin.AgentClass, SEOSpecialistAgent);
+    assert.equal(plugins.get('lil_Boss_CEO').AgentClass.name, 'CEOAgent');
+    assert.deepEqual(plugins.get('lil_Boss_CEO').capabilities, [], 'the CEO is driven through the task endpoints');
+    assert.deepEqual(seoPlugin.capabilities.find(capability => capability.name === 'analyzeKeywords'), {
+        name: 'analyzeKeywords',
+        parameters: ['topic', 'targetAudience', 'intent']
+    });
+    assert.ok(!seoPlugin.capabilities.some(capability => capability.name === 'processTask'), 'base methods are not capabilities');
+    console.log(`✅ ${Array.from(plugins.values(), plugin => plugin.AgentClass.name).join(', ')}`);
+
+    // Step 2: Roster entries with a plugin get the subclass, the others a generic Agent
+    console.log('📋 Step 2: Creating the roster team with plugins...');
+    const provider = new MockProvider();
+    const roster = await loadRoster();
+    const team = createRosterAgents(roster, { provider }, plugins);
+    const seoAgent = team.find(agent => agent.name === 'lil_SEO_Specialist');
+    const brandAgent = team.find(agent => agent.name === 'lil_Brand_Manager');
+
+    assert.ok(seoAgent instanceof SEOSpecialistAgent);
+    assert.equal(brandAgent.constructor, Agent);
+    assert.deepEqual(seoAgent.routingKeywords, ['seo', 'search', 'keyword'], 'roster settings still apply');
+    assert.ok(seoAgent.specialKnowledge.includes('Local SEO'), 'the plugin keeps its own skills');
+    assert.ok(seoAgent.tools.has('keyword_density'), 'the plugin registers its tools');
+    assert.deepEqual(brandAgent.getCapabilities(), []);
+    console.log(`✅ ${seoAgent.name} is a ${seoAgent.constructor.name}, ${brandAgent.name} a generic Agent`);
+
+    // Step 3: Capabilities can be called and are listed in the status
+    console.log('📋 Step 3: Calling a capability...');
+    assert.ok(seoAgent.getStatus().capabilities.includes('conductSEOAudit'));
+    const optimized = await seoAgent.optimizeContent('Reusable bottles for every day', ['reusable bottles']);
+    assert.equal(optimized.success, true);
+    assert.equal(provider.calls.length, 1);
+
+    const [first, second] = await Promise.all([
+        seoAgent.planLocalSEO({ city: 'Utrecht' }),
+        seoAgent.planLocalSEO({ city: 'Leiden' })
+    ]);
+    assert.notEqual(first.taskId, second.taskId, 'calls in the same millisecond get their own task');
+    assert.equal(seoAgent.currentTasks.get(first.taskId).context.business_info.city, 'Utrecht');
+    assert.equal(seoAgent.currentTasks.get(second.taskId).context.business_info.city, 'Leiden');
+    console.log('✅ optimizeContent ran as a task');
+
+    // Step 4: The CEO runs capability calls as tracked, cancellable tasks
+    console.log('📋 Step 4: Capability calls through the CEO...');
+    provider.addRule('Slow draft', (request, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    }));
+    const ceoAgent = new CEOAgent({ provider });
+    team.forEach(agent => ceoAgent.registerTeamAgent(agent));
+
+    const called = await ceoAgent.runCapability('lil_SEO_Specialist', 'optimizeContent', ['Reusable bottles'], { clientId: 'acme' });
+    assert.equal(called.success, true);
+    const calledTask = ceoAgent.getTaskStatus(called.taskId);
+    assert.deepEqual({ status: calledTask.status, capability: calledTask.capability, clientId: calledTask.clientId }, { status: 'completed', capability: 'optimizeContent', clientId: 'acme' });
+    assert.ok(seoAgent.currentTasks.has(called.taskId), "the agent's task uses the CEO's task id");
+    assert.equal(ceoAgent.calculateUsageBreakdown().by_client.acme.calls, 1);
+
+    const running = ceoAgent.runCapability('lil_SEO_Specialist', 'optimizeContent', ['Slow draft']);
+    const [runningId] = ceoAgent.activeTasks.keys();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal((await ceoAgent.cancelTask(runningId)).status, 'cancelled');
+    assert.equal((await running).cancelled, true);
+
+    const specialization = await ceoAgent.runCapability('lil_SEO_Specialist', 'getSpecialization');
+    assert.equal(specialization.success, true);
+    assert.equal(specialization.result.role, 'SEO_Specialist');
+    assert.equal((await ceoAgent.runCapability('lil_SEO_Specialist', 'hack')).found, true);
+    assert.equal((await ceoAgent.runCapability('lil_Nobody', 'optimizeContent')).found, false);
+    console.log(`✅ ${ceoAgent.taskHistory.length} capability calls tracked in the task history`);
+
+    // Step 5: Plugins from another agents folder, with error handling
+    console.log('📋 Step 5: Discovering plugins in a custom folder...');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-plugins-'));
+    // Outside the project there is no package.json saying the modules are ES modules
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ type: 'module' }));
+    const writeModule = (folder, source) => {
+        fs.mkdirSync(path.join(dir, folder), { recursive: true });
+        fs.writeFileSync(path.join(dir, folder, 'index.js'), source);
+    };
+    writeModule('lil_Sustainability_Lead', pluginSource({ SustainabilityAgent: ['lil_Sustainability_Lead', 'Sustainability_Lead'] }));
+    writeModule('helpers', 'export const unit = "kg";');
+    fs.mkdirSync(path.join(dir, 'notes'));
+
+    const custom = await discoverAgentPlugins(dir);
+    assert.deepEqual(Array.from(custom.keys()), ['lil_Sustainability_Lead'], 'modules without a subclass are skipped');
+    assert.deepEqual(custom.get('lil_Sustainability_Lead').capabilities, [
+        { name: 'estimateFootprint', parameters: ['activity', 'unit'] }
+    ]);
+
+    const sustainabilityRoster = {
+        file: 'roster.yaml',
+        agents: [{ name: 'lil_Sustainability_Lead', role: 'Sustainability_Lead', skills: ['ESG Reporting'], keywords: ['esg'], knowledge: ['shared'] }]
+    };
+    const [sustainability] = createRosterAgents(sustainabilityRoster, { provider }, custom);
+    assert.deepEqual(sustainability.specialKnowledge, ['Carbon Accounting', 'ESG Reporting']);
+    assert.deepEqual(await sustainability.estimateFootprint('shipping'), { activity: 'shipping', unit: 'kg', footprint: 42 });
+
+    const mismatched = { ...sustainabilityRoster, agents: [{ ...sustainabilityRoster.agents[0], role: 'Finance_Analyst' }] };
+    assert.throws(() => createRosterAgents(mismatched, { provider }, custom), RosterValidationError);
+    console.log('✅ Custom plugin discovered and created from the roster');
+
+    writeModule('lil_Twins', pluginSource({ FirstTwin: ['lil_Twins', 'Twin'], SecondTwin: ['lil_Twins', 'Twin'] }));
+    await assert.rejects(discoverAgentPlugins(dir), error => error instanceof AgentPluginError && /exports 2 Agent subclasses/.test(error.message));
+    fs.rmSync(path.join(dir, 'lil_Twins'), { recursive: true });
+
+    writeModule('lil_Broken', 'export class Broken extends {');
+    await assert.rejects(discoverAgentPlugins(dir), /lil_Broken.*could not be loaded/s);
+    console.log('✅ Ambiguous and broken modules rejected');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('');
+    console.log('🎉 Agent plugins test passed');
+}
+
+testAgentPlugins().catch(error => {
+    console.error('❌ Agent plugins test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,218 @@
+/**
+ * AI Agents Team Management System - Cancellation Test
+ *
+ * Cancels running tasks offline: a slow model call, a tool call in
+ * progress, a task cancelled through the CEO or by the caller's signal,
+ * a follow-up turn, and a collaboration. Checks the cancelled status, that finished tasks cannot
+ * be cancelled, and that cancelled tasks do not lower the success rate
+ * or the system health.
+ */
+
+import assert from 'assert/strict';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider, ResilientProvider, CircuitBreaker } from '../agents/base/providers/index.js';
+
+/**
+ * Reply that never arrives unless the call is aborted; calls onStart once the call is pending
+ */
+function hangingReply(onStart = () => {}) {
+    return (request, { signal }) => new Promise((resolve, reject) => {
+        onStart();
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+}
+
+function waitFor(condition) {
+    return new Promise(resolve => {
+        const check = () => (condition() ? resolve() : setTimeout(check, 5));
+        check();
+    });
+}
+
+async function testCancellation() {
+    console.log('🤖 AI Agents Team Management System - Cancellation Test');
+    console.log('='.repeat(60));
+
+    // Step 1: Cancelling a task aborts the pending model call
+    console.log('📋 Step 1: Cancelling a slow model call...');
+    let modelCalled = false;
+    const slowProvider = new MockProvider().addRule('slow', hangingReply(() => {
+        modelCalled = true;
+    }));
+    const agent = new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Trends'], { provider: slowProvider });
+
+    const running = agent.processTask('task-slow', 'A slow market analysis');
+    await waitFor(() => modelCalled);
+    assert.equal(agent.cancelTask('task-slow'), true);
+    const cancelled = await running;
+
+    assert.equal(cancelled.success, false);
+    assert.equal(cancelled.cancelled, true);
+    assert.equal(cancelled.error, 'Task cancelled');
+    assert.equal(agent.currentTasks.get('task-slow').status, 'cancelled');
+    assert.equal(agent.status, 'idle');
+    assert.equal(agent.cancelTask('task-slow'), false, 'a settled task cannot be cancelled again');
+    console.log('✅ Model call aborted, task marked cancelled');
+
+    // Step 2: The signal reaches tools, and a cancelled tool call is not reported back to the model
+    console.log('📋 Step 2: Cancelling during a tool call...');
+    let toolSignal = null;
+    const toolProvider = new MockProvider().addRule(() => true, {
+        stop_reason: 'tool_use',
+        content: [{ type: 'tool_use', id: 'toolu_1', name: 'crawl_site', input: { url: 'https://shop.example' } }]
+    });
+    const crawler = new Agent('lil_SEO_Specialist', 'SEO_Specialist', ['Technical SEO'], { provider: toolProvider });
+    crawler.registerTool({
+        name: 'crawl_site',
+        description: 'Crawl a site',
+        input_schema: { type: 'object', properties: { url: { type: 'string' } }, required: ['url'] },
+        handler: (input, context) => new Promise(() => {
+            // Never finishes on its own: only the cancellation ends the call
+            toolSignal = context.signal;
+        })
+    });
+
+    const crawling = crawler.processTask('task-crawl', 'Crawl the shop');
+    await waitFor(() => toolSignal);
+    crawler.cancelTask('task-crawl');
+    const crawlResult = await crawling;
+
+    assert.equal(crawlResult.cancelled, true);
+    assert.equal(toolSignal.aborted, true);
+    assert.equal(toolProvider.calls.length, 1, 'no tool result is sent to the model after cancelling');
+    console.log('✅ Tool received the aborted signal and the loop stopped');
+
+    // Step 3: Retries stop once the signal aborts
+    console.log('📋 Step 3: Aborting a retried call...');
+    const flaky = new MockProvider().addRule(() => true, () => {
+        throw Object.assign(new Error('Overloaded'), { status: 529 });
+    });
+    const controller = new AbortController();
+    const resilient = new ResilientProvider(flaky, {
+        maxRetries: 5,
+        breaker: new CircuitBreaker('cancelled'),
+        sleep: () => {
+            controller.abort();
+            return new Promise(() => {});
+        }
+    });
+    await assert.rejects(
+        resilient.createMessage({ model: 'mock-model', messages: [{ role: 'user', content: 'Hi' }] }, { signal: controller.signal }),
+        error => error.name === 'AbortError'
+    );
+    assert.equal(flaky.calls.length, 1, 'no retry after the abort');
+    console.log('✅ Backoff interrupted, no further attempts');
+
+    // Step 4: The CEO cancels assigned tasks; metrics and health ignore them
+    console.log('📋 Step 4: Cancelling through the CEO...');
+    const teamProvider = new MockProvider()
+        .addRule('competitor pricing', hangingReply());
+    const ceoAgent = new CEOAgent({ provider: teamProvider });
+    ceoAgent.registerTeamAgent(new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Trends'], { provider: teamProvider }));
+    ceoAgent.registerTeamAgent(new Agent('lil_Brand_Manager', 'Brand_Manager', ['Brand Voice'], { provider: teamProvider }));
+
+    const completed = await ceoAgent.assignTask('Analyze market trends for reusable bottles');
+    assert.equal(completed.success, true);
+    const healthBefore = ceoAgent.calculateSystemHealth();
+
+    let assignedId = null;
+    const assignment = ceoAgent.assignTask('Analyze competitor pricing in the market', 'high', [], {
+        onAssigned: task => {
+            assignedId = task.id;
+        }
+    });
+    await waitFor(() => assignedId);
+    assert.equal(ceoAgent.getTaskStatus(assignedId).status, 'assigned');
+
+    const cancellation = await ceoAgent.cancelTask(assignedId, { reason: 'No longer needed' });
+    assert.deepEqual(
+        { success: cancellation.success, status: cancellation.status },
+        { success: true, status: 'cancelled' }
+    );
+    const assignmentResult = await assignment;
+    assert.equal(assignmentResult.cancelled, true);
+
+    const status = ceoAgent.getTaskStatus(assignedId);
+    assert.equal(status.status, 'cancelled');
+    assert.equal(status.cancelReason, 'No longer needed');
+    assert.equal(ceoAgent.activeTasks.has(assignedId), false);
+    assert.equal(ceoAgent.performanceMetrics.successRate, 100, 'cancelled tasks are not failures');
+    assert.equal(ceoAgent.calculateSystemHealth(), healthBefore);
+
+    const disconnect = new AbortController();
+    const callerCancelled = ceoAgent.assignTask('Analyze competitor pricing in the market', 'high', [], { signal: disconnect.signal });
+    const callsSoFar = teamProvider.calls.length;
+    await waitFor(() => teamProvider.calls.length > callsSoFar);
+    disconnect.abort(new Error('Stream client disconnected'));
+    assert.equal((await callerCancelled).cancelled, true, "the caller's signal cancels a running task");
+
+    const callsBefore = teamProvider.calls.length;
+    const earlyCancelled = await ceoAgent.assignTask('Analyze competitor pricing in the market', 'high', [], { signal: AbortSignal.abort() });
+    assert.equal(earlyCancelled.cancelled, true, 'a signal aborted before the assignment cancels it');
+    assert.equal(teamProvider.calls.length, callsBefore, 'no model call for an already aborted task');
+    assert.equal(ceoAgent.activeTasks.size, 0);
+
+    const again = await ceoAgent.cancelTask(assignedId);
+    assert.deepEqual({ found: again.found, active: again.active, status: again.status }, { found: true, active: false, status: 'cancelled' });
+    const unknown = await ceoAgent.cancelTask('task-missing');
+    assert.equal(unknown.found, false);
+    console.log(`✅ Task ${assignedId} cancelled; success rate ${ceoAgent.performanceMetrics.successRate}%`);
+
+    // Step 5: A collaboration stops at the turn in progress
+    console.log('📋 Step 5: Cancelling a collaboration...');
+    const collaborationProvider = new MockProvider().addRule(() => true, hangingReply());
+    const collaborationCeo = new CEOAgent({ provider: collaborationProvider });
+    collaborationCeo.registerTeamAgent(new Agent('lil_SEO_Specialist', 'SEO_Specialist', ['Keyword Research'], { provider: collaborationProvider }));
+    collaborationCeo.registerTeamAgent(new Agent('lil_Brand_Manager', 'Brand_Manager', ['Brand Voice'], { provider: collaborationProvider }));
+
+    const collaborating = collaborationCeo.collaborate('Align SEO keywords with our brand identity');
+    await waitFor(() => collaborationProvider.calls.length > 0);
+    const [collaborationId] = collaborationCeo.activeTasks.keys();
+    assert.equal((await collaborationCeo.cancelTask(collaborationId)).status, 'cancelled');
+
+    const collaboration = await collaborating;
+    assert.equal(collaboration.cancelled, true);
+    assert.equal(collaboration.stop_reason, 'cancelled');
+    assert.equal(collaborationProvider.calls.length, 1, 'no turns after the cancellation');
+    assert.equal(collaborationCeo.performanceMetrics.successRate, 0);
+    console.log(`✅ Collaboration ${collaborationId} cancelled after ${collaborationProvider.calls.length} turn`);
+
+    // Step 6: Follow-up turns can be cancelled and time out
+    console.log('📋 Step 6: Cancelling a follow-up...');
+    const followUpProvider = new MockProvider()
+        .addRule('make it shorter', hangingReply())
+        .addRule(() => true, 'Launch plan for reusable bottles');
+    const followUpCeo = new CEOAgent({ provider: followUpProvider, taskTimeouts: { low: 50 } });
+    followUpCeo.registerTeamAgent(new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Trends'], { provider: followUpProvider }));
+    const { taskId: followUpId } = await followUpCeo.assignTask('Analyze market trends for reusable bottles');
+
+    const following = followUpCeo.continueTask(followUpId, 'make it shorter');
+    await waitFor(() => followUpProvider.calls.length === 2);
+    assert.equal((await followUpCeo.continueTask(followUpId, 'and cheaper')).active, true, 'one follow-up at a time');
+    const followUpCancellation = await followUpCeo.cancelTask(followUpId, { reason: 'Changed my mind' });
+    assert.deepEqual({ success: followUpCancellation.success, status: followUpCancellation.status }, { success: true, status: 'cancelled' });
+    const cancelledFollowUp = await following;
+    assert.equal(cancelledFollowUp.cancelled, true);
+    assert.equal(followUpCeo.getTaskStatus(followUpId).result.result, 'Launch plan for reusable bottles', 'the previous answer is kept');
+
+    const hangUp = new AbortController();
+    const hungUp = followUpCeo.continueTask(followUpId, 'make it shorter', { signal: hangUp.signal });
+    await waitFor(() => followUpProvider.calls.length === 3);
+    hangUp.abort(new Error('Client disconnected'));
+    assert.equal((await hungUp).cancelled, true, "the caller's signal stops a follow-up");
+
+    const lowTask = await followUpCeo.assignTask('Analyze market trends for refill stations', 'low');
+    const slowFollowUp = await followUpCeo.continueTask(lowTask.taskId, 'make it shorter');
+    assert.equal(slowFollowUp.timed_out, true, "a follow-up stops after its priority's timeout");
+    assert.equal(followUpCeo.taskCancellations.size, 0);
+    console.log('✅ Follow-ups cancelled by the CEO and the caller, and timed out');
+
+    console.log('');
+    console.log('🎉 Cancellation test passed');
+}
+
+testCancellation().catch(error => {
+    console.error('❌ Cancellation test failed:', error);
+    process.exit(1);
+});
@@ -8,6 +8,9 @@
  * 
  * The test focuses on betting market analysis in Eastern Europe,
  * showcasing the agent's ability to provide strategic business insights.
+ *
+ * Set LLM_RECORD_MODE=record to save every Claude exchange to test/fixtures/llm,
+ * then LLM_RECORD_MODE=replay to rerun the same flow offline with identical output.
  */
 
 // Import required dependencies
@@ -89,6 +92,8 @@ Please provide a comprehensive strategic analysis with actionable recommendation
             // Display error if task failed
             console.log('❌ TASK FAILED');
             console.log('Error details:', result.error);
+            // A replay without a fixture lands here too; fail the run so it is noticed
+            process.exitCode = 1;
         }
 
         // Step 5: Display agent status
@@ -106,6 +111,7 @@ Please provide a comprehensive strategic analysis with actionable recommendation
         console.error('❌ ERROR OCCURRED DURING TEST:');
         console.error('Error message:', error.message);
         console.error('');
+        process.exitCode = 1;
         
         // Provide helpful troubleshooting information
         console.log('🔍 TROUBLESHOOTING TIPS:');
@@ -3,6 +3,9 @@
  * 
  * This test demonstrates the CEO agent working directly without team delegation.
  * It shows how the agent can process strategic tasks using Claude AI.
+ *
+ * Set LLM_RECORD_MODE=record to save every Claude exchange to test/fixtures/llm,
+ * then LLM_RECORD_MODE=replay to rerun the same flow offline with identical output.
  */
 
 // Import required dependencies
@@ -105,6 +108,8 @@ Provide strategic recommendations for market entry including:
         } else {
             console.log('❌ ANALYSIS FAILED');
             console.log('Error details:', result.error);
+            // A replay without a fixture lands here too; fail the run so it is noticed
+            process.exitCode = 1;
         }
 
         // Step 5: Display agent status
@@ -135,6 +140,7 @@ Provide strategic recommendations for market entry including:
         console.error('❌ ERROR OCCURRED DURING TEST:');
         console.error('Error message:', error.message);
         console.error('');
+        process.exitCode = 1;
         
         // Provide troubleshooting tips
         console.log('🔍 TROUBLESHOOTING TIPS:');
@@ -0,0 +1,215 @@
+/**
+ * AI Agents Team Management System - Collaboration Test
+ *
+ * Checks multi-agent collaboration offline: round-robin critique,
+ * proposer/reviewer and debate with a judge, the round limit and
+ * convergence check, the transcript, and the CEO running a
+ * cross-department collaboration as a tracked task that is settled
+ * even when recording its outcome fails.
+ */
+
+import assert from 'assert/strict';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { CollaborationEngine } from '../agents/base/CollaborationEngine.js';
+
+const STEPS = {
+    draft: 'Write the first version',
+    review: 'Review the current answer',
+    revise: 'Reviewers have critiqued',
+    position: 'state your position',
+    judge: 'You are judging'
+};
+
+/**
+ * Provider answering each collaboration step per agent: replies[step][agentName](userText) => object
+ */
+function collaborationProvider(replies) {
+    return new MockProvider().addRule(() => true, request => {
+        const userText = request.messages.at(-1).content;
+        const agentName = request.system.match(/^You are ([^,]+),/)[1];
+        const step = Object.keys(STEPS).find(name => userText.includes(STEPS[name]));
+        const reply = replies[step]?.[agentName] || replies[step]?.default;
+        assert.ok(reply, `no reply for ${step} by ${agentName}`);
+        return JSON.stringify(reply(userText));
+    });
+}
+
+function createTeam(provider) {
+    return [
+        new Agent('lil_SEO_Specialist', 'SEO_Specialist', ['Keyword Research'], { provider }),
+        new Agent('lil_Brand_Manager', 'Brand_Manager', ['Brand Voice'], { provider }),
+        new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Trends'], { provider })
+    ];
+}
+
+async function testCollaboration() {
+    console.log('🤖 AI Agents Team Management System - Collaboration Test');
+    console.log('='.repeat(60));
+
+    const engine = new CollaborationEngine({ maxRounds: 3 });
+    const launch = 'Plan the launch of our reusable bottle';
+
+    // Step 1: Round-robin critique converges once everyone approves
+    console.log('📋 Step 1: Round-robin critique...');
+    const roundRobinProvider = collaborationProvider({
+        draft: { default: () => ({ answer: 'Launch with a keyword-led landing page.' }) },
+        review: {
+            lil_Brand_Manager: text => (text.includes('brand voice')
+                ? { verdict: 'approve', critique: 'Looks good.' }
+                : { verdict: 'revise', critique: 'Needs our brand voice.', answer: 'Launch with a keyword-led landing page in our brand voice.' }),
+            default: () => ({ verdict: 'approve', critique: 'Looks good.' })
+        }
+    });
+    const roundRobin = await engine.run(launch, { agents: createTeam(roundRobinProvider), protocol: 'round_robin' });
+
+    assert.equal(roundRobin.success, true);
+    assert.equal(roundRobin.final_answer, 'Launch with a keyword-led landing page in our brand voice.');
+    assert.equal(roundRobin.converged, true);
+    assert.equal(roundRobin.stop_reason, 'converged');
+    assert.equal(roundRobin.rounds, 2);
+    assert.deepEqual(roundRobin.transcript.map(entry => `${entry.round}:${entry.step}:${entry.agent}`), [
+        '1:draft:lil_SEO_Specialist',
+        '1:critique:lil_Brand_Manager',
+        '1:critique:lil_Market_Analyst',
+        '2:critique:lil_SEO_Specialist',
+        '2:critique:lil_Brand_Manager',
+        '2:critique:lil_Market_Analyst'
+    ]);
+    assert.equal(roundRobin.transcript[1].critique, 'Needs our brand voice.');
+    assert.equal(roundRobin.usage.calls, 6);
+    // Each turn sees the current answer as context
+    assert.match(roundRobinProvider.calls[2].messages[0].content, /current_answer: Launch with a keyword-led landing page in our brand voice\./);
+    console.log(`✅ Converged after ${roundRobin.rounds} rounds`);
+
+    // Step 2: Proposer revises until the reviewers approve
+    console.log('📋 Step 2: Proposer and reviewers...');
+    const proposerProvider = collaborationProvider({
+        draft: { default: () => ({ answer: 'Plan v1: paid search only.' }) },
+        revise: {
+            lil_SEO_Specialist: text => {
+                assert.match(text, /critique: Add a trend-based timeline\./);
+                return { answer: 'Plan v2: paid search, launched in spring when bottle sales peak.' };
+            }
+        },
+        review: {
+            lil_Market_Analyst: text => (text.includes('spring')
+                ? { verdict: 'approve', critique: 'Timeline fits the trend.' }
+                : { verdict: 'revise', critique: 'Add a trend-based timeline.' }),
+            default: () => ({ verdict: 'approve', critique: 'Fine by me.' })
+        }
+    });
+    const proposerTeam = createTeam(proposerProvider);
+    const reviewed = await engine.run(launch, { agents: proposerTeam, protocol: 'proposer_reviewer' });
+
+    assert.equal(reviewed.success, true);
+    assert.equal(reviewed.final_answer, 'Plan v2: paid search, launched in spring when bottle sales peak.');
+    assert.equal(reviewed.rounds, 2);
+    assert.deepEqual(reviewed.transcript.map(entry => entry.step), ['proposal', 'review', 'review', 'revision', 'review', 'review']);
+    assert.deepEqual(reviewed.transcript.filter(entry => entry.step === 'revision').map(entry => entry.agent), ['lil_SEO_Specialist']);
+    assert.equal(proposerTeam[0].currentTasks.size, 2, 'proposer turns are tracked as tasks');
+    console.log('✅ Proposal revised once and approved');
+
+    // Step 3: Round limit stops a collaboration that keeps changing
+    console.log('📋 Step 3: Stopping at the round limit...');
+    let revision = 0;
+    const restlessProvider = collaborationProvider({
+        draft: { default: () => ({ answer: 'Version 0' }) },
+        review: {
+            default: () => {
+                revision++;
+                return { verdict: 'revise', critique: 'Start over.', answer: `Completely different idea number ${revision} about ${'x'.repeat(revision)}` };
+            }
+        }
+    });
+    const limited = await engine.run(launch, { agents: createTeam(restlessProvider).slice(0, 2), protocol: 'round_robin', maxRounds: 2 });
+
+    assert.equal(limited.success, true);
+    assert.equal(limited.converged, false);
+    assert.equal(limited.stop_reason, 'max_rounds');
+    assert.equal(limited.rounds, 2);
+    assert.match(limited.final_answer, /number 3/);
+    console.log('✅ Stopped after 2 rounds without convergence');
+
+    // Step 4: Debate settles when positions stop changing, then the judge merges them
+    console.log('📋 Step 4: Debate with a judge...');
+    const debateProvider = collaborationProvider({
+        position: {
+            lil_SEO_Specialist: () => ({ answer: 'Lead with search: most buyers research bottles online first.' }),
+            lil_Brand_Manager: () => ({ answer: 'Lead with brand story: sustainability is why people switch.' })
+        },
+        judge: {
+            lil_Boss_CEO: text => {
+                assert.match(text, /position: Lead with brand story/);
+                return { answer: 'Lead with the sustainability story and make it findable through search.', rationale: 'Both channels matter; the story drives conversion.' };
+            }
+        }
+    });
+    const debaters = createTeam(debateProvider).slice(0, 2);
+    const judge = new CEOAgent({ provider: debateProvider });
+    const debate = await engine.run(launch, { agents: debaters, protocol: 'debate', judge });
+
+    assert.equal(debate.success, true);
+    assert.equal(debate.judge, 'lil_Boss_CEO');
+    assert.equal(debate.converged, true);
+    assert.equal(debate.rounds, 2);
+    assert.equal(debate.final_answer, 'Lead with the sustainability story and make it findable through search.');
+    assert.match(debate.rationale, /story drives conversion/);
+    assert.equal(debate.transcript.at(-1).step, 'judgment');
+    assert.match(debateProvider.calls[2].messages[0].content, /other_positions:\n\s+- agent: lil_Brand_Manager/);
+    console.log('✅ Judge merged the settled positions');
+
+    // Step 5: Invalid setups and failed turns are reported
+    console.log('📋 Step 5: Rejecting invalid collaborations...');
+    await assert.rejects(engine.run(launch, { agents: debaters, protocol: 'brainstorm' }), /Unknown collaboration protocol/);
+    await assert.rejects(engine.run(launch, { agents: debaters.slice(0, 1) }), /at least two agents/);
+    await assert.rejects(engine.run(launch, { agents: debaters, protocol: 'debate' }), /needs a judge/);
+
+    const brokenProvider = new MockProvider().addRule(() => true, 'not json');
+    const broken = await engine.run(launch, { agents: createTeam(brokenProvider).slice(0, 2) });
+    assert.equal(broken.success, false);
+    assert.match(broken.error, /lil_SEO_Specialist failed during draft in round 1/);
+    console.log('✅ Errors reported');
+
+    // Step 6: The CEO picks the departments a task spans and tracks the collaboration
+    console.log('📋 Step 6: CEO cross-department collaboration...');
+    const ceoAgent = new CEOAgent({ provider: roundRobinProvider });
+    createTeam(roundRobinProvider).forEach(agent => ceoAgent.registerTeamAgent(agent));
+
+    const collaboration = await ceoAgent.collaborate('Align SEO keywords with our brand identity', { protocol: 'round_robin' });
+    assert.equal(collaboration.success, true);
+    assert.deepEqual(collaboration.participants, ['lil_SEO_Specialist', 'lil_Brand_Manager']);
+
+    const status = ceoAgent.getTaskStatus(collaboration.taskId);
+    assert.equal(status.type, 'collaboration');
+    assert.equal(status.result.result, collaboration.final_answer);
+    assert.equal(status.assignedAgent, 'lil_SEO_Specialist, lil_Brand_Manager');
+
+    const unknown = await ceoAgent.collaborate(launch, { agents: ['lil_SEO_Specialist', 'lil_Nobody'] });
+    assert.equal(unknown.success, false);
+    assert.match(unknown.error, /Unknown team agents: lil_Nobody/);
+
+    const slowProvider = new MockProvider().addRule(() => true, (request, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    }));
+    const brokenEscalation = {
+        shouldEscalate: () => true,
+        escalate: async () => {
+            throw new Error('Notifier unavailable');
+        }
+    };
+    const strictCeo = new CEOAgent({ provider: slowProvider, taskTimeouts: { high: 20 }, escalation: brokenEscalation });
+    createTeam(slowProvider).forEach(agent => strictCeo.registerTeamAgent(agent));
+    await assert.rejects(strictCeo.collaborate('Align SEO keywords with our brand identity', { priority: 'high' }), /Notifier unavailable/);
+    assert.equal(strictCeo.taskCancellations.size, 0, 'the task is settled even when recording it throws');
+    console.log(`✅ Collaboration ${collaboration.taskId} tracked with ${collaboration.transcript.length} turns`);
+
+    console.log('');
+    console.log('🎉 Collaboration test passed');
+}
+
+testCollaboration().catch(error => {
+    console.error('❌ Collaboration test failed:', error);
+    process.exit(1);
+});
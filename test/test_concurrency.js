@@ -0,0 +1,140 @@
+/**
+ * AI Agents Team Management System - Concurrency Test
+ *
+ * Checks per-agent task capacity offline: the status follows the number
+ * of running tasks, tasks beyond the limit wait for a slot in order, a
+ * waiting task can be cancelled, and the CEO routes work to the best
+ * matching agent, preferring free capacity among equal matches, and skips
+ * offline ones.
+ */
+
+import assert from 'assert/strict';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+
+/**
+ * Provider whose answers are held until release(label) is called for the label in the prompt
+ */
+function heldProvider() {
+    const pending = new Map();
+    const provider = new MockProvider().addRule(() => true, request => {
+        const label = request.messages.at(-1).content.match(/\[(\w+)\]/)[1];
+        return new Promise(resolve => pending.set(label, resolve));
+    });
+    const release = async label => {
+        await waitFor(() => pending.has(label));
+        pending.get(label)(`Answer for ${label}`);
+        pending.delete(label);
+    };
+    return { provider, release, started: label => pending.has(label) };
+}
+
+function waitFor(condition) {
+    return new Promise(resolve => {
+        const check = () => (condition() ? resolve() : setTimeout(check, 5));
+        check();
+    });
+}
+
+async function testConcurrency() {
+    console.log('🤖 AI Agents Team Management System - Concurrency Test');
+    console.log('='.repeat(60));
+
+    // Step 1: Status follows the running tasks instead of the last task to finish
+    console.log('📋 Step 1: Status derived from load...');
+    const held = heldProvider();
+    const agent = new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Trends'], { provider: held.provider, maxConcurrentTasks: 2 });
+    assert.equal(agent.status, 'idle');
+
+    const first = agent.processTask('task-1', 'Analyze [first]');
+    assert.equal(agent.status, 'partially_loaded');
+    const second = agent.processTask('task-2', 'Analyze [second]');
+    assert.equal(agent.status, 'saturated');
+    assert.equal(agent.hasCapacity(), false);
+
+    await held.release('first');
+    assert.equal((await first).success, true);
+    assert.equal(agent.status, 'partially_loaded', 'another task is still running');
+    await held.release('second');
+    await second;
+    assert.equal(agent.status, 'idle');
+    console.log('✅ idle → partially_loaded → saturated → partially_loaded → idle');
+
+    // Step 2: Tasks beyond the limit wait for a slot, in arrival order
+    console.log('📋 Step 2: Waiting for a free slot...');
+    const running = ['a', 'b', 'c', 'd'].map(label => agent.processTask(`task-${label}`, `Analyze [${label}]`));
+    await waitFor(() => held.started('a') && held.started('b'));
+    assert.equal(agent.currentTasks.get('task-c').status, 'queued');
+    assert.deepEqual(agent.getStatus().running_tasks, 2);
+    assert.deepEqual(agent.getStatus().waiting_tasks, 2);
+    assert.equal(agent.getLoad(), 2);
+    assert.equal(held.started('c'), false);
+
+    await held.release('a');
+    await waitFor(() => held.started('c'));
+    assert.equal(held.started('d'), false, 'd waits until another slot frees up');
+    assert.equal(agent.runningTasks.size, 2);
+
+    // Step 3: A waiting task can be cancelled without taking a slot
+    console.log('📋 Step 3: Cancelling a waiting task...');
+    agent.cancelTask('task-d');
+    const cancelled = await running[3];
+    assert.equal(cancelled.cancelled, true);
+    assert.equal(agent.waitingTasks.length, 0);
+
+    await held.release('b');
+    await held.release('c');
+    const results = await Promise.all(running.slice(0, 3));
+    assert.ok(results.every(result => result.success));
+    assert.equal(agent.status, 'idle');
+    console.log('✅ Waiting tasks started in order; the cancelled one never ran');
+
+    // Step 4: The CEO waits for a busy specialist and uses free capacity among equal matches
+    console.log('📋 Step 4: Capacity-aware routing...');
+    const team = heldProvider();
+    const ceoAgent = new CEOAgent({ provider: team.provider });
+    const analyst = new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Trends'], { provider: team.provider, maxConcurrentTasks: 1 });
+    const brandManager = new Agent('lil_Brand_Manager', 'Brand_Manager', ['Brand Voice'], { provider: team.provider, maxConcurrentTasks: 1 });
+    ceoAgent.registerTeamAgent(analyst);
+    ceoAgent.registerTeamAgent(brandManager);
+    const healthIdle = ceoAgent.calculateSystemHealth();
+
+    const marketTask = ceoAgent.assignTask('Analyze market trends [market]');
+    assert.equal(analyst.status, 'saturated');
+    const queuedTask = ceoAgent.assignTask('Analyze market share [queued]');
+    assert.equal(analyst.waitingTasks.length, 1, 'a task for the saturated specialist waits for it');
+    assert.equal(brandManager.runningTasks.size, 0, 'the idle agent that does not fit gets nothing');
+
+    const overflowTask = ceoAgent.assignTask('Write the weekly summary [overflow]');
+    assert.equal(brandManager.runningTasks.size, 1, 'an equal match with a free slot wins over the saturated analyst');
+    assert.equal(ceoAgent.calculateSystemHealth(), healthIdle - 50, 'no free slots left');
+
+    await team.release('market');
+    await team.release('queued');
+    await team.release('overflow');
+    const assigned = await Promise.all([marketTask, queuedTask, overflowTask]);
+    assert.deepEqual(assigned.map(result => result.assignedAgent), ['lil_Market_Analyst', 'lil_Market_Analyst', 'lil_Brand_Manager']);
+    assert.equal(ceoAgent.calculateSystemHealth(), healthIdle + 50, 'all slots free and every task succeeded');
+    console.log(`✅ Routed to ${assigned.map(result => result.assignedAgent).join(', ')}`);
+
+    // Step 5: Offline agents get no work
+    console.log('📋 Step 5: Offline agents...');
+    analyst.offline = true;
+    assert.equal(analyst.status, 'offline');
+    assert.equal(ceoAgent.selectBestAgent([], 'Analyze market trends'), brandManager);
+
+    brandManager.offline = true;
+    const noAgent = await ceoAgent.assignTask('Analyze market trends [none]');
+    assert.equal(noAgent.success, false);
+    assert.equal(noAgent.error, 'No suitable agent available');
+    console.log('✅ Offline agents skipped');
+
+    console.log('');
+    console.log('🎉 Concurrency test passed');
+}
+
+testConcurrency().catch(error => {
+    console.error('❌ Concurrency test failed:', error);
+    process.exit(1);
+});
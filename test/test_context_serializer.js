@@ -0,0 +1,124 @@
+/**
+ * AI Agents Team Management System - Context Serializer Test
+ *
+ * Checks that task context is rendered readably (nested objects and lists
+ * instead of "[object Object]"), that oversized context is cut largest
+ * field first within the model's budget, and that the prompt says what
+ * was cut. Runs offline.
+ */
+
+import assert from 'assert/strict';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { ContextSerializer, serializeValue } from '../agents/base/ContextSerializer.js';
+
+async function testContextSerializer() {
+    console.log('🤖 AI Agents Team Management System - Context Serializer Test');
+    console.log('='.repeat(60));
+
+    // Step 1: Nested values render as indented lines
+    console.log('📋 Step 1: Rendering nested context...');
+    const serializer = new ContextSerializer({ budgets: { 'small-model': 60 } });
+    const businessInfo = {
+        name: 'Green Bottle Co',
+        address: { city: 'Portland', state: 'OR' },
+        services: ['refills', 'bottle repair'],
+        locations: [{ city: 'Portland', staff: 4 }, { city: 'Salem', staff: 2 }]
+    };
+    const readable = serializer.serialize({ priority: 'high', business_info: businessInfo, notes: null });
+
+    assert.equal(readable.text, [
+        '- priority: high',
+        '- business_info:',
+        '    name: Green Bottle Co',
+        '    address:',
+        '      city: Portland',
+        '      state: OR',
+        '    services: refills, bottle repair',
+        '    locations:',
+        '      - city: Portland',
+        '        staff: 4',
+        '      - city: Salem',
+        '        staff: 2',
+        '- notes: none'
+    ].join('\n'));
+    assert.deepEqual(readable.cuts, []);
+    assert.equal(readable.note, '');
+    assert.deepEqual(serializeValue(['a', 'b']), ['a, b']);
+    console.log('✅ Objects and lists rendered readably');
+
+    // Step 2: Over budget, the largest field is cut first
+    console.log('📋 Step 2: Cutting context to the model budget...');
+    const context = {
+        priority: 'high',
+        history: Array.from({ length: 40 }, (_, index) => `Turn ${index + 1}: discussed bottle pricing`),
+        business_info: { name: 'Green Bottle Co', city: 'Portland' }
+    };
+    const cut = serializer.serialize(context, { model: 'small-model' });
+
+    assert.equal(cut.budget, 60);
+    assert.ok(cut.tokens <= 60, `context uses ${cut.tokens} tokens`);
+    assert.deepEqual(cut.cuts.map(({ key, action }) => ({ key, action })), [{ key: 'history', action: 'truncated' }]);
+    assert.match(cut.text, /- priority: high/);
+    assert.match(cut.text, /name: Green Bottle Co/);
+    assert.match(cut.text, /Turn 1: discussed bottle pricing/);
+    assert.doesNotMatch(cut.text, /Turn 40/);
+    assert.match(cut.text, /… \[truncated\]/);
+    assert.match(cut.note, /^history truncated \(\d+ → \d+ tokens\)$/);
+
+    const tiny = serializer.serialize(context, { maxTokens: 20 });
+    assert.equal(tiny.cuts.find(({ key }) => key === 'history').action, 'omitted');
+    assert.doesNotMatch(tiny.text, /history/);
+    console.log(`✅ ${cut.note}`);
+
+    // Step 3: The user prompt carries the serialized context and the note
+    console.log('📋 Step 3: Building prompts with budgeted context...');
+    const provider = new MockProvider().addRule(() => true, 'Done.');
+    const agent = new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], {
+        provider,
+        contextTokenBudgets: { 'claude-3-5-sonnet-20241022': 60 }
+    });
+
+    const result = await agent.processTask('ctx-1', 'Plan local SEO', context);
+    const userPrompt = provider.calls[0].messages[0].content;
+    assert.doesNotMatch(userPrompt, /\[object Object\]/);
+    assert.match(userPrompt, /- business_info:\n {4}name: Green Bottle Co/);
+    assert.match(userPrompt, /Note: some context was cut to fit the prompt budget: history truncated/);
+    assert.equal(result.context_cuts[0].key, 'history');
+    assert.equal(result.prompts.user.version, '1.1.0');
+
+    await agent.processTask('ctx-2', 'Plan local SEO', { priority: 'low' });
+    assert.doesNotMatch(provider.calls[1].messages[0].content, /Note:/);
+    assert.equal(agent.currentTasks.get('ctx-2').contextCuts, undefined);
+    console.log('✅ Prompt lists what was cut, and only when something was');
+
+    // Step 4: Aggregation payloads are budgeted too
+    console.log('📋 Step 4: Aggregating long results...');
+    const aggregationProvider = new MockProvider()
+        .addRule('Aggregate and synthesize', 'Combined summary.')
+        .addRule(() => true, 'Long finding. '.repeat(400));
+    const ceoAgent = new CEOAgent({
+        provider: aggregationProvider,
+        contextSerializer: new ContextSerializer({ budgets: { default: 300 } })
+    });
+    ceoAgent.registerTeamAgent(new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider: aggregationProvider }));
+    const first = await ceoAgent.assignTask('Find SEO keywords', 'medium');
+    const second = await ceoAgent.assignTask('Audit SEO for the site', 'medium');
+
+    const aggregation = await ceoAgent.aggregateResults([first.taskId, second.taskId]);
+    const aggregationPrompt = aggregationProvider.calls.at(-1).messages[0].content;
+    assert.equal(aggregation.success, true);
+    assert.equal(aggregation.context_cuts[0].key, 'results');
+    assert.match(aggregationPrompt, /- results:\n {4}- agent: lil_SEO_Specialist/);
+    assert.match(aggregationPrompt, /Note: some results were cut to fit the prompt budget: results truncated/);
+    console.log('✅ Aggregation prompt stayed within budget');
+
+    console.log('');
+    console.log('🎉 Context serializer test passed');
+}
+
+testContextSerializer().catch(error => {
+    console.error('❌ Context serializer test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,92 @@
+/**
+ * AI Agents Team Management System - Conversation Memory Test
+ *
+ * Checks follow-up turns on a task: prior turns are replayed, older turns
+ * are summarized once the token budget is exceeded, and the CEO routes
+ * follow-ups to the agent that handled the task. Runs offline.
+ */
+
+import assert from 'assert/strict';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+
+async function testConversationMemory() {
+    console.log('🤖 AI Agents Team Management System - Conversation Memory Test');
+    console.log('='.repeat(60));
+
+    // Step 1: Follow-up replays the earlier exchange
+    console.log('📋 Step 1: Continuing a task...');
+    const provider = new MockProvider()
+        .addRule('make it shorter', 'Eco bottles, zero waste.')
+        .addRule(/^Task:/m, 'Eco-friendly bottles that keep drinks cold for 24 hours and produce zero waste.');
+    const writer = new Agent('lil_Content_Writer', 'Content_Writer', ['Copywriting'], { provider });
+
+    await writer.processTask('tagline-1', 'Write a tagline for our water bottles');
+    const followUp = await writer.continueTask('tagline-1', 'make it shorter');
+
+    assert.equal(followUp.success, true);
+    assert.equal(followUp.result, 'Eco bottles, zero waste.');
+    assert.deepEqual(provider.calls[1].messages.map(message => message.role), ['user', 'assistant', 'user']);
+    assert.match(provider.calls[1].messages[1].content, /24 hours/);
+    assert.equal(followUp.conversation.turns, 2);
+    assert.equal(writer.currentTasks.get('tagline-1').result, 'Eco bottles, zero waste.');
+    assert.equal(writer.currentTasks.get('tagline-1').usage.calls, 2);
+    console.log('✅ Second turn saw the first exchange');
+
+    const missing = await writer.continueTask('no-such-task', 'hello?');
+    assert.equal(missing.success, false);
+    assert.match(missing.error, /No conversation thread/);
+    console.log('✅ Unknown task rejected');
+
+    // Step 2: Older turns are summarized once the budget is exceeded
+    console.log('📋 Step 2: Summarizing turns beyond the token budget...');
+    const longAnswer = 'Germany market notes. '.repeat(40);
+    const budgetProvider = new MockProvider()
+        .addRule('Summarize the earlier part', 'Summary: launch plan drafted for the US, then adapted to Germany.')
+        .addRule(() => true, longAnswer);
+    const analyst = new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Research'], {
+        provider: budgetProvider,
+        memoryTokenBudget: 600
+    });
+
+    await analyst.processTask('launch-1', 'Draft a launch plan for the US');
+    await analyst.continueTask('launch-1', 'now do it for Germany');
+    await analyst.continueTask('launch-1', 'add a budget');
+    const compacted = await analyst.continueTask('launch-1', 'add a timeline');
+
+    const summaryCalls = budgetProvider.calls.filter(call => /Summarize the earlier part/.test(call.messages[0].content));
+    assert.equal(summaryCalls.length, 1);
+    assert.match(summaryCalls[0].messages[0].content, /Original task: Draft a launch plan for the US/);
+
+    const lastCall = budgetProvider.calls.at(-1);
+    assert.match(lastCall.messages[0].content, /^Summary of the earlier conversation:\nSummary: launch plan drafted/);
+    assert.equal(lastCall.messages.at(-1).content, 'add a timeline');
+    assert.equal(compacted.conversation.turns, 4);
+    assert.ok(compacted.conversation.summarized_turns > 0);
+    console.log(`✅ ${compacted.conversation.summarized_turns} turns summarized, ${lastCall.messages.length} messages sent`);
+
+    // Step 3: CEO routes follow-ups to the assigned agent
+    console.log('📋 Step 3: Continuing through the CEO...');
+    const ceoAgent = new CEOAgent({ provider });
+    ceoAgent.registerTeamAgent(writer);
+
+    const assigned = await ceoAgent.assignTask('Write a tagline for our water bottles', 'medium');
+    const continued = await ceoAgent.continueTask(assigned.taskId, 'make it shorter');
+    assert.equal(continued.success, true);
+    assert.equal(continued.assignedAgent, 'lil_Content_Writer');
+    assert.equal(ceoAgent.getTaskStatus(assigned.taskId).result.result, 'Eco bottles, zero waste.');
+    assert.equal(ceoAgent.getTaskStatus(assigned.taskId).usage.calls, 2);
+
+    const notFound = await ceoAgent.continueTask('task-unknown', 'hello?');
+    assert.equal(notFound.found, false);
+    console.log('✅ Follow-up handled by lil_Content_Writer and recorded on the CEO task');
+
+    console.log('');
+    console.log('🎉 Conversation memory test passed');
+}
+
+testConversationMemory().catch(error => {
+    console.error('❌ Conversation memory test failed:', error);
+    process.exit(1);
+});
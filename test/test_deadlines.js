@@ -0,0 +1,149 @@
+/**
+ * AI Agents Team Management System - Deadlines and Timeouts Test
+ *
+ * Checks timeouts offline: a hung model call fails instead of keeping
+ * the agent busy, tasks that run past their priority's timeout or their
+ * deadline are stopped as timed_out, and high-priority timeouts are
+ * escalated to the log, a webhook and Telegram.
+ */
+
+import assert from 'assert/strict';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { EscalationNotifier } from '../agents/base/EscalationNotifier.js';
+
+/**
+ * Reply that never arrives unless the call is aborted
+ */
+function hangingReply(request, { signal }) {
+    return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+}
+
+/**
+ * fetch stand-in recording every request and answering with the given status
+ */
+function recordingFetch(status = 200) {
+    const requests = [];
+    const fetch = async (url, init) => {
+        requests.push({ url, body: JSON.parse(init.body) });
+        return { ok: status < 400, status };
+    };
+    return { fetch, requests };
+}
+
+async function testDeadlines() {
+    console.log('🤖 AI Agents Team Management System - Deadlines and Timeouts Test');
+    console.log('='.repeat(60));
+
+    // Step 1: A hung model call fails after the call timeout and frees the agent
+    console.log('📋 Step 1: Model call timeout...');
+    const hungProvider = new MockProvider().addRule(() => true, hangingReply);
+    const agent = new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Trends'], { provider: hungProvider, callTimeoutMs: 50 });
+
+    const hung = await agent.processTask('task-hung', 'Analyze the market');
+    assert.equal(hung.success, false);
+    assert.equal(hung.error, 'Model call timed out after 0.05s');
+    assert.equal(agent.currentTasks.get('task-hung').status, 'failed');
+    assert.equal(agent.status, 'idle');
+    console.log('✅ Hung call failed after 50ms');
+
+    // Step 2: A caller's timeout signal settles the task as timed_out
+    console.log('📋 Step 2: Task timeout signal...');
+    const patientAgent = new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Trends'], { provider: hungProvider });
+    const deadline = new AbortController();
+    setTimeout(() => deadline.abort(new DOMException('Task took longer than 50ms', 'TimeoutError')), 50);
+    const timedOut = await patientAgent.processTask('task-timeout', 'Analyze the market', {}, { signal: deadline.signal });
+    assert.equal(timedOut.timed_out, true);
+    assert.equal(patientAgent.currentTasks.get('task-timeout').status, 'timed_out');
+    console.log(`✅ Task timed out: ${timedOut.error}`);
+
+    // Step 3: The CEO enforces per-priority timeouts and escalates high-priority tasks
+    console.log('📋 Step 3: Per-priority timeouts with escalation...');
+    const { fetch, requests } = recordingFetch();
+    const escalation = new EscalationNotifier({
+        priorities: ['high'],
+        webhookUrl: 'https://hooks.example/escalations',
+        telegramToken: 'bot-token',
+        telegramChatId: '42',
+        fetch
+    });
+    const teamProvider = new MockProvider().addRule('competitor pricing', hangingReply);
+    const ceoAgent = new CEOAgent({ provider: teamProvider, taskTimeouts: { high: 50, low: 50 }, escalation });
+    ceoAgent.registerTeamAgent(new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Trends'], { provider: teamProvider }));
+
+    const urgent = await ceoAgent.assignTask('Analyze competitor pricing in the market', 'high');
+    assert.equal(urgent.success, false);
+    assert.equal(urgent.timed_out, true);
+    assert.match(urgent.error, /exceeded the high priority timeout/);
+
+    const status = ceoAgent.getTaskStatus(urgent.taskId);
+    assert.equal(status.status, 'timed_out');
+    assert.ok(status.deadline instanceof Date);
+    assert.ok(status.timedOutAt);
+    assert.deepEqual(status.escalation.deliveries.map(delivery => [delivery.channel, delivery.delivered]), [
+        ['log', true],
+        ['webhook', true],
+        ['telegram', true]
+    ]);
+    assert.equal(requests[0].url, 'https://hooks.example/escalations');
+    assert.equal(requests[0].body.event, 'task_deadline_missed');
+    assert.equal(requests[0].body.task_id, urgent.taskId);
+    assert.equal(requests[1].url, 'https://api.telegram.org/botbot-token/sendMessage');
+    assert.equal(requests[1].body.chat_id, '42');
+    assert.match(requests[1].body.text, /HIGH priority task missed its deadline/);
+    assert.equal(ceoAgent.teamAgents.get('lil_Market_Analyst').status, 'idle');
+    console.log(`✅ Task ${urgent.taskId} timed out and was escalated to ${status.escalation.deliveries.length} channels`);
+
+    // Step 4: Lower priorities time out without escalation, and timeouts count as failures
+    console.log('📋 Step 4: Low-priority timeout...');
+    const relaxed = await ceoAgent.assignTask('Analyze competitor pricing in the market', 'low');
+    assert.equal(relaxed.timed_out, true);
+    assert.equal(ceoAgent.getTaskStatus(relaxed.taskId).escalation, undefined);
+    assert.equal(requests.length, 2, 'no escalation for low priority');
+
+    const done = await ceoAgent.assignTask('Analyze market trends for bottles', 'medium');
+    assert.equal(done.success, true);
+    assert.equal(Math.round(ceoAgent.performanceMetrics.successRate), 33);
+    console.log(`✅ No escalation; success rate ${ceoAgent.performanceMetrics.successRate.toFixed(1)}%`);
+
+    // Step 5: The deadline wins when it comes before the priority's timeout
+    console.log('📋 Step 5: Deadline before timeout...');
+    const timeoutLimit = ceoAgent.getTimeLimit('medium', ceoAgent.calculateDeadline('medium'));
+    assert.equal(timeoutLimit.ms, ceoAgent.taskTimeouts.medium);
+    assert.match(timeoutLimit.reason, /medium priority timeout/);
+
+    // A timeout configured past the priority's deadline (2 hours for high) is cut short by the deadline
+    const lenientCeo = new CEOAgent({ provider: new MockProvider(), taskTimeouts: { high: 3 * 60 * 60 * 1000 } });
+    const deadlineLimit = lenientCeo.getTimeLimit('high', lenientCeo.calculateDeadline('high'));
+    assert.ok(deadlineLimit.ms <= 2 * 60 * 60 * 1000);
+    assert.match(deadlineLimit.reason, /missed its deadline/);
+
+    // A task still running at its deadline is stopped even though its timeout is further away
+    const slowProvider = new MockProvider().addRule(() => true, hangingReply);
+    const expiring = new CEOAgent({ provider: slowProvider, taskTimeouts: { high: 3 * 60 * 60 * 1000 } });
+    expiring.calculateDeadline = () => new Date(Date.now() + 30);
+    expiring.registerTeamAgent(new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Trends'], { provider: slowProvider }));
+    const missed = await expiring.assignTask('Analyze market trends', 'high');
+    assert.equal(missed.timed_out, true);
+    assert.match(missed.error, /missed its deadline/);
+    console.log('✅ Time limit follows the earlier of deadline and timeout');
+
+    // Step 6: Failed deliveries are reported instead of thrown
+    console.log('📋 Step 6: Failed escalation delivery...');
+    const failing = new EscalationNotifier({ webhookUrl: 'https://hooks.example/down', fetch: recordingFetch(503).fetch });
+    const report = await failing.escalate({ id: 'task-1', description: 'Launch plan', priority: 'high' }, 'Task missed its deadline');
+    assert.deepEqual(report.deliveries[1], { channel: 'webhook', delivered: false, error: 'HTTP 503' });
+    assert.deepEqual(failing.getStatus(), { priorities: ['high'], channels: ['log', 'webhook'] });
+    console.log('✅ Webhook failure reported in the escalation result');
+
+    console.log('');
+    console.log('🎉 Deadlines and timeouts test passed');
+}
+
+testDeadlines().catch(error => {
+    console.error('❌ Deadlines and timeouts test failed:', error);
+    process.exit(1);
+});
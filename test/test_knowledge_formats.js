@@ -0,0 +1,121 @@
+/**
+ * AI Agents Team Management System - Knowledge Formats Test
+ *
+ * Checks that Markdown, YAML and plain-text knowledge files are parsed
+ * with their front matter into the common document model and can be
+ * retrieved alongside JSON files. Runs offline on a temp dir.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Agent } from '../agents/base/Agent.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { KnowledgeBase } from '../agents/base/KnowledgeBase.js';
+import { parseKnowledgeFile } from '../agents/base/KnowledgeDocuments.js';
+
+const playbook = `---
+owner: brand-team@example.com
+tags: [voice, social]
+expires: 2099-01-01
+---
+# Brand Playbook
+
+Applies to every public channel.
+
+## Voice
+Warm, direct and jargon-free.
+
+### Social media
+Reply within two hours. Never argue in public threads.
+
+\`\`\`
+# not a heading inside a code block
+\`\`\`
+`;
+
+async function testKnowledgeFormats() {
+    console.log('🤖 AI Agents Team Management System - Knowledge Formats Test');
+    console.log('='.repeat(60));
+
+    // Step 1: Markdown with front matter
+    console.log('📋 Step 1: Parsing Markdown...');
+    const markdown = parseKnowledgeFile('shared/playbook.md', playbook);
+    assert.equal(markdown.format, 'markdown');
+    assert.deepEqual(markdown.metadata, {
+        owner: 'brand-team@example.com',
+        tags: ['voice', 'social'],
+        expires: '2099-01-01T00:00:00.000Z',
+        title: 'Brand Playbook'
+    });
+    assert.deepEqual(markdown.sections.map(section => section.path), [
+        'Brand Playbook',
+        'Brand Playbook › Voice',
+        'Brand Playbook › Voice › Social media'
+    ]);
+    assert.match(markdown.sections[2].text, /# not a heading/);
+    console.log(`✅ ${markdown.sections.length} sections keyed by heading path`);
+
+    // Step 2: YAML and plain text
+    console.log('📋 Step 2: Parsing YAML and text...');
+    const yaml = parseKnowledgeFile('specialized/SEO_Specialist/checklist.yaml', [
+        'owner: seo-team',
+        'tags: audits, technical',
+        '---',
+        'crawl:',
+        '  robots: Check robots.txt blocks no key pages',
+        '  sitemap: Submit the XML sitemap'
+    ].join('\n'));
+    assert.equal(yaml.format, 'yaml');
+    assert.deepEqual(yaml.metadata.tags, ['audits', 'technical']);
+    assert.equal(yaml.data.crawl.sitemap, 'Submit the XML sitemap');
+    assert.equal(yaml.sections[0].path, 'crawl');
+
+    const text = parseKnowledgeFile('shared/notes.txt', '---\nowner: ops\n---\nOffice closes at 6pm on Fridays.\n');
+    assert.deepEqual(text.sections, [{ path: '', text: 'Office closes at 6pm on Fridays.' }]);
+    assert.equal(text.metadata.owner, 'ops');
+
+    assert.throws(() => parseKnowledgeFile('shared/bad.md', '---\nexpires: someday\n---\nText'), /Invalid expires date/);
+    console.log('✅ YAML front matter document and text front matter normalized');
+
+    // Step 3: Mixed formats in one knowledge base
+    console.log('📋 Step 3: Retrieving across formats...');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-formats-'));
+    try {
+        fs.mkdirSync(path.join(dir, 'shared'));
+        fs.mkdirSync(path.join(dir, 'specialized/Brand_Manager'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'shared/company_info.json'), JSON.stringify({ company_name: 'Acme' }));
+        fs.writeFileSync(path.join(dir, 'specialized/Brand_Manager/playbook.md'), playbook);
+        fs.writeFileSync(path.join(dir, 'specialized/Brand_Manager/launch_2020.md'),
+            '---\nexpires: 2021-01-01\n---\n# Launch\nSocial media replies within ten minutes during launch week.\n');
+        fs.writeFileSync(path.join(dir, 'shared/ignored.csv'), 'a,b\n1,2\n');
+
+        const knowledgeBase = new KnowledgeBase({ dir });
+        const brandAgent = new Agent('lil_Brand_Manager', 'Brand_Manager', [], {
+            provider: new MockProvider(),
+            knowledgeBase
+        });
+        await brandAgent.loadSpecializedKnowledge();
+
+        const status = knowledgeBase.getStatus();
+        assert.equal(status.files, 3);
+        assert.deepEqual(status.expired, ['specialized/Brand_Manager/launch_2020.md']);
+        assert.equal(brandAgent.specializedKnowledge.playbook.startsWith('# Brand Playbook'), true);
+
+        const results = brandAgent.retrieveKnowledge('How fast should we reply on social media?');
+        assert.equal(results[0].citation, 'specialized/Brand_Manager/playbook.md › Brand Playbook › Voice › Social media');
+        assert.ok(results.every(result => !result.source.includes('launch_2020')), 'expired document retrieved');
+        console.log(`✅ Top hit: ${results[0].citation}; expired document skipped`);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('');
+    console.log('🎉 Knowledge formats test passed');
+}
+
+testKnowledgeFormats().catch(error => {
+    console.error('❌ Knowledge formats test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,111 @@
+/**
+ * AI Agents Team Management System - Knowledge Base Hot Reload Test
+ *
+ * Checks that agents share one knowledge base, that edited files are
+ * picked up without a restart, and that a malformed file keeps its last
+ * good version and is reported in the status, and that role folders added
+ * while running are watched as well. Runs offline on a temp dir.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { Agent } from '../agents/base/Agent.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { KnowledgeBase } from '../agents/base/KnowledgeBase.js';
+
+function withTimeout(promise, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out waiting for ${label}`)), 5000);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function testKnowledgeReload() {
+    console.log('🤖 AI Agents Team Management System - Knowledge Reload Test');
+    console.log('='.repeat(60));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-'));
+    const seoFile = path.join(dir, 'specialized/SEO_Specialist/seo_guidelines.json');
+    fs.mkdirSync(path.join(dir, 'shared'), { recursive: true });
+    fs.mkdirSync(path.dirname(seoFile), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'shared/company_info.json'), JSON.stringify({ company_name: 'Acme' }));
+    fs.writeFileSync(seoFile, JSON.stringify({ title_tags: { length: 'Keep titles under 60 characters' } }));
+
+    const knowledgeBase = new KnowledgeBase({ dir, debounceMs: 20 });
+
+    try {
+        // Step 1: Agents share one instance
+        console.log('📋 Step 1: Loading one knowledge base for two agents...');
+        const provider = new MockProvider();
+        const seoAgent = new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider, knowledgeBase });
+        const brandAgent = new Agent('lil_Brand_Manager', 'Brand_Manager', [], { provider, knowledgeBase });
+        await seoAgent.loadSharedKnowledge();
+        await brandAgent.loadSharedKnowledge();
+
+        assert.equal(knowledgeBase.getStatus().files, 2);
+        assert.equal(seoAgent.sharedKnowledge, brandAgent.sharedKnowledge);
+        assert.deepEqual(brandAgent.specializedKnowledge, {});
+        assert.match(seoAgent.retrieveKnowledge('title length')[0].text, /60 characters/);
+        console.log('✅ Both agents read the same parsed files');
+
+        // Step 2: Edits are reloaded while running
+        console.log('📋 Step 2: Reloading an edited file...');
+        knowledgeBase.watch();
+        const reloaded = once(knowledgeBase, 'reload');
+        fs.writeFileSync(seoFile, JSON.stringify({ title_tags: { length: 'Keep titles under 55 characters' } }));
+        await withTimeout(reloaded, 'reload');
+
+        assert.match(seoAgent.retrieveKnowledge('title length')[0].text, /55 characters/);
+        console.log('✅ Agent sees the new content without a restart');
+
+        // Step 3: Malformed file keeps the last good version
+        console.log('📋 Step 3: Rejecting a malformed file...');
+        const failed = once(knowledgeBase, 'reload_failed');
+        fs.writeFileSync(seoFile, '{ "title_tags": ');
+        await withTimeout(failed, 'reload_failed');
+
+        const [error] = knowledgeBase.getStatus().errors;
+        assert.equal(error.file, 'specialized/SEO_Specialist/seo_guidelines.json');
+        assert.match(seoAgent.retrieveKnowledge('title length')[0].text, /55 characters/);
+        console.log(`✅ Last good version kept, error reported: ${error.error}`);
+
+        // Step 4: Fixing the file clears the error
+        console.log('📋 Step 4: Recovering after the fix...');
+        const recovered = once(knowledgeBase, 'reload');
+        fs.writeFileSync(seoFile, JSON.stringify({ title_tags: { length: 'Keep titles under 50 characters' } }));
+        await withTimeout(recovered, 'reload');
+
+        assert.deepEqual(knowledgeBase.getStatus().errors, []);
+        assert.match(seoAgent.retrieveKnowledge('title length')[0].text, /50 characters/);
+        console.log('✅ Error cleared after a valid save');
+
+        // Step 5: A role folder created while running is watched too
+        console.log('📋 Step 5: Picking up a new role folder...');
+        const added = once(knowledgeBase, 'reload');
+        fs.mkdirSync(path.join(dir, 'specialized/Brand_Manager'));
+        fs.writeFileSync(path.join(dir, 'specialized/Brand_Manager/voice.json'), JSON.stringify({ tone: 'Warm and direct' }));
+        await withTimeout(added, 'reload of the new folder');
+        assert.deepEqual(brandAgent.specializedKnowledge, { voice: { tone: 'Warm and direct' } });
+
+        const edited = once(knowledgeBase, 'reload');
+        fs.writeFileSync(path.join(dir, 'specialized/Brand_Manager/voice.json'), JSON.stringify({ tone: 'Playful' }));
+        await withTimeout(edited, 'reload in the new folder');
+        assert.deepEqual(brandAgent.specializedKnowledge, { voice: { tone: 'Playful' } });
+        console.log('✅ Files in the new folder are loaded and reloaded');
+    } finally {
+        knowledgeBase.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('');
+    console.log('🎉 Knowledge reload test passed');
+}
+
+testKnowledgeReload().catch(error => {
+    console.error('❌ Knowledge reload test failed:', error);
+    process.exit(1);
+});
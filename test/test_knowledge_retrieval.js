@@ -0,0 +1,65 @@
+/**
+ * AI Agents Team Management System - Knowledge Retrieval Test
+ *
+ * Checks that knowledge base files are chunked by key path, ranked with
+ * BM25 against the task description, and injected into the prompt with
+ * citations. Runs offline against the bundled knowledge_base files.
+ */
+
+import assert from 'assert/strict';
+import { SEOSpecialistAgent } from '../agents/lil_SEO_Specialist/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { KnowledgeIndex, chunkDocument } from '../agents/base/KnowledgeIndex.js';
+
+async function testKnowledgeRetrieval() {
+    console.log('🤖 AI Agents Team Management System - Knowledge Retrieval Test');
+    console.log('='.repeat(60));
+
+    // Step 1: Chunking by key path
+    console.log('📋 Step 1: Chunking nested JSON...');
+    const chunks = chunkDocument('shared/company.json', {
+        company_name: 'Acme',
+        values: ['Speed', 'Quality'],
+        offices: [{ city: 'Berlin', staff: 12 }],
+        metrics: { uptime: '99.9%' }
+    });
+    assert.deepEqual(chunks.map(chunk => chunk.path), ['', 'offices[0]', 'metrics']);
+    assert.equal(chunks[0].text, 'company_name: Acme\nvalues: Speed, Quality');
+    console.log(`✅ ${chunks.length} chunks from one document`);
+
+    // Step 2: BM25 ranking
+    console.log('📋 Step 2: Ranking chunks with BM25...');
+    const index = new KnowledgeIndex()
+        .addDocument('a.json', { pricing: { plans: 'Starter and Pro plans, billed monthly' } })
+        .addDocument('b.json', { hiring: { process: 'Two interviews and a take-home task' } })
+        .addDocument('c.json', { support: { hours: 'Support replies within one business day' } });
+    const [top] = index.search('How are the plans billed?');
+    assert.equal(top.citation, 'a.json › pricing');
+    assert.deepEqual(index.search('quantum entanglement'), []);
+    console.log(`✅ Top hit: ${top.citation} (score ${top.score})`);
+
+    // Step 3: Retrieved chunks reach the prompt with citations
+    console.log('📋 Step 3: Injecting knowledge into the task prompt...');
+    const provider = new MockProvider();
+    const seoAgent = new SEOSpecialistAgent({ provider, knowledgeChunkLimit: 2 });
+    await seoAgent.loadSharedKnowledge();
+    await seoAgent.loadSpecializedKnowledge();
+
+    await seoAgent.processTask('kb-1', 'Rewrite our title tags and meta descriptions');
+    const system = provider.calls[0].system;
+    assert.match(system, /\[specialized\/SEO_Specialist\/seo_guidelines\.json › on_page_optimization\]\ntitle_tags: Include primary keyword/);
+    assert.doesNotMatch(system, /Available shared knowledge/);
+
+    const task = seoAgent.currentTasks.get('kb-1');
+    assert.ok(task.knowledge.length > 0 && task.knowledge.length <= 2);
+    assert.equal(task.knowledge[0].citation, 'specialized/SEO_Specialist/seo_guidelines.json › on_page_optimization');
+    console.log(`✅ Prompt cites ${task.knowledge.map(item => item.citation).join(', ')}`);
+
+    console.log('');
+    console.log('🎉 Knowledge retrieval test passed');
+}
+
+testKnowledgeRetrieval().catch(error => {
+    console.error('❌ Knowledge retrieval test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,108 @@
+/**
+ * AI Agents Team Management System - Lessons Store Test
+ *
+ * Checks that well-rated or approved results are distilled into lessons
+ * under the agent's role, that near-duplicates are merged and linked to
+ * every source task, and that lessons reach later prompts. Runs offline
+ * on a temp knowledge base directory.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { KnowledgeBase } from '../agents/base/KnowledgeBase.js';
+
+const distilled = [
+    { title: 'Target long-tail keywords for eco products', lesson: 'Long-tail keywords such as "reusable bamboo toothbrush" convert better than broad eco terms.', tags: ['keywords'] },
+    { title: 'Long-tail keywords for eco products convert', lesson: 'Long-tail keywords like "reusable bamboo toothbrush" convert better than broad eco terms.', tags: ['conversion'] }
+];
+
+async function testLessons() {
+    console.log('🤖 AI Agents Team Management System - Lessons Test');
+    console.log('='.repeat(60));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lessons-'));
+    fs.mkdirSync(path.join(dir, 'shared'));
+    const lessonsFile = path.join(dir, 'specialized/SEO_Specialist/lessons.json');
+
+    try {
+        let distillCalls = 0;
+        const provider = new MockProvider()
+            .addRule('Distill up to three reusable lessons', () => JSON.stringify({ lessons: [distilled[distillCalls++]] }))
+            .addRule(() => true, 'Focus on long-tail keywords like "reusable bamboo toothbrush".');
+
+        const knowledgeBase = new KnowledgeBase({ dir });
+        const ceoAgent = new CEOAgent({ provider, knowledgeBase, learnFromTasks: true });
+        const seoAgent = new Agent('lil_SEO_Specialist', 'SEO_Specialist', ['Keyword Research'], { provider, knowledgeBase });
+        ceoAgent.registerTeamAgent(seoAgent);
+        await ceoAgent.initialize();
+
+        // Step 1: Low ratings are recorded but not learned from
+        console.log('📋 Step 1: Rating below the threshold...');
+        const first = await ceoAgent.assignTask('Find SEO keywords for eco products', 'medium');
+        const lowRating = await ceoAgent.rateTask(first.taskId, 3, { comment: 'ok' });
+        assert.equal(lowRating.success, true);
+        assert.equal(lowRating.lessons, null);
+        assert.equal(fs.existsSync(lessonsFile), false);
+        assert.equal((await ceoAgent.rateTask(first.taskId, 9)).success, false);
+        console.log('✅ Rating 3/5 stored, nothing learned');
+
+        // Step 2: A good rating distills lessons into the role's knowledge
+        console.log('📋 Step 2: Learning from a 5/5 rating...');
+        const goodRating = await ceoAgent.rateTask(first.taskId, 5);
+        assert.deepEqual(goodRating.lessons.added, [distilled[0].title]);
+
+        const stored = JSON.parse(fs.readFileSync(lessonsFile, 'utf-8'));
+        assert.deepEqual(stored[distilled[0].title].source_tasks, [first.taskId]);
+        assert.equal((await ceoAgent.rateTask(first.taskId, 5)).lessons, goodRating.lessons, 'task learned twice');
+        console.log(`✅ Lesson "${distilled[0].title}" linked to ${first.taskId}`);
+
+        // Step 3: Approved near-duplicate is merged, not added
+        console.log('📋 Step 3: Merging a near-duplicate lesson...');
+        const second = await ceoAgent.assignTask('Suggest SEO keywords for eco toothbrushes', 'low');
+        const approval = await ceoAgent.approveTask(second.taskId, { approvedBy: 'editor@example.com' });
+        assert.deepEqual(approval.lessons.merged, [distilled[0].title]);
+        assert.deepEqual(approval.lessons.added, []);
+
+        const merged = JSON.parse(fs.readFileSync(lessonsFile, 'utf-8'));
+        assert.equal(Object.keys(merged).length, 1);
+        assert.deepEqual(merged[distilled[0].title].source_tasks, [first.taskId, second.taskId]);
+        assert.deepEqual(merged[distilled[0].title].tags, ['keywords', 'conversion']);
+        console.log('✅ One lesson, two source tasks');
+
+        // Step 4: Lessons reach later prompts for the role
+        console.log('📋 Step 4: Reusing lessons in later prompts...');
+        await seoAgent.processTask('later-1', 'Which long-tail keywords work for eco products?');
+        assert.match(provider.calls.at(-1).system, /\[specialized\/SEO_Specialist\/lessons\.json › Target long-tail keywords for eco products\]/);
+        console.log('✅ Lesson cited in the next SEO prompt');
+
+        // Step 5: Learning is opt-in
+        console.log('📋 Step 5: Leaving learning off by default...');
+        const optOutDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lessons-off-'));
+        try {
+            const optOutBase = new KnowledgeBase({ dir: optOutDir });
+            const quietCeo = new CEOAgent({ provider, knowledgeBase: optOutBase, learnFromTasks: false });
+            quietCeo.registerTeamAgent(new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider, knowledgeBase: optOutBase }));
+            const task = await quietCeo.assignTask('Find SEO keywords for eco products', 'medium');
+            assert.equal((await quietCeo.rateTask(task.taskId, 5)).lessons, null);
+            assert.equal(fs.existsSync(path.join(optOutDir, 'specialized')), false);
+        } finally {
+            fs.rmSync(optOutDir, { recursive: true, force: true });
+        }
+        console.log('✅ No lessons written without learnFromTasks');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('');
+    console.log('🎉 Lessons test passed');
+}
+
+testLessons().catch(error => {
+    console.error('❌ Lessons test failed:', error);
+    process.exit(1);
+});
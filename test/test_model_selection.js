@@ -0,0 +1,265 @@
+/**
+ * AI Agents Team Management System - Model Selection Test
+ *
+ * Checks per-agent and per-priority model settings offline: a task's
+ * priority picks its model, max_tokens and temperature, a failing model
+ * falls back along the fallback chain and the model actually used is
+ * recorded on the task, errors every model would repeat do not fall
+ * back, the roster's team defaults merge with each agent's settings, and
+ * reports, lessons and thread summaries use the same settings and chain.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { AgentEventBus } from '../agents/base/AgentEvents.js';
+import { loadRoster, createRosterAgents } from '../agents/base/Roster.js';
+import { ReportRepository } from '../agents/base/ReportRepository.js';
+import { estimateCost } from '../agents/base/usage.js';
+
+const PROFILE = {
+    model: 'claude-3-5-sonnet-20241022',
+    max_tokens: 1500,
+    fallback_models: ['claude-3-5-haiku-20241022'],
+    priorities: {
+        high: { model: 'claude-3-opus-20240229', max_tokens: 4000, temperature: 0.2 },
+        low: { model: 'claude-3-haiku-20240307', max_tokens: 800, fallback_models: [] }
+    }
+};
+
+const ROSTER_YAML = `
+defaults:
+  max_tokens: 1200
+  fallback_models: [claude-3-5-haiku-20241022]
+  priorities:
+    low:
+      model: claude-3-haiku-20240307
+agents:
+  - name: lil_Market_Analyst
+    role: Market_Analyst
+    skills: [Market Trends]
+    keywords: [market]
+  - name: lil_Finance_Analyst
+    role: Finance_Analyst
+    skills: [Budgeting]
+    keywords: [budget]
+    model: claude-3-opus-20240229
+    temperature: 0.3
+    priorities:
+      low:
+        max_tokens: 600
+      high:
+        fallback_models: [claude-3-5-sonnet-20241022]
+`;
+
+function modelError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Provider that streams some text and then fails, like a dropped connection
+ */
+class DroppingProvider extends MockProvider {
+    async streamMessage(request, { onText } = {}) {
+        this.calls.push(request);
+        onText('Partial ');
+        throw modelError(529, 'Overloaded');
+    }
+}
+
+async function testModelSelection() {
+    console.log('🤖 AI Agents Team Management System - Model Selection Test');
+    console.log('='.repeat(60));
+
+    // Step 1: The task priority picks the model settings
+    console.log('📋 Step 1: Per-priority model settings...');
+    const provider = new MockProvider();
+    const agent = new Agent('lil_Market_Analyst', 'Market_Analyst', [], { provider, modelProfile: PROFILE });
+    await agent.processTask('task-high', 'Analyze', {}, { priority: 'high' });
+    await agent.processTask('task-medium', 'Analyze', { priority: 'medium' });
+    await agent.processTask('task-low', 'Analyze', { priority: 'low' });
+    assert.deepEqual(provider.calls.map(call => [call.model, call.max_tokens, call.temperature]), [
+        ['claude-3-opus-20240229', 4000, 0.2],
+        ['claude-3-5-sonnet-20241022', 1500, undefined],
+        ['claude-3-haiku-20240307', 800, undefined]
+    ]);
+    assert.ok(!('temperature' in provider.calls[1]), 'no temperature unless configured');
+    assert.equal(agent.getStatus().model, 'claude-3-5-sonnet-20241022');
+    assert.deepEqual(agent.getStatus().fallback_models, ['claude-3-5-haiku-20241022']);
+
+    const modelOnly = new Agent('lil_Brand_Manager', 'Brand_Manager', [], { provider, model: 'claude-3-haiku-20240307' });
+    await modelOnly.processTask('task-default', 'Review');
+    assert.deepEqual([provider.calls.at(-1).model, provider.calls.at(-1).max_tokens], ['claude-3-haiku-20240307', 2000]);
+    console.log('✅ high → opus, medium → sonnet, low → haiku');
+
+    // Step 2: A failing model falls back along the chain
+    console.log('📋 Step 2: Fallback chain...');
+    const failing = new MockProvider()
+        .addRule(request => request.model === 'claude-3-5-sonnet-20241022', () => {
+            throw modelError(529, 'Overloaded');
+        })
+        .addRule(request => request.model === 'claude-3-opus-20240229', () => {
+            throw modelError(404, 'Model not found');
+        });
+    const eventBus = new AgentEventBus();
+    const events = [];
+    eventBus.subscribe(['task.progress', 'task.completed'], event => events.push(event));
+    const fallbackAgent = new Agent('lil_Market_Analyst', 'Market_Analyst', [], {
+        provider: failing,
+        eventBus,
+        modelProfile: { ...PROFILE, fallback_models: ['claude-3-opus-20240229', 'claude-3-5-haiku-20241022'] }
+    });
+    const fallbackResult = await fallbackAgent.processTask('task-fallback', 'Analyze');
+    assert.equal(fallbackResult.success, true);
+    assert.deepEqual(failing.calls.map(call => call.model), ['claude-3-5-sonnet-20241022', 'claude-3-opus-20240229', 'claude-3-5-haiku-20241022']);
+    assert.equal(fallbackResult.model, 'claude-3-5-haiku-20241022');
+    assert.equal(fallbackResult.requested_model, 'claude-3-5-sonnet-20241022');
+    assert.equal(events[0].model, 'claude-3-5-haiku-20241022');
+
+    const followUp = await fallbackAgent.continueTask('task-fallback', 'And next quarter?');
+    assert.equal(followUp.model, 'claude-3-5-haiku-20241022');
+    assert.equal(failing.calls.length, 6, 'a follow-up tries the chain from the start again');
+
+    const ok = await agent.processTask('task-primary', 'Analyze');
+    assert.equal(ok.model, 'claude-3-5-sonnet-20241022');
+    assert.ok(!('requested_model' in ok), 'requested_model only when a fallback answered');
+    console.log(`✅ Answered by ${fallbackResult.model} after ${fallbackResult.requested_model} failed`);
+
+    // Step 3: No fallback for errors every model would repeat or after streamed text
+    console.log('📋 Step 3: When not to fall back...');
+    const rejecting = new MockProvider().addRule(() => true, () => {
+        throw modelError(400, 'prompt is too long');
+    });
+    const rejected = await new Agent('lil_Market_Analyst', 'Market_Analyst', [], { provider: rejecting, modelProfile: PROFILE }).processTask('task-400', 'Analyze');
+    assert.equal(rejected.success, false);
+    assert.equal(rejecting.calls.length, 1);
+
+    const noChain = new MockProvider().addRule(() => true, () => {
+        throw modelError(529, 'Overloaded');
+    });
+    const lowResult = await new Agent('lil_Market_Analyst', 'Market_Analyst', [], { provider: noChain, modelProfile: PROFILE }).processTask('task-low-fail', 'Analyze', { priority: 'low' });
+    assert.equal(lowResult.success, false);
+    assert.deepEqual(noChain.calls.map(call => call.model), ['claude-3-haiku-20240307'], 'low priority has an empty chain');
+
+    const dropping = new DroppingProvider();
+    const deltas = [];
+    const dropped = await new Agent('lil_Market_Analyst', 'Market_Analyst', [], { provider: dropping, modelProfile: PROFILE })
+        .processTaskStream('task-stream', 'Analyze', {}, text => deltas.push(text));
+    assert.equal(dropped.success, false);
+    assert.equal(dropping.calls.length, 1, 'text already sent to the client is not replayed by another model');
+    assert.deepEqual(deltas, ['Partial ']);
+    console.log('✅ 400 errors, empty chains and interrupted streams fail without fallback');
+
+    // Step 4: Roster defaults merge with each agent's settings
+    console.log('📋 Step 4: Roster model settings...');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-roster-'));
+    const rosterFile = path.join(dir, 'roster.yaml');
+    fs.writeFileSync(rosterFile, ROSTER_YAML);
+    const roster = await loadRoster(rosterFile);
+    assert.deepEqual(roster.model_profile, {
+        max_tokens: 1200,
+        fallback_models: ['claude-3-5-haiku-20241022'],
+        priorities: { low: { model: 'claude-3-haiku-20240307' } }
+    });
+    assert.deepEqual(roster.agents[1].model_profile, {
+        max_tokens: 1200,
+        fallback_models: ['claude-3-5-haiku-20241022'],
+        model: 'claude-3-opus-20240229',
+        temperature: 0.3,
+        priorities: {
+            high: { fallback_models: ['claude-3-5-sonnet-20241022'] },
+            low: { model: 'claude-3-haiku-20240307', max_tokens: 600 }
+        }
+    });
+
+    const rosterProvider = new MockProvider();
+    const [marketAgent, financeAgent] = createRosterAgents(roster, { provider: rosterProvider });
+    assert.equal(marketAgent.model, 'claude-3-5-sonnet-20241022', 'default model');
+    assert.equal(financeAgent.model, 'claude-3-opus-20240229');
+    assert.deepEqual(financeAgent.getModelSettings('low'), {
+        model: 'claude-3-haiku-20240307',
+        max_tokens: 600,
+        temperature: 0.3,
+        fallback_models: ['claude-3-5-haiku-20241022']
+    });
+
+    const invalid = path.join(dir, 'invalid.yaml');
+    fs.writeFileSync(invalid, ROSTER_YAML.replace('temperature: 0.3', 'temperature: 3').replace('low:\n        max_tokens', 'urgent:\n        max_tokens'));
+    await assert.rejects(loadRoster(invalid), error => {
+        assert.equal(error.errors.length, 2, error.message);
+        return true;
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('✅ Agent settings override the team defaults, priorities override both');
+
+    // Step 5: The CEO passes the task priority on to the assigned agent
+    console.log('📋 Step 5: CEO assignments by priority...');
+    const ceoAgent = new CEOAgent({ provider: rosterProvider, modelProfile: roster.model_profile });
+    ceoAgent.registerTeamAgent(financeAgent);
+    const assigned = await ceoAgent.assignTask('Review the budget', 'low');
+    assert.equal(assigned.success, true);
+    assert.deepEqual([rosterProvider.calls.at(-1).model, rosterProvider.calls.at(-1).max_tokens], ['claude-3-haiku-20240307', 600]);
+    assert.equal(ceoAgent.getTaskStatus(assigned.taskId).model, 'claude-3-haiku-20240307');
+    await ceoAgent.assignTask('Review the budget', 'high');
+    assert.equal(rosterProvider.calls.at(-1).model, 'claude-3-opus-20240229');
+    assert.equal(ceoAgent.getModelSettings('low').model, 'claude-3-haiku-20240307');
+    console.log('✅ Low-priority budget review ran on claude-3-haiku-20240307');
+
+    // Step 6: Reports, lessons and thread summaries use the model settings too
+    console.log('📋 Step 6: Model calls outside the task conversation...');
+    const usage = { input_tokens: 1000, output_tokens: 500 };
+    const sideProvider = new MockProvider()
+        .addRule(request => request.model === 'claude-3-5-sonnet-20241022', () => {
+            throw modelError(529, 'Overloaded');
+        })
+        .addRule('Distill up to three reusable lessons', {
+            content: [{ type: 'text', text: JSON.stringify({ lessons: [{ title: 'Lead with refills', lesson: 'Refill offers convert better than discounts.' }] }) }],
+            usage
+        })
+        .addRule(() => true, { content: [{ type: 'text', text: 'Refill stations are growing. '.repeat(40) }], usage });
+    const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-reports-'));
+    const sideAgent = new Agent('lil_Market_Analyst', 'Market_Analyst', [], {
+        provider: sideProvider,
+        modelProfile: PROFILE,
+        memoryTokenBudget: 600,
+        reportRepository: new ReportRepository({ dir: reportsDir })
+    });
+
+    await sideAgent.processTask('task-side', 'Analyze refill stations', {}, { priority: 'high' });
+    await sideAgent.continueTask('task-side', 'now for Germany');
+    await sideAgent.continueTask('task-side', 'add a budget');
+    await sideAgent.continueTask('task-side', 'add a timeline');
+    const summaryCall = sideProvider.calls.find(call => /Summarize the earlier part/.test(call.messages[0].content));
+    assert.deepEqual([summaryCall.model, summaryCall.max_tokens, summaryCall.temperature], ['claude-3-opus-20240229', 4000, 0.2]);
+
+    const lessons = await sideAgent.distillLessons({ description: 'Analyze refill stations', result: 'Refills grow', priority: 'low' });
+    assert.equal(lessons.length, 1);
+    assert.deepEqual([sideProvider.calls.at(-1).model, sideProvider.calls.at(-1).max_tokens], ['claude-3-haiku-20240307', 800]);
+
+    const costBefore = sideAgent.usageTotals.cost_usd;
+    const sideReport = await sideAgent.generateReport();
+    assert.ok(!sideReport.error, sideReport.error);
+    assert.deepEqual(sideProvider.calls.slice(-2).map(call => [call.model, call.max_tokens]), [
+        ['claude-3-5-sonnet-20241022', 1500],
+        ['claude-3-5-haiku-20241022', 1500]
+    ]);
+    assert.equal(
+        Math.round((sideAgent.usageTotals.cost_usd - costBefore) * 1e6),
+        Math.round(estimateCost('claude-3-5-haiku-20241022', usage) * 1e6),
+        'the report is priced at the fallback model that answered'
+    );
+    fs.rmSync(reportsDir, { recursive: true, force: true });
+    console.log('✅ Summary on the high-priority model, lessons on the low one, report via the fallback');
+
+    console.log('');
+    console.log('🎉 Model selection test passed');
+}
+
+testModelSelection().catch(error => {
+    console.error('❌ Model selection test failed:', error);
+    process.exit(1);
+});
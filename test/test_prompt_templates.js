@@ -0,0 +1,120 @@
+/**
+ * AI Agents Team Management System - Prompt Template Test
+ *
+ * Checks template rendering (variables, partials, conditionals, loops),
+ * role overrides with default fallback, edited files picked up without a
+ * restart, and that the template and partial ids and versions are
+ * recorded on each task. Runs offline.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { PromptLibrary, PromptTemplateError } from '../agents/base/PromptLibrary.js';
+import { ReportRepository } from '../agents/base/ReportRepository.js';
+
+function writeTemplate(dir, file, content) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+}
+
+async function testPromptTemplates() {
+    console.log('🤖 AI Agents Team Management System - Prompt Template Test');
+    console.log('='.repeat(60));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+
+    try {
+        // Step 1: Template syntax
+        console.log('📋 Step 1: Rendering variables, partials, conditionals and loops...');
+        writeTemplate(dir, 'default/greeting.md', [
+            '---',
+            'id: test.greeting',
+            'version: 2.1.0',
+            '---',
+            'Hello {{user.name}}! {{> partials/signature}}',
+            '{{#if items}}{{#each items}}[{{@key}}:{{this}}]{{/each}}{{else}}No items{{/if}}',
+            ''
+        ].join('\n'));
+        writeTemplate(dir, 'default/partials/signature.md', '-- {{team}}\n');
+
+        const library = new PromptLibrary({ dir });
+        const greeting = library.render(null, 'greeting', { user: { name: 'Ada' }, team: 'Agents', items: ['a', 'b'] });
+        assert.deepEqual(greeting, {
+            id: 'test.greeting',
+            version: '2.1.0',
+            partials: [{ id: 'default/partials/signature', version: '0' }],
+            text: 'Hello Ada! -- Agents\n[0:a][1:b]'
+        });
+        assert.equal(library.render(null, 'greeting', { user: { name: 'Bo' }, team: 'X', items: [] }).text, 'Hello Bo! -- X\nNo items');
+        console.log('✅ Rendered test.greeting@2.1.0');
+
+        // Step 2: Role override falls back to default
+        console.log('📋 Step 2: Resolving role overrides...');
+        writeTemplate(dir, 'Content_Writer/greeting.md', '---\nid: writer.greeting\nversion: 1.0.0\n---\nHi {{user.name}}\n');
+        assert.equal(library.render('Content_Writer', 'greeting', { user: { name: 'Ada' } }).text, 'Hi Ada');
+        assert.equal(library.render('Finance_Analyst', 'greeting', { user: { name: 'Ada' }, items: [] }).id, 'test.greeting');
+        console.log('✅ Role template used when present, default otherwise');
+
+        // Step 3: Malformed templates are rejected
+        console.log('📋 Step 3: Rejecting malformed templates...');
+        writeTemplate(dir, 'default/broken.md', '{{#if open}}never closed');
+        assert.throws(() => library.render(null, 'broken'), PromptTemplateError);
+        assert.throws(() => library.render(null, 'missing'), /No prompt template "missing"/);
+        console.log('✅ Unclosed blocks and missing templates raise PromptTemplateError');
+
+        // Step 4: Edited templates and partials are picked up without a restart
+        console.log('📋 Step 4: Reloading edited templates...');
+        const touch = file => {
+            const later = new Date(Date.now() + 5000);
+            fs.utimesSync(path.join(dir, file), later, later);
+        };
+        writeTemplate(dir, 'Content_Writer/greeting.md', '---\nid: writer.greeting\nversion: 1.1.0\n---\nHey {{user.name}}\n');
+        touch('Content_Writer/greeting.md');
+        const edited = library.render('Content_Writer', 'greeting', { user: { name: 'Ada' } });
+        assert.deepEqual({ version: edited.version, text: edited.text }, { version: '1.1.0', text: 'Hey Ada' });
+
+        writeTemplate(dir, 'default/partials/signature.md', '---\nid: test.signature\nversion: 1.0.1\n---\n-- The {{team}}\n');
+        touch('default/partials/signature.md');
+        const resigned = library.render(null, 'greeting', { user: { name: 'Ada' }, team: 'Agents', items: [] });
+        assert.equal(resigned.version, '2.1.0', 'the greeting itself did not change');
+        assert.deepEqual(resigned.partials, [{ id: 'test.signature', version: '1.0.1' }]);
+        assert.match(resigned.text, /-- The Agents/);
+        console.log('✅ Edited template and partial served without reload()');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // Step 5: Tasks record which prompt versions produced them
+    console.log('📋 Step 5: Recording prompt versions on tasks...');
+    const provider = new MockProvider();
+    const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-reports-'));
+    const reportRepository = new ReportRepository({ dir: reportsDir });
+    const ceoAgent = new CEOAgent({ provider, reportRepository });
+    ceoAgent.registerTeamAgent(new Agent('lil_Finance_Analyst', 'Finance_Analyst', ['Budget Planning'], { provider, reportRepository }));
+
+    const assigned = await ceoAgent.assignTask('Review the quarterly budget', 'medium');
+    assert.deepEqual(ceoAgent.getTaskStatus(assigned.taskId).prompts, {
+        system: { id: 'agent.system', version: '1.1.0', partials: [{ id: 'partials.responsibilities', version: '1.0.0' }] },
+        user: { id: 'agent.user', version: '1.1.0' }
+    });
+    assert.match(provider.calls[0].system, /You are lil_Finance_Analyst, a Finance_Analyst/);
+    assert.match(provider.calls[0].messages[0].content, /^Task: Review the quarterly budget\n\nAdditional Context:\n- priority: medium/);
+
+    const report = await ceoAgent.generateTeamReport();
+    assert.equal(report.prompts.task.id, 'ceo.team_report');
+    fs.rmSync(reportsDir, { recursive: true, force: true });
+    console.log(`✅ Team report produced by ${report.prompts.task.id}@${report.prompts.task.version}`);
+
+    console.log('');
+    console.log('🎉 Prompt template test passed');
+}
+
+testPromptTemplates().catch(error => {
+    console.error('❌ Prompt template test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,94 @@
+/**
+ * AI Agents Team Management System - Record/Replay Test
+ *
+ * Records a CEO delegation flow to fixture files, then replays it with a
+ * provider that must never be called and checks the output is identical.
+ * Runs offline: the recording is made against the MockProvider.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { Agent } from '../agents/base/Agent.js';
+import {
+    LLMProvider,
+    MockProvider,
+    RecordReplayProvider,
+    FixtureMissError
+} from '../agents/base/providers/index.js';
+import { ReportRepository } from '../agents/base/ReportRepository.js';
+
+/**
+ * Provider that fails the test if replay ever reaches the network
+ */
+class UnreachableProvider extends LLMProvider {
+    constructor() {
+        super('unreachable');
+    }
+
+    async createMessage() {
+        throw new Error('Replay mode must not call the wrapped provider');
+    }
+}
+
+/**
+ * Run a delegation flow plus an agent report and collect the outputs
+ */
+async function runFlow(provider, reportRepository) {
+    const ceoAgent = new CEOAgent({ provider, reportRepository });
+    const marketAgent = new Agent('lil_Market_Analyst', 'Market_Analyst', ['Market Research'], { provider, reportRepository });
+    ceoAgent.registerTeamAgent(marketAgent);
+
+    const task = await ceoAgent.assignTask('Analyze market trends in Eastern Europe', 'high', ['Market Research']);
+    const report = await marketAgent.generateReport();
+
+    return { result: task.result, insights: report.insights };
+}
+
+async function testRecordReplay() {
+    console.log('🤖 AI Agents Team Management System - Record/Replay Test');
+    console.log('='.repeat(60));
+
+    const fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-fixtures-'));
+    const reportsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-reports-'));
+    const reportRepository = new ReportRepository({ dir: reportsDir });
+
+    try {
+        // Step 1: Record
+        console.log('📋 Step 1: Recording flow...');
+        const recorder = new RecordReplayProvider(new MockProvider(), { mode: 'record', fixturesDir });
+        const recorded = await runFlow(recorder, reportRepository);
+        const fixtures = await fs.readdir(fixturesDir);
+        assert.equal(fixtures.length, 2);
+        console.log(`✅ Recorded ${fixtures.length} fixtures`);
+
+        // Step 2: Replay (a little later, so timestamps and ids differ)
+        console.log('📋 Step 2: Replaying flow...');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const player = new RecordReplayProvider(new UnreachableProvider(), { mode: 'replay', fixturesDir });
+        const replayed = await runFlow(player, reportRepository);
+        assert.deepEqual(replayed, recorded);
+        console.log('✅ Replayed output matches the recording');
+
+        // Step 3: Unknown requests fail loudly
+        console.log('📋 Step 3: Checking cache miss...');
+        await assert.rejects(
+            player.createMessage({ model: 'x', max_tokens: 10, messages: [{ role: 'user', content: 'never recorded' }] }),
+            FixtureMissError
+        );
+        console.log('✅ Cache miss raised FixtureMissError');
+
+        console.log('');
+        console.log('🎉 Record/replay test passed');
+    } finally {
+        await fs.rm(fixturesDir, { recursive: true, force: true });
+        await fs.rm(reportsDir, { recursive: true, force: true });
+    }
+}
+
+testRecordReplay().catch(error => {
+    console.error('❌ Record/replay test failed:', error);
+    process.exit(1);
+});
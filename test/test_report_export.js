@@ -0,0 +1,98 @@
+/**
+ * AI Agents Team Management System - Report Export Test
+ *
+ * Checks that agent and team reports export to Markdown, self-contained
+ * HTML with SVG charts, CSV task rows and PDF, all offline.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { exportReport, resolveReportFormat } from '../agents/base/ReportExporter.js';
+import { ReportRepository } from '../agents/base/ReportRepository.js';
+
+async function testReportExport() {
+    console.log('🤖 AI Agents Team Management System - Report Export Test');
+    console.log('='.repeat(60));
+
+    const provider = new MockProvider()
+        .addRule('Generate a', 'Keyword work is on track. <script>alert(1)</script>')
+        .addRule(() => true, 'Focus on "reusable bottle", long-tail | local terms.');
+    // Generated reports are archived in a temporary directory, not the project's reports/
+    const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-reports-'));
+    const reportRepository = new ReportRepository({ dir: reportsDir });
+    const ceoAgent = new CEOAgent({ provider, reportRepository });
+    const seoAgent = new Agent('lil_SEO_Specialist', 'SEO_Specialist', ['Keyword Research'], { provider, reportRepository });
+    ceoAgent.registerTeamAgent(seoAgent);
+
+    const task = await ceoAgent.assignTask('Find SEO keywords for "eco, reusable" bottles', 'high');
+    const agentReport = await seoAgent.generateReport();
+    const teamReport = await ceoAgent.generateTeamReport();
+    fs.rmSync(reportsDir, { recursive: true, force: true });
+
+    // Step 1: Format names and aliases
+    console.log('📋 Step 1: Resolving formats...');
+    assert.equal(resolveReportFormat('md'), 'markdown');
+    assert.equal(resolveReportFormat('PDF'), 'pdf');
+    assert.equal(resolveReportFormat(undefined), 'json');
+    assert.equal(resolveReportFormat('docx'), null);
+    await assert.rejects(exportReport(agentReport, 'docx'), /Unsupported report format/);
+    console.log('✅ Formats resolved');
+
+    // Step 2: Markdown
+    console.log('📋 Step 2: Markdown export...');
+    const markdown = await exportReport(agentReport, 'markdown');
+    assert.equal(markdown.extension, 'md');
+    assert.match(markdown.body, /^# lil_SEO_Specialist Report/);
+    assert.match(markdown.body, /\| Tasks analyzed \| 1 \|/);
+    assert.match(markdown.body, /## Insights\n\nKeyword work is on track\./);
+    assert.ok(markdown.body.includes(`| ${task.taskId} | Find SEO keywords for "eco, reusable" bottles | lil_SEO_Specialist | completed |`));
+    console.log('✅ Markdown has summary, insights and task table');
+
+    // Step 3: HTML is self-contained and escaped
+    console.log('📋 Step 3: HTML export...');
+    const html = await exportReport(teamReport, 'html');
+    assert.equal(html.contentType, 'text/html; charset=utf-8');
+    assert.match(html.body, /^<!DOCTYPE html>/);
+    assert.match(html.body, /<title>Team Performance Report<\/title>/);
+    assert.equal((html.body.match(/<svg /g) || []).length, 2, 'one chart per section');
+    assert.match(html.body, /aria-label="Tokens by agent"/);
+    assert.match(html.body, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.doesNotMatch(html.body, /<script>/);
+    assert.doesNotMatch(html.body, /(src|href)="https?:/, 'no external assets');
+    console.log('✅ HTML has inline charts and escapes agent output');
+
+    // Step 4: CSV of task rows
+    console.log('📋 Step 4: CSV export...');
+    const csv = await exportReport(teamReport, 'csv');
+    const [header, row, ...rest] = csv.body.trimEnd().split('\r\n');
+    assert.equal(header, 'task_id,description,agent,priority,status,duration,total_tokens,cost_usd');
+    assert.equal(rest.length, 0);
+    assert.ok(row.startsWith(`${task.taskId},"Find SEO keywords for ""eco, reusable"" bottles",lil_SEO_Specialist,high,completed,`));
+    assert.match(row, /,\d+,\d+(\.\d+)?$/);
+    console.log('✅ CSV rows quoted and numeric');
+
+    // Step 5: PDF produced offline
+    console.log('📋 Step 5: PDF export...');
+    const pdf = await exportReport(agentReport, 'pdf');
+    assert.ok(Buffer.isBuffer(pdf.body));
+    assert.equal(pdf.body.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.body.subarray(-6).toString(), /%%EOF/);
+    console.log(`✅ PDF of ${pdf.body.length} bytes`);
+
+    // Step 6: JSON stays the raw report
+    const json = await exportReport(teamReport, 'json');
+    assert.deepEqual(JSON.parse(json.body).tasks[0].task_id, task.taskId);
+
+    console.log('');
+    console.log('🎉 Report export test passed');
+}
+
+testReportExport().catch(error => {
+    console.error('❌ Report export test failed:', error);
+    process.exit(1);
+});
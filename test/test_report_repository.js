@@ -0,0 +1,114 @@
+/**
+ * AI Agents Team Management System - Report Repository Test
+ *
+ * Checks the report archive: agent and team reports are stored with an
+ * index, listed by agent, type and date, fetched by id, deleted, and two
+ * team reports are compared. Runs offline on a temp directory.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { ReportRepository, compareTeamReports } from '../agents/base/ReportRepository.js';
+
+async function testReportRepository() {
+    console.log('🤖 AI Agents Team Management System - Report Repository Test');
+    console.log('='.repeat(60));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reports-'));
+    try {
+        // A report written before the index existed
+        const legacyId = 'lil_SEO_Specialist_summary_1700000000000';
+        fs.writeFileSync(path.join(dir, `${legacyId}.json`), JSON.stringify({ agent: 'lil_SEO_Specialist', tasks_analyzed: 2 }));
+
+        const reportRepository = new ReportRepository({ dir });
+        const provider = new MockProvider()
+            .addRule('Audit the broken site', () => { throw new Error('upstream unavailable'); })
+            .addRule(() => true, 'Done.');
+        const ceoAgent = new CEOAgent({ provider, reportRepository });
+        const seoAgent = new Agent('lil_SEO_Specialist', 'SEO_Specialist', ['Keyword Research'], { provider, reportRepository });
+        ceoAgent.registerTeamAgent(seoAgent);
+
+        // Step 1: Agent and team reports are archived
+        console.log('📋 Step 1: Archiving reports...');
+        await ceoAgent.assignTask('Find SEO keywords for bottles', 'medium');
+        const agentReport = await seoAgent.generateReport();
+        const firstTeamReport = await ceoAgent.generateTeamReport();
+
+        assert.match(agentReport.report_id, /^lil_SEO_Specialist_summary_\d+$/);
+        assert.match(firstTeamReport.report_id, /^lil_Boss_CEO_team_\d+$/);
+        assert.ok(fs.existsSync(path.join(dir, `${firstTeamReport.report_id}.json`)));
+        console.log(`✅ Stored ${agentReport.report_id} and ${firstTeamReport.report_id}`);
+
+        // Step 2: Listing with filters
+        console.log('📋 Step 2: Listing reports...');
+        const all = await reportRepository.list();
+        assert.deepEqual(all.map(entry => entry.id).slice(-1), [legacyId], 'legacy report indexed, oldest last');
+        assert.equal(all.length, 3);
+        assert.deepEqual((await reportRepository.list({ type: 'team' })).map(entry => entry.id), [firstTeamReport.report_id]);
+        assert.equal((await reportRepository.list({ agent: 'lil_SEO_Specialist' })).length, 2);
+        assert.deepEqual((await reportRepository.list({ to: '2024-01-01' })).map(entry => entry.id), [legacyId]);
+        assert.equal((await reportRepository.list({ from: new Date(Date.now() + 60000) })).length, 0);
+        assert.equal((await reportRepository.list({ limit: 1 })).length, 1);
+        console.log('✅ Filtered by agent, type, date range and limit');
+
+        // Step 3: Fetch by id
+        console.log('📋 Step 3: Fetching a report...');
+        const stored = await reportRepository.get(agentReport.report_id);
+        assert.equal(stored.entry.agent, 'lil_SEO_Specialist');
+        assert.equal(stored.report.report_id, agentReport.report_id);
+        assert.equal(stored.report.tasks_analyzed, 1);
+        assert.equal(await reportRepository.get('../package'), null);
+        console.log('✅ Report read back by id');
+
+        // Step 4: Week-over-week comparison of team reports
+        console.log('📋 Step 4: Comparing team reports...');
+        await ceoAgent.assignTask('Audit the broken site for SEO', 'high');
+        const secondTeamReport = await ceoAgent.generateTeamReport();
+        const comparison = compareTeamReports(
+            (await reportRepository.get(firstTeamReport.report_id)).report,
+            (await reportRepository.get(secondTeamReport.report_id)).report
+        );
+
+        assert.equal(comparison.from.report_id, firstTeamReport.report_id);
+        assert.deepEqual(comparison.metrics.success_rate, { before: 100, after: 50, change: -50, change_percent: -50 });
+        assert.equal(comparison.metrics.tasks_failed.after, 1);
+        assert.equal(comparison.metrics.tasks_assigned.change, 1);
+        assert.ok('average_completion_time' in comparison.metrics);
+        assert.ok(comparison.agents.lil_SEO_Specialist.total_tokens.after >= comparison.agents.lil_SEO_Specialist.total_tokens.before);
+        assert.throws(() => compareTeamReports(stored.report, secondTeamReport), /Only team reports/);
+        console.log(`✅ Success rate ${comparison.metrics.success_rate.before}% → ${comparison.metrics.success_rate.after}%`);
+
+        // Step 5: Index survives a restart
+        console.log('📋 Step 5: Reloading the index...');
+        const reopened = new ReportRepository({ dir });
+        assert.equal((await reopened.list()).length, 4);
+        const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf-8'));
+        assert.equal(index.reports.length, 4);
+        console.log('✅ Index persisted');
+
+        // Step 6: Deleting single and old reports
+        console.log('📋 Step 6: Deleting reports...');
+        assert.equal(await reopened.delete(agentReport.report_id), true);
+        assert.equal(await reopened.delete(agentReport.report_id), false);
+        assert.equal(fs.existsSync(path.join(dir, `${agentReport.report_id}.json`)), false);
+
+        assert.deepEqual(await reopened.deleteOlderThan('2024-01-01'), [legacyId]);
+        assert.deepEqual((await reopened.list()).map(entry => entry.type), ['team', 'team']);
+        console.log('✅ Deleted by id and by age');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    console.log('');
+    console.log('🎉 Report repository test passed');
+}
+
+testReportRepository().catch(error => {
+    console.error('❌ Report repository test failed:', error);
+    process.exit(1);
+});
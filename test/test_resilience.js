@@ -0,0 +1,148 @@
+/**
+ * AI Agents Team Management System - Retry and Circuit Breaker Test
+ *
+ * Simulates rate limits and outages with a scripted provider and checks
+ * retries, retry-after handling, circuit breaker transitions, and that an
+ * open breaker for one model does not block falling back to another. Runs offline.
+ */
+
+import assert from 'assert/strict';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import {
+    LLMProvider,
+    MockProvider,
+    ResilientProvider,
+    CircuitBreaker,
+    CircuitOpenError
+} from '../agents/base/providers/index.js';
+
+/**
+ * Provider that throws the scripted errors in order, then answers normally
+ */
+class ScriptedProvider extends LLMProvider {
+    constructor(errors) {
+        super('scripted');
+        this.errors = errors;
+        this.calls = 0;
+        this.mock = new MockProvider();
+    }
+
+    async createMessage(request) {
+        this.calls++;
+        const error = this.errors.shift();
+        if (error) throw error;
+        return await this.mock.createMessage(request);
+    }
+}
+
+/**
+ * Provider whose primary model is overloaded while every other model answers
+ */
+class ModelOutageProvider extends LLMProvider {
+    constructor(downModel) {
+        super('outage');
+        this.downModel = downModel;
+        this.calls = [];
+        this.mock = new MockProvider();
+    }
+
+    async createMessage(request) {
+        this.calls.push(request.model);
+        if (request.model === this.downModel) throw apiError(529);
+        return await this.mock.createMessage(request);
+    }
+}
+
+function apiError(status, headers = {}) {
+    const error = new Error(`HTTP ${status}`);
+    error.status = status;
+    error.headers = headers;
+    return error;
+}
+
+const request = { model: 'mock-model', max_tokens: 10, messages: [{ role: 'user', content: 'Task: ping' }] };
+
+async function testResilience() {
+    console.log('🤖 AI Agents Team Management System - Resilience Test');
+    console.log('='.repeat(60));
+
+    // Step 1: Transient errors are retried, honoring retry-after
+    console.log('📋 Step 1: Retrying 429 and 529 responses...');
+    const delays = [];
+    const flaky = new ScriptedProvider([apiError(429, { 'retry-after': '2' }), apiError(529)]);
+    const resilient = new ResilientProvider(flaky, {
+        baseDelayMs: 100,
+        breaker: new CircuitBreaker('flaky'),
+        sleep: async ms => delays.push(ms)
+    });
+    const response = await resilient.createMessage(request);
+    assert.match(response.content[0].text, /Mock response/);
+    assert.equal(flaky.calls, 3);
+    assert.equal(delays[0], 2000);
+    assert.ok(delays[1] >= 100 && delays[1] <= 200, `backoff ${delays[1]} outside jitter range`);
+    console.log(`✅ Succeeded after ${flaky.calls} attempts (delays: ${delays.join('ms, ')}ms)`);
+
+    // Step 2: Client errors are not retried
+    console.log('📋 Step 2: Not retrying client errors...');
+    const badRequest = new ScriptedProvider([apiError(400)]);
+    const strict = new ResilientProvider(badRequest, { breaker: new CircuitBreaker('bad'), sleep: async () => {} });
+    await assert.rejects(strict.createMessage(request), /HTTP 400/);
+    assert.equal(badRequest.calls, 1);
+    console.log('✅ 400 failed immediately');
+
+    // Step 3: Breaker opens, fails fast, then recovers through half-open
+    console.log('📋 Step 3: Opening and closing the circuit breaker...');
+    const breaker = new CircuitBreaker('down', { failureThreshold: 2, resetTimeoutMs: 50 });
+    const down = new ScriptedProvider([apiError(503), apiError(503)]);
+    const guarded = new ResilientProvider(down, { maxRetries: 5, breaker, sleep: async () => {} });
+
+    await assert.rejects(guarded.createMessage(request), /HTTP 503/);
+    assert.equal(breaker.state, 'open');
+    assert.equal(down.calls, 2);
+
+    await assert.rejects(guarded.createMessage(request), CircuitOpenError);
+    assert.equal(down.calls, 2, 'open breaker must not reach the provider');
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await guarded.createMessage(request);
+    assert.equal(breaker.state, 'closed');
+    console.log('✅ Breaker went closed → open → half_open → closed');
+
+    // Step 4: Breaker state is part of the system status
+    console.log('📋 Step 4: Checking system status...');
+    const ceoAgent = new CEOAgent({ provider: guarded });
+    const [providerStatus] = ceoAgent.getSystemStatus().providers;
+    assert.equal(providerStatus.circuit_breakers['mock-model'].state, 'closed');
+    assert.equal(providerStatus.circuit_breakers['mock-model'].rejected, 1);
+    console.log('✅ Provider breaker state reported in system status');
+
+    // Step 5: An open breaker for the primary model does not block the fallback model
+    console.log('📋 Step 5: Falling back while the primary model is down...');
+    const outage = new ModelOutageProvider('claude-3-5-sonnet-20241022');
+    const outageProvider = new ResilientProvider(outage, { maxRetries: 0, breakerOptions: { failureThreshold: 1 }, sleep: async () => {} });
+    const analyst = new Agent('lil_Market_Analyst', 'Market_Analyst', [], {
+        provider: outageProvider,
+        modelProfile: { model: 'claude-3-5-sonnet-20241022', fallback_models: ['claude-3-5-haiku-20241022'] }
+    });
+
+    const first = await analyst.processTask('task-outage-1', 'Analyze');
+    assert.equal(first.model, 'claude-3-5-haiku-20241022');
+    const breakers = outageProvider.getStatus().circuit_breakers;
+    assert.equal(breakers['claude-3-5-sonnet-20241022'].state, 'open');
+    assert.equal(breakers['claude-3-5-haiku-20241022'].state, 'closed');
+
+    const second = await analyst.processTask('task-outage-2', 'Analyze');
+    assert.equal(second.success, true);
+    assert.equal(second.model, 'claude-3-5-haiku-20241022', 'the fallback model answers while the primary breaker is open');
+    assert.deepEqual(outage.calls, ['claude-3-5-sonnet-20241022', 'claude-3-5-haiku-20241022', 'claude-3-5-haiku-20241022']);
+    console.log('✅ Fallback model answered with the primary model\'s breaker open');
+
+    console.log('');
+    console.log('🎉 Resilience test passed');
+}
+
+testResilience().catch(error => {
+    console.error('❌ Resilience test failed:', error);
+    process.exit(1);
+});
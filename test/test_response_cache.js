@@ -0,0 +1,224 @@
+/**
+ * AI Agents Team Management System - Response Cache Test
+ *
+ * Checks the response cache offline: an identical task request is
+ * answered without a model call, the agent, model settings, tools,
+ * prompt version and prompts all change the key, noCache skips the lookup, entries expire
+ * after their TTL, memory entries are copies, the disk store survives a restart, store errors are
+ * treated as misses, the CEO's run-specific deadlines do not defeat
+ * the cache, and a cached answer does not wait for a slot on a saturated agent.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Agent } from '../agents/base/Agent.js';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { AgentEventBus } from '../agents/base/AgentEvents.js';
+import { ResponseCache, MemoryCacheStore, FileCacheStore, createCacheStore } from '../agents/base/ResponseCache.js';
+
+const KEY_PARTS = {
+    agent: 'lil_SEO_Specialist',
+    model: 'claude-3-5-sonnet-20241022',
+    prompts: { system: { id: 'system', version: '1' }, user: { id: 'user', version: '1' } },
+    system: 'You are lil_SEO_Specialist, a SEO_Specialist.',
+    user: 'Task: Keyword research for reusable bottles'
+};
+
+async function testResponseCache() {
+    console.log('🤖 AI Agents Team Management System - Response Cache Test');
+    console.log('='.repeat(60));
+
+    // Step 1: An identical request is answered from the cache
+    console.log('📋 Step 1: Cache hit for an identical task...');
+    const provider = new MockProvider();
+    const responseCache = new ResponseCache({ store: new MemoryCacheStore() });
+    const eventBus = new AgentEventBus();
+    const progress = [];
+    eventBus.subscribe(['task.progress'], event => progress.push(event.step));
+    const seo = new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider, responseCache, eventBus });
+
+    const first = await seo.processTask('task-1', 'Keyword research for reusable bottles');
+    const second = await seo.processTask('task-2', 'Keyword research for reusable bottles');
+    assert.equal(provider.calls.length, 1);
+    assert.equal(second.success, true);
+    assert.equal(second.result, first.result);
+    assert.equal(second.model, first.model);
+    assert.ok(!first.cached);
+    assert.equal(second.cached.key.length, 64);
+    assert.equal(second.usage.total_tokens, 0, 'a cached answer costs nothing');
+    assert.deepEqual(progress, ['model_response', 'cache_hit']);
+
+    const followUp = await seo.continueTask('task-2', 'Now for Germany');
+    assert.ok(!followUp.cached, 'follow-ups go to the model');
+    assert.equal(provider.calls.length, 2);
+
+    const deltas = [];
+    const streamed = await seo.processTaskStream('task-3', 'Keyword research for reusable bottles', {}, text => deltas.push(text));
+    assert.ok(streamed.cached);
+    assert.equal(deltas.join(''), first.result, 'a cached answer is streamed like a model answer');
+    console.log(`✅ Second request answered from the cache (${responseCache.getStatus().hits} hits)`);
+
+    // Step 2: Agent, model settings, tools, prompt version and prompts are part of the key
+    console.log('📋 Step 2: Cache keys...');
+    const key = responseCache.getKey(KEY_PARTS);
+    assert.equal(responseCache.getKey({ ...KEY_PARTS }), key);
+    const variations = [
+        { agent: 'lil_Brand_Manager' },
+        { model: 'claude-3-haiku-20240307' },
+        { max_tokens: 4000 },
+        { temperature: 0.2 },
+        { tools: [{ name: 'lookup_price', description: 'Look up a price', input_schema: { type: 'object' } }] },
+        { prompts: { ...KEY_PARTS.prompts, user: { id: 'user', version: '2' } } },
+        { system: `${KEY_PARTS.system} Be brief.` },
+        { user: 'Task: Keyword research for glass bottles' },
+        { schema: { type: 'object' } }
+    ];
+    for (const variation of variations) {
+        assert.notEqual(responseCache.getKey({ ...KEY_PARTS, ...variation }), key, Object.keys(variation)[0]);
+    }
+    assert.equal(
+        responseCache.getKey({ ...KEY_PARTS, user: 'Deadline: 2026-01-01T10:00:00.000Z' }),
+        responseCache.getKey({ ...KEY_PARTS, user: 'Deadline: 2026-03-05T12:30:00.000Z' }),
+        'timestamps are scrubbed'
+    );
+
+    const otherModel = new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider, responseCache, model: 'claude-3-haiku-20240307' });
+    await otherModel.processTask('task-4', 'Keyword research for reusable bottles');
+    const otherAgent = new Agent('lil_Brand_Manager', 'Brand_Manager', [], { provider, responseCache });
+    await otherAgent.processTask('task-5', 'Keyword research for reusable bottles');
+    const highPriority = await seo.processTask('task-5b', 'Keyword research for reusable bottles', {}, { priority: 'high' });
+    assert.ok(highPriority.cached, 'same model settings, same answer');
+    const withTool = new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider, responseCache, modelProfile: { max_tokens: 4000 } });
+    await withTool.processTask('task-5c', 'Keyword research for reusable bottles');
+    withTool.registerTool({ name: 'lookup_volume', description: 'Search volume of a keyword', input_schema: { type: 'object' }, handler: () => ({ volume: 900 }) });
+    await withTool.processTask('task-5d', 'Keyword research for reusable bottles');
+    assert.equal(provider.calls.length, 6, 'other max_tokens and another tool set miss the cache');
+    console.log('✅ Changing any part of the request changes the key');
+
+    // Step 3: noCache skips the lookup and refreshes the entry
+    console.log('📋 Step 3: noCache...');
+    let answer = 'Fresh keyword list';
+    const refreshing = new MockProvider().addRule(() => true, () => answer);
+    const refreshCache = new ResponseCache({ store: new MemoryCacheStore() });
+    const refresher = new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider: refreshing, responseCache: refreshCache });
+    await refresher.processTask('task-6', 'Keyword research');
+    answer = 'Updated keyword list';
+    const bypassed = await refresher.processTask('task-7', 'Keyword research', {}, { noCache: true });
+    assert.equal(bypassed.result, 'Updated keyword list');
+    assert.ok(!bypassed.cached);
+    const refreshed = await refresher.processTask('task-8', 'Keyword research');
+    assert.equal(refreshed.result, 'Updated keyword list', 'the bypassing request replaced the entry');
+    assert.equal(refreshing.calls.length, 2);
+    const refreshStatus = refreshCache.getStatus();
+    assert.deepEqual(
+        { hits: refreshStatus.hits, misses: refreshStatus.misses, bypassed: refreshStatus.bypassed, stored: refreshStatus.stored, hit_rate: refreshStatus.hit_rate },
+        { hits: 1, misses: 1, bypassed: 1, stored: 2, hit_rate: 0.5 }
+    );
+    assert.deepEqual(refreshStatus.agents, { lil_SEO_Specialist: { hits: 1, misses: 1, bypassed: 1 } });
+    console.log('✅ noCache called the model and refreshed the cached answer');
+
+    // Step 4: Entries expire; failed tasks are not cached
+    console.log('📋 Step 4: TTL and failures...');
+    const shortCache = new ResponseCache({ store: new MemoryCacheStore(), ttlMs: 20 });
+    const shortProvider = new MockProvider();
+    const shortLived = new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider: shortProvider, responseCache: shortCache });
+    await shortLived.processTask('task-9', 'Audit the homepage');
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const expired = await shortLived.processTask('task-10', 'Audit the homepage');
+    assert.ok(!expired.cached);
+    assert.equal(shortProvider.calls.length, 2);
+    assert.equal(shortCache.getStatus().expired, 1);
+
+    const failingProvider = new MockProvider().addRule(() => true, () => {
+        throw new Error('Model unavailable');
+    });
+    const failingCache = new ResponseCache({ store: new MemoryCacheStore() });
+    const failing = new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider: failingProvider, responseCache: failingCache });
+    assert.equal((await failing.processTask('task-11', 'Audit the homepage')).success, false);
+    assert.equal(failingCache.getStatus().stored, 0);
+
+    const small = new MemoryCacheStore({ maxEntries: 2 });
+    await small.set('a', 1);
+    await small.set('b', 2);
+    await small.set('c', 3);
+    assert.deepEqual([...small.entries.keys()], ['b', 'c'], 'the oldest entry is dropped');
+
+    const stored = { result: { issues: ['low', 'high'] } };
+    await small.set('d', stored);
+    stored.result.issues.push('medium');
+    (await small.get('d')).result.issues.sort();
+    assert.deepEqual((await small.get('d')).result.issues, ['low', 'high'], 'editing a result does not change the cached copy');
+    console.log('✅ Expired entries and failures go to the model; cached results are copies');
+
+    // Step 5: The disk store survives a restart; store errors are misses
+    console.log('📋 Step 5: Disk store...');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+    const diskProvider = new MockProvider();
+    const before = new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider: diskProvider, responseCache: new ResponseCache({ store: new FileCacheStore({ dir }) }) });
+    await before.processTask('task-13', 'Keyword research for refill stations');
+    assert.equal(fs.readdirSync(dir).length, 1);
+    const restartedCache = new ResponseCache({ store: createCacheStore('disk', { dir }) });
+    const after = new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider: diskProvider, responseCache: restartedCache });
+    const restored = await after.processTask('task-14', 'Keyword research for refill stations');
+    assert.ok(restored.cached);
+    assert.equal(diskProvider.calls.length, 1);
+
+    fs.writeFileSync(path.join(dir, fs.readdirSync(dir)[0]), '{ not json');
+    const recovered = await after.processTask('task-15', 'Keyword research for refill stations');
+    assert.equal(recovered.success, true);
+    assert.ok(!recovered.cached);
+    assert.equal(restartedCache.getStatus().errors, 1);
+    assert.ok(!JSON.parse(fs.readFileSync(path.join(dir, fs.readdirSync(dir)[0]), 'utf-8')).result.includes('not json'), 'the entry was rewritten');
+    assert.throws(() => createCacheStore('redis'), /Unknown response cache store "redis"/);
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('✅ Cached answer served after a restart; a corrupt entry was a miss');
+
+    // Step 6: Tasks assigned by the CEO hit the cache despite new deadlines
+    console.log('📋 Step 6: CEO assignments...');
+    const teamProvider = new MockProvider();
+    const teamCache = new ResponseCache({ store: new MemoryCacheStore() });
+    const ceoAgent = new CEOAgent({ provider: teamProvider });
+    ceoAgent.registerTeamAgent(new Agent('lil_SEO_Specialist', 'SEO_Specialist', ['Keyword Research'], { provider: teamProvider, responseCache: teamCache }));
+    await ceoAgent.assignTask('Keyword research for reusable bottles', 'high');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const repeated = await ceoAgent.assignTask('Keyword research for reusable bottles', 'high');
+    assert.ok(repeated.cached);
+    const uncached = await ceoAgent.assignTask('Keyword research for reusable bottles', 'high', [], { noCache: true });
+    assert.ok(!uncached.cached);
+    assert.equal(teamProvider.calls.length, 2);
+    assert.deepEqual(ceoAgent.getSystemStatus().response_caches.map(status => [status.store, status.hits, status.bypassed]), [['memory', 1, 1]]);
+    console.log('✅ Repeated assignment answered from the cache');
+
+    // Step 7: A cached answer does not wait for a slot on a saturated agent
+    console.log('📋 Step 7: Cache hits on a saturated agent...');
+    let releaseHeld;
+    const busyProvider = new MockProvider().addRule(
+        request => request.messages.at(-1).content.includes('[held]'),
+        () => new Promise(resolve => { releaseHeld = resolve; })
+    );
+    const busy = new Agent('lil_SEO_Specialist', 'SEO_Specialist', [], { provider: busyProvider, responseCache: new ResponseCache({ store: new MemoryCacheStore() }), maxConcurrentTasks: 1 });
+    await busy.processTask('task-warm', 'Keyword research for reusable bottles');
+    const held = busy.processTask('task-held', 'Audit the site [held]');
+    while (!releaseHeld) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.equal(busy.status, 'saturated');
+    const hit = await busy.processTask('task-hit', 'Keyword research for reusable bottles');
+    assert.ok(hit.cached);
+    assert.equal(busy.status, 'saturated', 'the cache hit took no slot');
+    assert.equal(busy.waitingTasks.length, 0);
+    releaseHeld('Audit done');
+    assert.equal((await held).success, true);
+    console.log('✅ Cached answer returned while the only slot was busy');
+
+    console.log('');
+    console.log('🎉 Response cache test passed');
+}
+
+testResponseCache().catch(error => {
+    console.error('❌ Response cache test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,147 @@
+/**
+ * AI Agents Team Management System - Roster Test
+ *
+ * Checks the declarative team roster offline: the shipped roster is
+ * valid, YAML and JSON rosters create agents with their model,
+ * concurrency, keywords and knowledge folders, invalid rosters are
+ * rejected with every problem listed, and the CEO routes tasks by the
+ * roster's keywords.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { KnowledgeBase } from '../agents/base/KnowledgeBase.js';
+import { loadRoster, createRosterAgents, RosterValidationError } from '../agents/base/Roster.js';
+
+const ROSTER_YAML = `
+agents:
+  - name: lil_Market_Analyst
+    role: Market_Analyst
+    skills: [Market Trends]
+    keywords: [market, trend]
+  - name: lil_Sustainability_Lead
+    role: Sustainability_Lead
+    skills: [Carbon Accounting]
+    keywords: [Carbon, emissions, ESG]
+    model: claude-3-haiku-20240307
+    max_concurrent_tasks: 4
+    knowledge: [shared, specialized/Sustainability_Lead, specialized/Market_Analyst]
+`;
+
+async function testRoster() {
+    console.log('🤖 AI Agents Team Management System - Roster Test');
+    console.log('='.repeat(60));
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roster-'));
+    const write = (file, content) => {
+        const filePath = path.join(dir, file);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    // Step 1: The shipped roster is valid
+    console.log('📋 Step 1: Loading the default roster...');
+    const defaultRoster = await loadRoster();
+    assert.equal(defaultRoster.agents.length, 7);
+    assert.ok(defaultRoster.agents.every(entry => entry.keywords.length > 0));
+    assert.deepEqual(defaultRoster.agents[0].knowledge, ['shared', 'specialized/SEO_Specialist']);
+    console.log(`✅ ${defaultRoster.agents.map(entry => entry.name).join(', ')}`);
+
+    // Step 2: Agents are created with the roster's settings
+    console.log('📋 Step 2: Creating agents from a YAML roster...');
+    const provider = new MockProvider();
+    const roster = await loadRoster(write('roster.yaml', ROSTER_YAML));
+    const [analyst, sustainability] = createRosterAgents(roster, { provider });
+
+    assert.equal(sustainability.name, 'lil_Sustainability_Lead');
+    assert.deepEqual(sustainability.specialKnowledge, ['Carbon Accounting']);
+    assert.equal(sustainability.model, 'claude-3-haiku-20240307');
+    assert.equal(sustainability.maxConcurrentTasks, 4);
+    assert.deepEqual(sustainability.routingKeywords, ['carbon', 'emissions', 'esg']);
+    assert.equal(analyst.model, 'claude-3-5-sonnet-20241022', 'default model');
+    assert.equal(analyst.provider, provider);
+
+    await sustainability.processTask('task-1', 'Estimate our emissions');
+    assert.equal(provider.calls[0].model, 'claude-3-haiku-20240307');
+    console.log('✅ Model, concurrency and keywords taken from the roster');
+
+    // Step 3: A JSON roster works the same way
+    console.log('📋 Step 3: Loading a JSON roster...');
+    const jsonRoster = await loadRoster(write('roster.json', JSON.stringify({
+        agents: [{ name: 'lil_Legal_Counsel', role: 'Legal_Counsel', skills: ['Contracts'], keywords: ['contract'] }]
+    })));
+    assert.equal(jsonRoster.agents[0].role, 'Legal_Counsel');
+    assert.equal(jsonRoster.agents[0].max_concurrent_tasks, null);
+    console.log('✅ JSON roster loaded');
+
+    // Step 4: Invalid rosters list every problem
+    console.log('📋 Step 4: Rejecting invalid rosters...');
+    const invalid = write('invalid.yaml', `
+agents:
+  - name: lil_Market_Analyst
+    role: Market_Analyst
+    skills: [Market Trends]
+  - name: lil_Market_Analyst
+    role: Market_Analyst
+    skills: [Market Trends]
+    keywords: [market]
+    max_concurent_tasks: 2
+`);
+    await assert.rejects(loadRoster(invalid), error => {
+        assert.ok(error instanceof RosterValidationError);
+        assert.equal(error.file, invalid);
+        assert.ok(error.errors.some(message => message.includes("must have required property 'keywords'")));
+        assert.ok(error.errors.some(message => message.includes('must NOT have additional properties')));
+        return true;
+    });
+
+    const duplicate = write('duplicate.yaml', `
+agents:
+  - { name: lil_Market_Analyst, role: Market_Analyst, skills: [Trends], keywords: [market] }
+  - { name: lil_Market_Analyst, role: Brand_Manager, skills: [Voice], keywords: [brand] }
+`);
+    await assert.rejects(loadRoster(duplicate), /lil_Market_Analyst is used by another agent/);
+    await assert.rejects(loadRoster(write('broken.yaml', 'agents: [')), /could not be parsed/);
+    console.log('✅ Missing keywords, unknown fields, duplicate names and syntax errors rejected');
+
+    // Step 5: The CEO routes by roster keywords, and a new department needs no code
+    console.log('📋 Step 5: Routing by roster keywords...');
+    const ceoAgent = new CEOAgent({ provider });
+    // Registered in reverse so neither match is won by registration order
+    createRosterAgents(roster, { provider }).reverse().forEach(agent => ceoAgent.registerTeamAgent(agent));
+
+    const esgTask = await ceoAgent.assignTask('Prepare the ESG section of the annual report');
+    assert.equal(esgTask.assignedAgent, 'lil_Sustainability_Lead');
+    const trendTask = await ceoAgent.assignTask('Summarize this quarter\'s trends');
+    assert.equal(trendTask.assignedAgent, 'lil_Market_Analyst');
+    console.log(`✅ ESG → ${esgTask.assignedAgent}, trends → ${trendTask.assignedAgent}`);
+
+    // Step 6: Knowledge folders limit what an agent retrieves
+    console.log('📋 Step 6: Knowledge folders...');
+    write('knowledge/shared/company_info.json', JSON.stringify({ company_name: 'Acme' }));
+    write('knowledge/specialized/Market_Analyst/benchmarks.json', JSON.stringify({ carbon_benchmark: 'Industry carbon intensity is 40 g per unit' }));
+    const knowledgeBase = new KnowledgeBase({ dir: path.join(dir, 'knowledge') });
+    await knowledgeBase.ensureLoaded();
+    const [scopedAnalyst, scopedSustainability] = createRosterAgents(roster, { provider, knowledgeBase });
+
+    const sources = agent => agent.retrieveKnowledge('carbon intensity benchmark').map(chunk => chunk.source);
+    assert.ok(sources(scopedSustainability).includes('specialized/Market_Analyst/benchmarks.json'), 'listed folder is searched');
+    assert.ok(sources(scopedAnalyst).includes('specialized/Market_Analyst/benchmarks.json'));
+    const isolated = createRosterAgents({ agents: [{ ...roster.agents[1], knowledge: ['shared'] }] }, { provider, knowledgeBase })[0];
+    assert.deepEqual(sources(isolated).filter(source => source.startsWith('specialized/')), []);
+    console.log('✅ Agents only retrieve from their knowledge folders');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    console.log('');
+    console.log('🎉 Roster test passed');
+}
+
+testRoster().catch(error => {
+    console.error('❌ Roster test failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,50 @@
+/**
+ * AI Agents Team Management System - Streaming Test
+ *
+ * Checks that processTaskStream and CEO assignTask deliver text deltas
+ * that add up to the final result. Runs offline with the MockProvider.
+ */
+
+import assert from 'assert/strict';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { Agent } from '../agents/base/Agent.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+
+async function testStreaming() {
+    console.log('🤖 AI Agents Team Management System - Streaming Test');
+    console.log('='.repeat(60));
+
+    const provider = new MockProvider();
+
+    // Step 1: Agent-level streaming
+    console.log('📋 Step 1: Streaming a task from one agent...');
+    const agent = new Agent('lil_Brand_Manager', 'Brand_Manager', ['Brand Strategy'], { provider });
+    const deltas = [];
+    const result = await agent.processTaskStream('stream-test', 'Refresh our brand voice', {}, text => deltas.push(text));
+    assert.equal(result.success, true);
+    assert.ok(deltas.length > 1, 'expected several deltas');
+    assert.equal(deltas.join(''), result.result);
+    console.log(`✅ Received ${deltas.length} deltas matching the final result`);
+
+    // Step 2: CEO delegation relays assignment and deltas
+    console.log('📋 Step 2: Streaming through CEO delegation...');
+    const ceoAgent = new CEOAgent({ provider });
+    ceoAgent.registerTeamAgent(agent);
+
+    const events = [];
+    const delegated = await ceoAgent.assignTask('Refresh our brand identity', 'medium', [], {
+        onAssigned: task => events.push(['assigned', task.assignedAgent]),
+        onDelta: text => events.push(['delta', text])
+    });
+    assert.deepEqual(events[0], ['assigned', 'lil_Brand_Manager']);
+    assert.equal(events.slice(1).map(([, text]) => text).join(''), delegated.result);
+    console.log('✅ CEO relayed assignment and streamed output');
+
+    console.log('');
+    console.log('🎉 Streaming test passed');
+}
+
+testStreaming().catch(error => {
+    console.error('❌ Streaming test failed:', error);
+    process.exit(1);
+});
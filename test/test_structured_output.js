@@ -0,0 +1,107 @@
+/**
+ * AI Agents Team Management System - Structured Output Test
+ *
+ * Checks that schema-constrained tasks return validated objects, that invalid
+ * answers are re-prompted with the validation errors, that the task fails
+ * once the retry budget is spent, and that schemas sent with requests can be
+ * reused with the same $id. Runs offline.
+ */
+
+import assert from 'assert/strict';
+import { Agent } from '../agents/base/Agent.js';
+import { SEOSpecialistAgent } from '../agents/lil_SEO_Specialist/index.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { parseJsonResponse, compileRequestSchema } from '../agents/base/StructuredOutput.js';
+
+const summarySchema = {
+    type: 'object',
+    required: ['headline', 'score'],
+    properties: {
+        headline: { type: 'string' },
+        score: { type: 'integer', minimum: 0, maximum: 10 }
+    }
+};
+
+const isRetry = request => request.messages.length > 1;
+
+async function testStructuredOutput() {
+    console.log('🤖 AI Agents Team Management System - Structured Output Test');
+    console.log('='.repeat(60));
+
+    // Step 1: JSON extraction
+    console.log('📋 Step 1: Parsing fenced and embedded JSON...');
+    assert.deepEqual(parseJsonResponse('```json\n{"a": 1}\n```'), { a: 1 });
+    assert.deepEqual(parseJsonResponse('Here you go: {"a": [1, 2]} Hope it helps.'), { a: [1, 2] });
+    console.log('✅ JSON extracted from fences and prose');
+
+    // Step 2: Invalid answer is re-prompted with the errors
+    console.log('📋 Step 2: Re-prompting after a schema violation...');
+    const provider = new MockProvider()
+        .addRule(isRetry, '{"headline": "Traffic up 12%", "score": 7}')
+        .addRule(() => true, '{"headline": "Traffic up 12%", "score": "seven"}');
+    const agent = new Agent('lil_Content_Writer', 'Content_Writer', ['Copywriting'], { provider });
+
+    const result = await agent.processTask('summary-1', 'Summarize the campaign', {}, { schema: summarySchema });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.result, { headline: 'Traffic up 12%', score: 7 });
+    assert.equal(provider.calls.length, 2);
+    assert.match(provider.calls[0].system, /JSON Schema/);
+    assert.match(provider.calls[1].messages.at(-1).content, /\/score must be integer/);
+    assert.equal(agent.currentTasks.get('summary-1').usage.calls, 2);
+    console.log('✅ Second attempt returned a validated object');
+
+    // Step 3: Task fails once retries are exhausted
+    console.log('📋 Step 3: Failing after the retry budget...');
+    const stubborn = new MockProvider().addRule(() => true, 'I would rather answer in prose.');
+    const strictAgent = new Agent('lil_Content_Writer', 'Content_Writer', [], {
+        provider: stubborn,
+        maxValidationRetries: 1
+    });
+
+    const failed = await strictAgent.processTask('summary-2', 'Summarize the campaign', {}, { schema: summarySchema });
+    assert.equal(failed.success, false);
+    assert.match(failed.error, /after 2 attempts/);
+    assert.equal(stubborn.calls.length, 2);
+    console.log('✅ Task failed with the validation errors');
+
+    // Step 4: SEO audit comes back typed and sorted by priority
+    console.log('📋 Step 4: Running a typed SEO audit...');
+    const audit = {
+        url: 'https://example.com',
+        overall_score: 68,
+        summary: 'Solid content, slow pages.',
+        issues: [
+            { category: 'content', title: 'Thin category pages', priority: 'low', impact: 'low', recommendation: 'Add copy' },
+            { category: 'technical', title: 'No HTTPS redirect', priority: 'critical', impact: 'high', recommendation: 'Redirect HTTP' },
+            { category: 'on_page', title: 'Duplicate titles', priority: 'medium', impact: 'medium', recommendation: 'Rewrite titles' }
+        ],
+        quick_wins: ['Compress hero images']
+    };
+    const seoAgent = new SEOSpecialistAgent({ provider: new MockProvider().addRule(() => true, JSON.stringify(audit)) });
+
+    const auditResult = await seoAgent.conductSEOAudit('https://example.com');
+    assert.equal(auditResult.success, true);
+    assert.deepEqual(auditResult.result.issues.map(issue => issue.priority), ['critical', 'medium', 'low']);
+    console.log(`✅ Audit score ${auditResult.result.overall_score}, top issue: ${auditResult.result.issues[0].title}`);
+
+    // Step 5: Request schemas are compiled per request, so the same $id can come again
+    console.log('📋 Step 5: Reusing a request schema $id...');
+    const requestSchema = () => ({ $id: 'https://example.com/summary.json', ...summarySchema });
+    compileRequestSchema(requestSchema());
+    compileRequestSchema(requestSchema());
+    const answering = new MockProvider().addRule(() => true, JSON.stringify({ headline: 'Refill drive', score: 8 }));
+    const requestAgent = new Agent('lil_Market_Analyst', 'Market_Analyst', [], { provider: answering });
+    for (const taskId of ['summary-3', 'summary-4']) {
+        const repeated = await requestAgent.processTask(taskId, 'Summarize the campaign', {}, { schema: requestSchema() });
+        assert.equal(repeated.success, true, repeated.error);
+    }
+    console.log('✅ Two requests with the same schema $id both validated');
+
+    console.log('');
+    console.log('🎉 Structured output test passed');
+}
+
+testStructuredOutput().catch(error => {
+    console.error('❌ Structured output test failed:', error);
+    process.exit(1);
+});
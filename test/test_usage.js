@@ -0,0 +1,71 @@
+/**
+ * AI Agents Team Management System - Token Usage and Cost Test
+ *
+ * Checks that token usage and estimated cost are stored on task records
+ * and rolled up per agent, per client and per team. Runs offline.
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CEOAgent } from '../agents/lil_Boss_CEO/index.js';
+import { Agent } from '../agents/base/Agent.js';
+import { MockProvider } from '../agents/base/providers/index.js';
+import { estimateCost } from '../agents/base/usage.js';
+import { ReportRepository } from '../agents/base/ReportRepository.js';
+
+async function testUsage() {
+    console.log('🤖 AI Agents Team Management System - Usage Test');
+    console.log('='.repeat(60));
+
+    // Every call reports 1000 input and 500 output tokens
+    const provider = new MockProvider().addRule(() => true, {
+        content: [{ type: 'text', text: 'Budget looks healthy.' }],
+        usage: { input_tokens: 1000, output_tokens: 500 }
+    });
+
+    // Step 1: Price table
+    console.log('📋 Step 1: Estimating cost from the price table...');
+    const cost = estimateCost('claude-3-5-sonnet-20241022', { input_tokens: 1000, output_tokens: 500 });
+    assert.equal(cost, 0.0105);
+    console.log(`✅ 1000 in / 500 out on Sonnet costs $${cost}`);
+
+    // Step 2: Task records carry usage
+    console.log('📋 Step 2: Recording usage on tasks...');
+    const reportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-reports-'));
+    const reportRepository = new ReportRepository({ dir: reportsDir });
+    const ceoAgent = new CEOAgent({ provider, reportRepository });
+    const financeAgent = new Agent('lil_Finance_Analyst', 'Finance_Analyst', ['Budget Planning'], { provider, reportRepository });
+    ceoAgent.registerTeamAgent(financeAgent);
+
+    const first = await ceoAgent.assignTask('Review the marketing budget', 'medium', [], { clientId: 'acme' });
+    await ceoAgent.assignTask('Review the cost forecast', 'low', [], { clientId: 'globex' });
+
+    assert.deepEqual(first.usage, { input_tokens: 1000, output_tokens: 500, cost_usd: 0.0105, calls: 1, total_tokens: 1500 });
+    assert.equal(financeAgent.currentTasks.get(first.taskId).usage.output_tokens, 500);
+    assert.equal(ceoAgent.getTaskStatus(first.taskId).usage.input_tokens, 1000);
+    console.log('✅ Usage stored on agent and CEO task records');
+
+    // Step 3: Per-agent and per-team roll-ups
+    console.log('📋 Step 3: Rolling up per agent, client and team...');
+    assert.equal(financeAgent.getStatus().usage.total_tokens, 3000);
+
+    const report = await ceoAgent.generateTeamReport();
+    const usage = report.team_statistics.usage;
+    assert.equal(usage.by_agent.lil_Finance_Analyst.cost_usd, 0.021);
+    assert.equal(usage.by_agent.lil_Finance_Analyst.role, 'Finance_Analyst');
+    assert.equal(usage.by_client.acme.total_tokens, 1500);
+    assert.equal(usage.by_client.globex.total_tokens, 1500);
+    assert.equal(usage.total.calls, 2);
+    fs.rmSync(reportsDir, { recursive: true, force: true });
+    console.log(`✅ Team total: ${usage.total.total_tokens} tokens, $${usage.total.cost_usd}`);
+
+    console.log('');
+    console.log('🎉 Usage test passed');
+}
+
+testUsage().catch(error => {
+    console.error('❌ Usage test failed:', error);
+    process.exit(1);
+});